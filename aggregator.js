@@ -0,0 +1,292 @@
+/**
+ * aggregator.js — Rolling windows over the feed: rate, volume and burst signals
+ *
+ * Sits between a FeedSource and handleSolanaEvent(). Every event is counted into 1s / 10s /
+ * 60s windows (TPS, SOL moved, counts per type) before being forwarded; plain 'tx' beyond
+ * passTxPerSec (except self events) only feed the windows, so a firehose doesn't drown the
+ * effect pool.
+ *
+ *   const agg = new EventAggregator(event => sys.handleLiveEvent(handleSolanaEvent(event)), {
+ *     onSignals: signals => sys.setModulation(signalsToModulation(signals)),
+ *   });
+ *   const feed = await createFeed(config, event => agg.push(event));
+ *   agg.start();
+ *
+ * Summary events go out through onEvent like any other, with their own types:
+ *   volume-spike   1s TPS ≥ spikeRatio × the 60s average
+ *   quiet-period   10s TPS ≤ quietRatio × a non-zero 60s average (once on entry)
+ *   whale-cluster  ≥ whaleCluster whales inside whaleWindowMs
+ *
+ * Continuous signals, 0–1 and smoothed: activity (TPS), volume (SOL/s), surge (1s vs 60s).
+ * This is PLAN.md's "transaction volume → scale/density" mapping.
+ */
+
+import { EventType } from './feed-source.js';
+
+export const SummaryType = {
+  VOLUME_SPIKE:  'volume-spike',
+  QUIET:         'quiet-period',
+  WHALE_CLUSTER: 'whale-cluster',
+};
+
+export const WINDOWS = { '1s': 1000, '10s': 10000, '60s': 60000 };
+
+export const DEFAULT_AGGREGATOR_CONFIG = {
+  bucketMs: 250,        // window resolution
+  tickMs: 250,          // signal + summary cadence (start())
+  passTxPerSec: 20,     // plain tx forwarded per second; Infinity forwards everything
+  spikeRatio: 3,
+  spikeMinTps: 5,
+  quietRatio: 0.25,
+  whaleCluster: 3,
+  whaleWindowMs: 10000,
+  cooldownMs: 10000,    // minimum gap between two summaries of the same type
+  warmupMs: 10000,      // no spike / quiet verdicts before there is a baseline
+  fullTps: 40,          // rate at which activity saturates
+  fullSolPerSec: 500,   // rate at which volume saturates
+  smoothing: 0.15,      // per tick, toward the raw signal
+};
+
+const HISTORY_MS = WINDOWS['60s'];
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+// Log-scaled 0–1: chain rates span orders of magnitude
+const saturate = (rate, full) => clamp01(Math.log1p(rate) / Math.log1p(full));
+
+/**
+ * Aggregate signals → ParticleSystem.setModulation() multipliers
+ * Transaction rate sets particle density; value moved and bursts stir the field.
+ */
+export function signalsToModulation({ activity, volume, surge }) {
+  return {
+    density: 0.6 + 0.8 * activity,
+    turbulence: 0.8 + 0.5 * volume + 0.5 * surge,
+  };
+}
+
+export class EventAggregator {
+  /**
+   * @param {(event: Object) => void} onEvent - Forwarded feed events and summary events
+   * @param {Object} [options] - Any DEFAULT_AGGREGATOR_CONFIG key, plus:
+   * @param {(signals: Object, now: number) => void} [options.onSignals] - Called every tick
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor(onEvent, options = {}) {
+    const { onSignals, now, ...config } = options;
+    this.onEvent = onEvent;
+    this.onSignals = onSignals || null;
+    this.now = now || Date.now;
+    this.config = { ...DEFAULT_AGGREGATOR_CONFIG, ...config };
+
+    // Ring of buckets covering the longest window; head is the absolute bucket index
+    const n = Math.ceil(HISTORY_MS / this.config.bucketMs);
+    this.buckets = { count: new Uint32Array(n), value: new Float64Array(n), types: {} };
+    this.head = null;
+    this.startedMs = null;
+
+    this.whales = [];     // { t, program, valueSol } inside whaleWindowMs
+    this.signals = { activity: 0, volume: 0, surge: 0 };
+    this.quiet = false;
+    this.lastSummary = {};
+    this.allowance = this.config.passTxPerSec;
+    this.allowanceMs = null;
+    this.forwarded = 0;
+    this.absorbed = 0;
+    this.summaries = 0;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.config.tickMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  push(event, now = this.now()) {
+    this._advance(now);
+    const slot = this.head % this.buckets.count.length;
+    this.buckets.count[slot]++;
+    this.buckets.value[slot] += event.valueSol || 0;
+    const types = this.buckets.types;
+    if (!types[event.type]) types[event.type] = new Uint32Array(this.buckets.count.length);
+    types[event.type][slot]++;
+
+    if (event.type === EventType.WHALE) {
+      this.whales.push({ t: now, program: event.program, valueSol: event.valueSol || 0 });
+    }
+
+    // The holder's own activity always gets through
+    if (event.type === EventType.TRANSACTION && !event.self && !this._allow(now)) {
+      this.absorbed++;
+      return;
+    }
+    this.forwarded++;
+    this.onEvent(event);
+  }
+
+  // Recompute signals and fire any summaries that are due
+  tick(now = this.now()) {
+    this._advance(now);
+    const { config } = this;
+    const w1 = this.window(WINDOWS['1s'], now);
+    const w10 = this.window(WINDOWS['10s'], now);
+    const w60 = this.window(WINDOWS['60s'], now);
+
+    const raw = {
+      activity: saturate(w10.tps, config.fullTps),
+      volume: saturate(w10.solPerSec, config.fullSolPerSec),
+      surge: w60.tps > 0 ? clamp01((w1.tps / w60.tps - 1) / (config.spikeRatio - 1)) : 0,
+    };
+    for (const k of Object.keys(raw)) {
+      this.signals[k] += (raw[k] - this.signals[k]) * config.smoothing;
+    }
+
+    const warm = now - this.startedMs >= config.warmupMs;
+    if (warm && w1.tps >= config.spikeMinTps && w1.tps >= config.spikeRatio * w60.tps) {
+      this._summary(SummaryType.VOLUME_SPIKE, now, {
+        magnitude: clamp01(w1.tps / (w60.tps * config.spikeRatio * 2)),
+        tps: w1.tps,
+        baselineTps: w60.tps,
+      });
+    }
+
+    // Edge-triggered: one summary per quiet stretch, cleared once activity is back. A feed
+    // that has been silent all minute has no baseline to fall quiet from
+    const isQuiet = w60.tps > 0 && w10.tps <= config.quietRatio * w60.tps;
+    if (warm && isQuiet && !this.quiet) {
+      this.quiet = true;
+      this._summary(SummaryType.QUIET, now, {
+        magnitude: clamp01(1 - w10.tps / w60.tps),
+        tps: w10.tps,
+        baselineTps: w60.tps,
+      });
+    } else if (this.quiet && w10.tps > 2 * config.quietRatio * w60.tps) {
+      this.quiet = false;
+    }
+
+    this.whales = this.whales.filter(w => now - w.t < config.whaleWindowMs);
+    if (this.whales.length >= config.whaleCluster) {
+      const largest = this.whales.reduce((a, b) => (b.valueSol > a.valueSol ? b : a));
+      const fired = this._summary(SummaryType.WHALE_CLUSTER, now, {
+        magnitude: clamp01(this.whales.length / (2 * config.whaleCluster)),
+        program: largest.program,
+        whales: this.whales.length,
+        valueSol: this.whales.reduce((sum, w) => sum + w.valueSol, 0),
+      });
+      if (fired) this.whales = [];  // a cluster is reported once
+    }
+
+    if (this.onSignals) this.onSignals(this.getSignals(), now);
+  }
+
+  /**
+   * Totals over the trailing `ms` (rounded to buckets, current bucket included)
+   * @returns {{ ms, count, tps, valueSol, solPerSec, counts: Object<string, number> }}
+   */
+  window(ms, now = this.now()) {
+    this._advance(now);
+    const { count, value, types } = this.buckets;
+    const n = count.length;
+    const k = Math.min(n, Math.max(1, Math.round(ms / this.config.bucketMs)));
+    const result = { ms, count: 0, tps: 0, valueSol: 0, solPerSec: 0, counts: {} };
+    for (const type of Object.keys(types)) result.counts[type] = 0;
+
+    for (let j = 0; j < k; j++) {
+      const slot = (this.head - j + n) % n;
+      result.count += count[slot];
+      result.valueSol += value[slot];
+      for (const type of Object.keys(types)) result.counts[type] += types[type][slot];
+    }
+    // Rates over the time actually observed, so the first seconds aren't diluted
+    const seconds = Math.max(this.config.bucketMs, Math.min(ms, now - this.startedMs)) / 1000;
+    result.tps = result.count / seconds;
+    result.solPerSec = result.valueSol / seconds;
+    return result;
+  }
+
+  getSignals() {
+    return { ...this.signals };
+  }
+
+  // Offline: push a recorded log through on its own clock, ticking every tickMs between events
+  run(events) {
+    if (!events.length) return;
+    let next = events[0].timestamp;
+    for (const event of events) {
+      while (next <= event.timestamp) {
+        this.tick(next);
+        next += this.config.tickMs;
+      }
+      this.push(event, event.timestamp);
+    }
+    this.tick(next);
+  }
+
+  getStats() {
+    const now = this.now();
+    const windows = {};
+    for (const [name, ms] of Object.entries(WINDOWS)) windows[name] = this.window(ms, now);
+    return {
+      windows,
+      signals: this.getSignals(),
+      quiet: this.quiet,
+      forwarded: this.forwarded,
+      absorbed: this.absorbed,
+      summaries: this.summaries,
+    };
+  }
+
+  // Move the ring to `now`, zeroing buckets that fell out of the history
+  _advance(now) {
+    const idx = Math.floor(now / this.config.bucketMs);
+    if (this.head === null) {
+      this.head = idx;
+      this.startedMs = now;
+      return;
+    }
+    if (idx <= this.head) return;  // late or same-bucket events land in the current bucket
+    const { count, value, types } = this.buckets;
+    const n = count.length;
+    for (let b = this.head + 1; b <= Math.min(idx, this.head + n); b++) {
+      const slot = b % n;
+      count[slot] = 0;
+      value[slot] = 0;
+      for (const type of Object.keys(types)) types[type][slot] = 0;
+    }
+    this.head = idx;
+  }
+
+  // Token bucket for plain transactions
+  _allow(now) {
+    const rate = this.config.passTxPerSec;
+    if (rate === Infinity) return true;
+    if (this.allowanceMs !== null) {
+      this.allowance = Math.min(rate, this.allowance + (now - this.allowanceMs) * rate / 1000);
+    }
+    this.allowanceMs = now;
+    if (this.allowance < 1) return false;
+    this.allowance--;
+    return true;
+  }
+
+  _summary(type, now, fields) {
+    const last = this.lastSummary[type];
+    if (last !== undefined && now - last < this.config.cooldownMs) return false;
+    this.lastSummary[type] = now;
+    this.summaries++;
+    console.log(`[aggregate] ${type} (${fields.magnitude.toFixed(2)})`);
+    this.forwarded++;
+    this.onEvent({
+      type,
+      sig: `${type.slice(0, 5)}${this.summaries}`,
+      source: 'aggregate',
+      timestamp: now,
+      ...fields,
+    });
+    return true;
+  }
+}
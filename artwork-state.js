@@ -0,0 +1,189 @@
+/**
+ * artwork-state.js — Everything that makes a view reproducible, as one serialisable value
+ *
+ * The two layers are seeded separately — WebGL by chain state (fetch-chain.js), the 2D
+ * particle system by wallet — so neither alone brings a view back. ArtworkState holds both,
+ * plus overrides and the time offset, round-trips through the URL hash, and is the
+ * reproduction recipe stored in mint metadata (mint.js).
+ *
+ *   #w=<wallet>&slot=<n>&bh=<blockhash>&mod=<density>,<speed>,<temperature>&pal=<palette index>
+ *    &comp=<WebGL composition>&o=<walletToParams options, JSON>&t=<seconds>&f=<2D frame>
+ *    &replay=<log url>&slots=<from>-<to>&lock
+ *
+ * Every field is optional; a missing one means "whatever the viewer would do anyway".
+ * Live feed events are not part of the state — a replay ref brings the same events back.
+ * lock holds the chain-derived fields instead of re-seeding from the latest block.
+ */
+
+export const ARTWORK_STATE_VERSION = 1;
+// The viewer's 2D seed until a wallet connects
+export const DEFAULT_WALLET = 'KiraGenerativeArtDefaultSeedV1';
+
+const MAX_WALLET_LENGTH = 64;
+const BLOCKHASH_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const round = (v, places) => Math.round(v * 10 ** places) / 10 ** places;
+
+function parseNumber(value, { integer = false, min = 0 } = {}) {
+  if (value === null || value === '') return null;
+  const n = integer ? parseInt(value, 10) : parseFloat(value);
+  return Number.isFinite(n) && n >= min ? n : null;
+}
+
+export class ArtworkState {
+  /**
+   * @param {Object} [fields]
+   * @param {string} [fields.wallet] - 2D layer seed (walletToParams address)
+   * @param {number} [fields.slot] - Chain slot the WebGL layer was seeded from
+   * @param {string} [fields.blockhash] - Its blockhash — seed, palette and composition (chainToVisuals)
+   * @param {{ density: number, speed: number, temperature: number }} [fields.modulation] - WebGL shaping
+   * @param {number} [fields.palette] - WebGL palette index, overriding the blockhash
+   * @param {string} [fields.composition] - WebGL composition name, overriding the blockhash
+   * @param {Object} [fields.overrides] - walletToParams options for the 2D layer ({ composition, density, slot })
+   * @param {number} [fields.time=0] - Seconds since the piece started (WebGL clock)
+   * @param {number} [fields.frame] - 2D layer frame — its own clock, restarted by a new wallet; defaults to time × 60
+   * @param {{ url: string, slots?: number[] }} [fields.replay] - Recorded feed to play (replay.js)
+   * @param {boolean} [fields.locked=false] - Hold chain fields instead of following new blocks
+   */
+  constructor(fields = {}) {
+    this.wallet = fields.wallet ?? null;
+    this.slot = fields.slot ?? null;
+    this.blockhash = fields.blockhash ?? null;
+    this.modulation = fields.modulation ?? null;
+    this.palette = fields.palette ?? null;
+    this.composition = fields.composition ?? null;
+    this.overrides = { ...fields.overrides };
+    this.time = fields.time ?? 0;
+    this.frame = fields.frame ?? null;
+    this.replay = fields.replay ?? null;
+    this.locked = fields.locked ?? false;
+  }
+
+  update(fields) {
+    Object.assign(this, fields);
+    return this;
+  }
+
+  toJSON() {
+    return {
+      v: ARTWORK_STATE_VERSION,
+      wallet: this.wallet,
+      slot: this.slot,
+      blockhash: this.blockhash,
+      modulation: this.modulation,
+      palette: this.palette,
+      composition: this.composition,
+      overrides: this.overrides,
+      time: this.time,
+      frame: this.frame,
+      replay: this.replay,
+      locked: this.locked,
+    };
+  }
+
+  static fromJSON(json) {
+    const { v, ...fields } = typeof json === 'string' ? JSON.parse(json) : json;
+    if (v > ARTWORK_STATE_VERSION) console.warn(`[artwork] State v${v} is newer than v${ARTWORK_STATE_VERSION}; reading what is known`);
+    return new ArtworkState(fields);
+  }
+
+  toHash() {
+    const q = new URLSearchParams();
+    if (this.wallet) q.set('w', this.wallet);
+    if (this.slot !== null) q.set('slot', String(this.slot));
+    if (this.blockhash) q.set('bh', this.blockhash);
+    if (this.modulation) {
+      const { density, speed, temperature } = this.modulation;
+      q.set('mod', [density, speed, temperature].map(v => round(v, 3)).join(','));
+    }
+    if (this.palette !== null) q.set('pal', String(this.palette));
+    if (this.composition) q.set('comp', this.composition);
+    if (Object.keys(this.overrides).length) q.set('o', JSON.stringify(this.overrides));
+    if (this.time) q.set('t', String(round(this.time, 2)));
+    if (this.frame !== null) q.set('f', String(this.frame));
+    if (this.replay) {
+      q.set('replay', this.replay.url);
+      if (this.replay.slots) q.set('slots', this.replay.slots.join('-'));
+    }
+    let hash = q.toString().replace(/%2C/g, ',');  // commas are safe in a fragment, and readable
+    if (this.locked) hash += (hash ? '&' : '') + 'lock';
+    return hash;
+  }
+
+  // Lenient: malformed fields are dropped with a warning, never thrown — a bad link still opens
+  static fromHash(hash) {
+    const q = new URLSearchParams(String(hash).replace(/^#/, ''));
+    const drop = (key, why) => console.warn(`[artwork] Ignoring ${key}=${q.get(key)} (${why})`);
+    const fields = {};
+
+    const wallet = q.get('w');
+    if (wallet) {
+      if (wallet.length <= MAX_WALLET_LENGTH) fields.wallet = wallet;
+      else drop('w', 'too long');
+    }
+    if (q.has('slot')) {
+      fields.slot = parseNumber(q.get('slot'), { integer: true });
+      if (fields.slot === null) drop('slot', 'not a slot number');
+    }
+    const blockhash = q.get('bh');
+    if (blockhash) {
+      if (BLOCKHASH_RE.test(blockhash)) fields.blockhash = blockhash;
+      else drop('bh', 'not base58');
+    }
+    if (q.has('mod')) {
+      const values = q.get('mod').split(',').map(v => parseNumber(v));
+      const [density, speed, temperature] = values;
+      if (values.length === 3 && !values.includes(null)) fields.modulation = { density, speed, temperature };
+      else drop('mod', 'expected density,speed,temperature');
+    }
+    if (q.has('pal')) {
+      fields.palette = parseNumber(q.get('pal'), { integer: true });
+      if (fields.palette === null) drop('pal', 'not a palette index');
+    }
+    if (q.get('comp')) fields.composition = q.get('comp');
+    if (q.get('o')) {
+      try {
+        const overrides = JSON.parse(q.get('o'));
+        if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) fields.overrides = overrides;
+        else drop('o', 'not an object');
+      } catch (err) {
+        drop('o', 'invalid JSON');
+      }
+    }
+    if (q.has('t')) fields.time = parseNumber(q.get('t')) ?? 0;
+    if (q.has('f')) fields.frame = parseNumber(q.get('f'), { integer: true });
+    if (q.get('replay')) {
+      fields.replay = { url: q.get('replay') };
+      const slots = q.get('slots')?.split('-').map(n => parseNumber(n, { integer: true }));
+      if (slots?.length === 2 && !slots.includes(null)) fields.replay.slots = slots;
+    }
+    fields.locked = q.has('lock');
+    return new ArtworkState(fields);
+  }
+}
+
+// ── Page state ──────────────────────────────────────────────────────────────
+// The viewer's scripts share one state through this module (module instances are per URL)
+
+let pageState = null;
+const pageClocks = {};
+
+// The state the page was opened with, updated as the view changes
+export function pageArtwork() {
+  if (!pageState) pageState = ArtworkState.fromHash(globalThis.location?.hash || '');
+  return pageState;
+}
+
+// Fields that change every frame, read when saving: time from the WebGL layer, frame from the 2D one
+export function setArtworkClock(field, fn) {
+  pageClocks[field] = fn;
+}
+
+// Write the page state (clocks read now) into the URL hash; returns the permalink
+export function saveArtwork() {
+  const state = pageArtwork();
+  for (const [field, fn] of Object.entries(pageClocks)) state[field] = fn();
+  const { pathname, search } = globalThis.location;
+  globalThis.history.replaceState(null, '', `${pathname}${search}#${state.toHash()}`);
+  return globalThis.location.href;
+}
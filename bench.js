@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * bench.js — ParticleSystem benchmark: update / draw ms per frame at kiosk densities
+ *
+ * Run: node bench.js [--counts 1000,10000,50000] [--composition "flow field"] [--frames 120]
+ *                    [--backend null|raster|webgl] [--size 1280x720] [--events 4] [--gpu auto|float|half|cpu]
+ *
+ * The null backend measures the engine alone (path building, batching, state changes);
+ * raster adds software rasterisation and is only useful as a relative number.
+ * --events fires that many live events per second of frames so effects are exercised.
+ *
+ * webgl benchmarks the WebGL layer (engine/composer.js) instead, on headless-gl
+ * (`npm install gl`; software-rendered where there is no GPU). It reports which particle
+ * path the context got and how much of the last frame the particle trails lit.
+ */
+
+import { walletToParams, ParticleSystem, handleSolanaEvent, compositionNames } from './generative.js';
+import { RasterCanvas } from './raster-canvas.js';
+
+const WALLET = 'KiraBenchmarkSeedV1';
+const EVENT_TYPES = ['tx', 'whale', 'mev', 'mint', 'burn'];
+
+function parseArgs(argv) {
+  const args = { counts: '1000,10000,50000', composition: 'flow field', frames: 120, backend: 'null', size: '1280x720', events: 4 };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+const NOOP_METHODS = ['save', 'restore', 'setTransform', 'transform', 'translate', 'scale', 'rotate',
+  'beginPath', 'moveTo', 'lineTo', 'closePath', 'arc', 'rect', 'clip', 'clearRect'];
+const DRAW_METHODS = ['fill', 'stroke', 'fillRect', 'drawImage'];
+
+// Accepts every call, draws nothing — counts fills/strokes so batching shows up in the report
+function nullCanvas(width, height) {
+  const canvas = { width, height, drawCalls: 0 };
+  const gradient = { addColorStop() {} };
+  const ctx = { canvas, createRadialGradient: () => gradient };
+  for (const name of NOOP_METHODS) ctx[name] = () => {};
+  for (const name of DRAW_METHODS) ctx[name] = () => { canvas.drawCalls++; };
+  canvas.getContext = () => ctx;
+  return canvas;
+}
+
+/**
+ * Time update() and draw() separately over a fixed number of frames
+ * @returns {{ count: number, updateMs: number, drawMs: number, drawCalls: ?number }} per-frame averages (drawCalls: null backend only)
+ */
+export function benchmark({ count, composition, frames, backend, width, height, eventsPerSecond }) {
+  const canvas = backend === 'raster' ? new RasterCanvas(width, height) : nullCanvas(width, height);
+  const params = walletToParams(WALLET, { composition });
+  params.particleCount = count;
+  const sys = new ParticleSystem(canvas, params);
+  const eventEvery = eventsPerSecond > 0 ? Math.max(1, Math.round(60 / eventsPerSecond)) : Infinity;
+
+  let updateMs = 0, drawMs = 0;
+  for (let f = 0; f < frames; f++) {
+    if (f % eventEvery === 0) {
+      const type = EVENT_TYPES[(f / eventEvery) % EVENT_TYPES.length];
+      sys.handleLiveEvent(handleSolanaEvent({ type, magnitude: 0.8, sig: `bench${f}`, timestamp: f }));
+    }
+    const t0 = performance.now();
+    sys.update();
+    const t1 = performance.now();
+    sys.draw();
+    const t2 = performance.now();
+    sys.frame++;
+    updateMs += t1 - t0;
+    drawMs += t2 - t1;
+  }
+  return { count: sys.particles.count, updateMs: updateMs / frames, drawMs: drawMs / frames, drawCalls: canvas.drawCalls === undefined ? null : canvas.drawCalls / frames };
+}
+
+/**
+ * Time Composer.render() on a headless WebGL context
+ * @returns {{ count: number, backend: string, frameMs: number, lit: number }} lit: fraction of pixels brighter than the palette
+ */
+export async function benchmarkWebGL({ count, composition, frames, width, height, gpu }) {
+  let createGL;
+  try {
+    ({ default: createGL } = await import('gl'));
+  } catch {
+    throw new Error('[bench] --backend webgl needs headless-gl: npm install gl');
+  }
+  const { Composer } = await import('./engine/composer.js');
+  const gl = createGL(width, height, { preserveDrawingBuffer: true, antialias: false });
+  if (!gl) throw new Error('[bench] headless-gl could not create a context');
+  const composer = new Composer(gl, { particles: count, backend: gpu, composition });
+  composer.resize(width, height);
+  // Black background, white particles: anything lit is trail
+  const palette = { name: 'bench', background: '#000000', primary: '#ffffff', secondary: '#ffffff', accent: '#ffffff' };
+  const seed = 0x5eed;
+
+  let frameMs = 0;
+  for (let f = 0; f < frames; f++) {
+    const t0 = performance.now();
+    composer.render(f / 60, palette, seed);
+    gl.finish();
+    frameMs += performance.now() - t0;
+  }
+  const pixels = new Uint8Array(width * height * 4);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  let lit = 0;
+  for (let i = 0; i < pixels.length; i += 4) if (pixels[i] + pixels[i + 1] + pixels[i + 2] > 24) lit++;
+  const result = { count: composer.particleCount, backend: composer.backend, frameMs: frameMs / frames, lit: lit / (width * height) };
+  gl.getExtension('STACKGL_destroy_context')?.destroy();
+  return result;
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node bench.js [--counts 1000,10000,50000] [--composition name|all] [--frames 120]');
+    console.log('                     [--backend null|raster|webgl] [--size 1280x720] [--events 4] [--gpu auto|float|half|cpu]');
+    process.exit(0);
+  }
+
+  const [width, height] = String(args.size).split('x').map(n => parseInt(n, 10));
+  const counts = String(args.counts).split(',').map(n => parseInt(n, 10));
+  const compositions = args.composition === 'all' ? compositionNames() : [args.composition];
+  const frames = parseInt(args.frames, 10);
+  const eventsPerSecond = parseFloat(args.events);
+
+  // handleSolanaEvent logs every event — keep the report readable
+  const log = console.log;
+  console.log = () => {};
+  if (args.backend === 'webgl') {
+    // The WebGL layer has its own compositions
+    const { COMPOSITIONS } = await import('./engine/composer.js');
+    const names = args.composition === 'all' ? COMPOSITIONS.map(c => c.name) : [args.composition];
+    log(`[bench] webgl backend, ${width}x${height}, ${frames} frames`);
+    log('composition          particles   path     frame ms   lit');
+    for (const composition of names) {
+      for (const count of counts) {
+        const r = await benchmarkWebGL({ count, composition, frames, width, height, gpu: args.gpu || 'auto' });
+        log(`${composition.padEnd(20)} ${String(r.count).padStart(9)}   ${r.backend.padEnd(6)} ${r.frameMs.toFixed(2).padStart(10)}   ${(r.lit * 100).toFixed(1)}%${r.frameMs > 16.7 ? '  (over 60fps budget)' : ''}`);
+      }
+    }
+    process.exit(0);
+  }
+
+  log(`[bench] ${args.backend} backend, ${width}x${height}, ${frames} frames, ${eventsPerSecond} events/s`);
+  log('composition          particles   update ms   draw ms   total ms  draw calls');
+  for (const composition of compositions) {
+    for (const count of counts) {
+      const r = benchmark({ count, composition, frames, backend: args.backend, width, height, eventsPerSecond });
+      const total = r.updateMs + r.drawMs;
+      log(`${composition.padEnd(20)} ${String(r.count).padStart(9)} ${r.updateMs.toFixed(2).padStart(11)} ${r.drawMs.toFixed(2).padStart(9)} ${total.toFixed(2).padStart(10)} ${(r.drawCalls === null ? '-' : String(Math.round(r.drawCalls))).padStart(11)}${total > 16.7 ? '  (over 60fps budget)' : ''}`);
+    }
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * capture-worker.js — GIF / APNG encoding off the main thread, for capture.js
+ *
+ * Messages in:   { type: 'start', format: 'gif'|'apng', width, height, fps, frames, loop, text?, itxt? }
+ *                { type: 'frame', rgba: ArrayBuffer }      (transferred)
+ *                { type: 'finish' }
+ * Messages out:  { type: 'frame', index }                  once a frame is encoded (back-pressure)
+ *                { type: 'done', bytes: ArrayBuffer }
+ *                { type: 'error', message }
+ *
+ * Frames are handled strictly in order; APNG deflates each with CompressionStream.
+ */
+
+import { GifEncoder } from './gif.js';
+import { ApngWriter, pngScanlines } from './png.js';
+
+let job = null;
+let queue = Promise.resolve();
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const handlers = {
+  start({ format, width, height, fps, frames, loop, text, itxt }) {
+    if (format === 'gif') {
+      job = { format, fps, index: 0, encoder: new GifEncoder(width, height, { loop }) };
+    } else if (format === 'apng') {
+      job = { format, fps, index: 0, encoder: new ApngWriter(width, height, { frames, fps, plays: loop ? 0 : 1, text, itxt }) };
+    } else {
+      throw new Error(`[capture] Worker can't encode "${format}"`);
+    }
+    job.width = width;
+    job.height = height;
+  },
+
+  async frame({ rgba }) {
+    const { encoder, width, height, fps } = job;
+    const pixels = new Uint8Array(rgba);
+    if (job.format === 'gif') {
+      // Whole centiseconds, carrying the remainder so the clip keeps its length
+      const i = job.index;
+      encoder.addFrame(pixels, Math.round((i + 1) * 100 / fps) - Math.round(i * 100 / fps));
+    } else {
+      encoder.addFrame(await deflate(pngScanlines(width, height, pixels)));
+    }
+    self.postMessage({ type: 'frame', index: job.index++ });
+  },
+
+  finish() {
+    const bytes = job.encoder.finish();
+    job = null;
+    self.postMessage({ type: 'done', bytes: bytes.buffer }, [bytes.buffer]);
+  },
+};
+
+self.onmessage = ({ data }) => {
+  queue = queue
+    .then(() => handlers[data.type](data))
+    .catch(err => {
+      job = null;
+      self.postMessage({ type: 'error', message: err.message });
+    });
+};
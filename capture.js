@@ -0,0 +1,212 @@
+/**
+ * capture.js — Record the piece to GIF, APNG or WebM at a fixed timestep (browser)
+ *
+ * While a capture runs, the page's animation loops stand down (captureActive()) and the
+ * capture steps both layers itself: the WebGL composer by 1/fps seconds and the 2D system
+ * by whole FRAME_MS steps per output frame. Nothing depends on how fast the machine is, so
+ * no frame is dropped — a slow machine just takes longer.
+ *
+ *   const clip = await captureClip({ composer, palette, seed, particles: sys, format: 'gif', seconds: 6 });
+ *   // clip.bytes, clip.type ('image/gif' | 'image/apng' | 'video/webm')
+ *
+ * Encoding: GIF and APNG in a worker (capture-worker.js); WebM via MediaRecorder on a canvas
+ * stream, paused between frames so each one lasts exactly 1/fps in the file however long it
+ * took to render — which makes WebM capture run at least in real time.
+ *
+ * loop: true renders loopSeconds extra and crossfades them into the clip's start, so the
+ * last frame leads into the first. APNG clips carry provenance (provenance.js) like freezes.
+ */
+
+import { FRAME_MS } from './generative.js';
+import { provenanceText } from './provenance.js';
+
+export const CAPTURE_FORMATS = {
+  gif: 'image/gif',
+  apng: 'image/apng',
+  webm: 'video/webm',
+};
+
+const SIM_FPS = Math.round(1000 / FRAME_MS);
+const MAX_IN_FLIGHT = 4;  // frames handed to the worker and not yet encoded
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+let active = null;
+
+// True while a capture owns the clock — the page's loops skip their frames
+export function captureActive() {
+  return active !== null;
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GIF / APNG sink: frames to the worker, at most MAX_IN_FLIGHT ahead of it
+function workerSink(options) {
+  const worker = new Worker(new URL('./capture-worker.js', import.meta.url), { type: 'module' });
+  let encoded = 0, sent = 0, failure = null;
+  let wake = null, finished = null;
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'frame') encoded = data.index + 1;
+    if (data.type === 'error') failure = new Error(data.message);
+    if (data.type === 'done') finished?.resolve(new Uint8Array(data.bytes));
+    if (failure) finished?.reject(failure);
+    wake?.();
+  };
+  worker.postMessage({ type: 'start', ...options });
+
+  return {
+    async frame(imageData) {
+      while (!failure && sent - encoded >= MAX_IN_FLIGHT) await new Promise(resolve => { wake = resolve; });
+      if (failure) throw failure;
+      const { buffer } = imageData.data;
+      worker.postMessage({ type: 'frame', rgba: buffer }, [buffer]);
+      sent++;
+    },
+    async finish() {
+      try {
+        return await new Promise((resolve, reject) => {
+          finished = { resolve, reject };
+          if (failure) reject(failure);
+          else worker.postMessage({ type: 'finish' });
+        });
+      } finally {
+        worker.terminate();
+      }
+    },
+    cancel() {
+      worker.terminate();
+    },
+  };
+}
+
+// WebM sink: a canvas stream recorded in real time, paused while the next frame renders
+function webmSink({ width, height, fps }) {
+  const mimeType = WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+  if (!mimeType) throw new Error('[capture] This browser cannot record WebM');
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+  const chunks = [];
+  recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+  recorder.start();
+  recorder.pause();
+
+  return {
+    async frame(imageData) {
+      ctx.putImageData(imageData, 0, 0);
+      recorder.resume();
+      track.requestFrame();
+      await sleep(1000 / fps);
+      recorder.pause();
+    },
+    async finish() {
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      recorder.resume();
+      recorder.stop();
+      await stopped;
+      track.stop();
+      return new Uint8Array(await new Blob(chunks, { type: 'video/webm' }).arrayBuffer());
+    },
+    cancel() {
+      if (recorder.state !== 'inactive') recorder.stop();
+      track.stop();
+    },
+  };
+}
+
+/**
+ * Step both layers through a clip and encode it
+ * @param {Object} options
+ * @param {import('./engine/composer.js').Composer} options.composer - WebGL layer; continues from its current time
+ * @param {Object} options.palette - A palettes.js palette, as passed to composer.render()
+ * @param {number} options.seed
+ * @param {import('./generative.js').ParticleSystem} options.particles - The on-screen 2D system; stepped in place
+ * @param {'gif'|'apng'|'webm'} [options.format='gif']
+ * @param {number} [options.seconds=6] - Clip length
+ * @param {number} [options.fps=30] - Must divide 60 (the 2D timestep); GIF at most 50
+ * @param {number} [options.size=720] - Long edge in pixels, at most the screen's
+ * @param {boolean} [options.loop=true] - Seamless loop; false for a plain clip that plays once
+ * @param {number} [options.loopSeconds=1] - Crossfade length when looping
+ * @param {number} [options.layerAlpha=0.7] - 2D layer opacity, as #gen-canvas on the page
+ * @param {import('./artwork-state.js').ArtworkState} [options.state] - Embedded in APNG clips
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{ bytes: Uint8Array, type: string, width: number, height: number, frames: number, fps: number }>}
+ */
+export async function captureClip({
+  composer, palette, seed, particles, format = 'gif', seconds = 6, fps = 30, size = 720,
+  loop = true, loopSeconds = 1, layerAlpha = 0.7, state, onProgress,
+}) {
+  if (!(format in CAPTURE_FORMATS)) throw new Error(`[capture] Unknown format "${format}" (${Object.keys(CAPTURE_FORMATS).join(', ')})`);
+  if (!Number.isInteger(SIM_FPS / fps)) throw new Error(`[capture] fps must divide ${SIM_FPS}, got ${fps}`);
+  if (format === 'gif' && fps > 50) throw new Error('[capture] GIF players slow frames under 20ms — use fps ≤ 50');
+  if (format === 'webm' && !(globalThis.MediaRecorder && HTMLCanvasElement.prototype.captureStream)) {
+    throw new Error('[capture] WebM needs MediaRecorder and canvas.captureStream');
+  }
+  if (active) throw new Error('[capture] Already capturing');
+
+  const glCanvas = composer.gl.canvas;
+  const scale = Math.min(1, size / Math.max(glCanvas.width, glCanvas.height));
+  // Even dimensions — video encoders subsample chroma by two
+  const width = Math.round(glCanvas.width * scale / 2) * 2;
+  const height = Math.round(glCanvas.height * scale / 2) * 2;
+  const frames = Math.round(seconds * fps);
+  const overlap = loop ? Math.min(Math.round(loopSeconds * fps), frames >> 1) : 0;
+  const total = frames + overlap;
+  const simSteps = SIM_FPS / fps;
+
+  const surface = document.createElement('canvas');
+  surface.width = width;
+  surface.height = height;
+  const ctx = surface.getContext('2d', { willReadFrequently: true });
+
+  active = { format };
+  let sink = null;
+  try {
+    const metadata = format === 'apng' && state ? await provenanceText(state) : {};
+    sink = format === 'webm'
+      ? webmSink({ width, height, fps })
+      : workerSink({ format, width, height, fps, frames, loop, ...metadata });
+
+    // Looping: the first `overlap` frames are held back and faded in over the clip's last
+    // `overlap`, so the end dissolves into where playback restarts
+    const head = [];
+    let time = composer.time;
+    for (let i = 0; i < total; i++) {
+      time += 1 / fps;
+      composer.render(time, palette, seed);
+      for (let s = 0; s < simSteps; s++) particles.step();
+
+      ctx.globalAlpha = 1;
+      ctx.drawImage(glCanvas, 0, 0, width, height);
+      ctx.globalAlpha = layerAlpha;
+      ctx.drawImage(particles.canvas, 0, 0, width, height);
+      const image = ctx.getImageData(0, 0, width, height);
+
+      if (i < overlap) {
+        head.push(image);
+      } else {
+        if (i >= frames) {
+          const j = i - frames;
+          const w = (j + 1) / (overlap + 1);
+          const a = image.data, b = head[j].data;
+          for (let k = 0; k < a.length; k++) a[k] = a[k] + (b[k] - a[k]) * w;
+          head[j] = null;
+        }
+        await sink.frame(image);
+      }
+      onProgress?.(i + 1, total);
+      await nextTask();
+    }
+
+    const bytes = await sink.finish();
+    sink = null;
+    return { bytes, type: CAPTURE_FORMATS[format], width, height, frames, fps };
+  } finally {
+    sink?.cancel();
+    active = null;
+  }
+}
@@ -0,0 +1,644 @@
+/**
+ * compositions.js — Composition registry for the 2D particle layer
+ * Each composition is a module: { name, init, update, draw, handleLiveEvent? }
+ *
+ * ParticleSystem owns the shared state (rng, nodes, particles, time, live effect);
+ * a composition owns the motion and the look. All hooks receive the system:
+ *   init(sys)                       — build per-composition state in sys.state
+ *   update(sys)                     — advance one fixed timestep
+ *   draw(sys)                       — render onto sys.ctx (background fade is done by the core)
+ *   handleLiveEvent(sys, effect, nodeIdx, rng) — optional one-shot response; defaults to defaultLiveEvent
+ *   applyEffect(sys, effect, progress)          — optional per-frame force while an effect is
+ *                                                 active; defaults to defaultEffectForce
+ *
+ * defaults (optional) lists the composition's tunable constants — damping, attraction,
+ * trailLength — which it reads back from sys.tuning, so the control panel (panel.js) can
+ * override them.
+ */
+
+import { ParticleBuffer } from './particles.js';
+
+const registry = new Map();
+
+export function registerComposition(comp) {
+  if (!comp || typeof comp.name !== 'string' || !comp.name) {
+    throw new Error('[compositions] composition needs a name');
+  }
+  for (const hook of ['init', 'update', 'draw']) {
+    if (typeof comp[hook] !== 'function') {
+      throw new Error(`[compositions] "${comp.name}" is missing ${hook}()`);
+    }
+  }
+  registry.set(comp.name, comp);
+  return comp;
+}
+
+export function getComposition(name) {
+  return registry.get(name) || null;
+}
+
+// Registration order — built-ins first, so existing seeds keep their composition
+export function compositionNames() {
+  return [...registry.keys()];
+}
+
+// ── Shared helpers ──────────────────────────────────────────────────────────
+
+function hexAlpha(alpha) {
+  return Math.floor(Math.max(0, Math.min(1, alpha)) * 255).toString(16).padStart(2, '0');
+}
+
+// Seeded 2D value noise in [0,1]
+function makeNoise(rng) {
+  const perm = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) perm[i] = i;
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [perm[i], perm[j]] = [perm[j], perm[i]];
+  }
+  const h = (i, j) => perm[(perm[i & 255] + j) & 255] / 255;
+  return (x, y) => {
+    const xi = Math.floor(x), yi = Math.floor(y);
+    const xf = x - xi, yf = y - yi;
+    const u = xf * xf * (3 - 2 * xf), v = yf * yf * (3 - 2 * yf);
+    const a = h(xi, yi) + (h(xi + 1, yi) - h(xi, yi)) * u;
+    const b = h(xi, yi + 1) + (h(xi + 1, yi + 1) - h(xi, yi + 1)) * u;
+    return a + (b - a) * v;
+  };
+}
+
+function spawnNear(sys, nodeIdx, spread, speed) {
+  const { rng } = sys;
+  const home = sys.scaledNodes[nodeIdx];
+  const x = home.sx + (rng() - 0.5) * spread;
+  const y = home.sy + (rng() - 0.5) * spread;
+  const vx = (rng() - 0.5) * speed;
+  const vy = (rng() - 0.5) * speed;
+  const life = rng();
+  return sys.particles.spawn(x, y, vx, vy, life, 0.6 + rng() * 0.4, nodeIdx);
+}
+
+function respawn(sys, i, spread, speed) {
+  const { rng } = sys;
+  const P = sys.particles;
+  const home = sys.scaledNodes[P.home[i]];
+  P.x[i] = home.sx + (rng() - 0.5) * spread;
+  P.y[i] = home.sy + (rng() - 0.5) * spread;
+  P.vx[i] = (rng() - 0.5) * speed;
+  P.vy[i] = (rng() - 0.5) * speed;
+  P.life[i] = 0;
+  P.tint[i] = -1;
+  P.clearTrail(i);
+}
+
+function outOfBounds(sys, i) {
+  const P = sys.particles;
+  return P.x[i] < 0 || P.x[i] > sys.canvas.width || P.y[i] < 0 || P.y[i] > sys.canvas.height;
+}
+
+const ALPHA_BUCKETS = 8;
+
+// Scratch for drawTrails' counting sort, grown on demand and reused every frame
+let trailKeys = new Int32Array(0);
+let trailOrder = new Int32Array(0);
+
+// Trails batched into one path per (tint, alpha bucket) — a handful of strokes per
+// frame however many particles there are
+export function drawTrails(sys, color, width = 0.8) {
+  const { ctx } = sys;
+  const P = sys.particles;
+  const n = P.count;
+  const groups = ALPHA_BUCKETS * (P.tints.length + 1);
+  if (trailKeys.length < n) {
+    trailKeys = new Int32Array(P.capacity);
+    trailOrder = new Int32Array(P.capacity);
+  }
+  const keys = trailKeys;
+  const order = trailOrder;
+  const starts = new Int32Array(groups + 1);
+
+  for (let i = 0; i < n; i++) {
+    if (P.trailLen[i] < 2) {
+      keys[i] = -1;
+      continue;
+    }
+    const t = Math.max(0, Math.min(0.999, 1 - P.life[i] / P.maxLife[i]));
+    keys[i] = (P.tint[i] + 1) * ALPHA_BUCKETS + Math.floor(t * ALPHA_BUCKETS);
+    starts[keys[i] + 1]++;
+  }
+  for (let g = 0; g < groups; g++) starts[g + 1] += starts[g];
+  const fill = starts.slice();
+  for (let i = 0; i < n; i++) if (keys[i] >= 0) order[fill[keys[i]]++] = i;
+
+  ctx.lineWidth = width;
+  for (let g = 0; g < groups; g++) {
+    if (starts[g] === starts[g + 1]) continue;
+    const tint = Math.floor(g / ALPHA_BUCKETS) - 1;
+    const alpha = ((g % ALPHA_BUCKETS) + 0.5) / ALPHA_BUCKETS * 0.7;
+    ctx.beginPath();
+    for (let k = starts[g]; k < starts[g + 1]; k++) P.traceTrail(ctx, order[k]);
+    ctx.strokeStyle = (tint >= 0 ? P.tints[tint] : color) + Math.floor(alpha * 180).toString(16).padStart(2, '0');
+    ctx.stroke();
+  }
+}
+
+export function drawConnections(sys) {
+  const { ctx, params, scaledNodes, time } = sys;
+  for (let i = 0; i < scaledNodes.length; i++) {
+    const n = scaledNodes[i];
+    for (const j of params.nodes[i].connections) {
+      const t = scaledNodes[j];
+      const pulse = 0.15 + Math.sin(time * 1.2 + i * 0.5) * 0.08;
+      ctx.beginPath();
+      ctx.moveTo(n.sx, n.sy);
+      ctx.lineTo(t.sx, t.sy);
+      ctx.strokeStyle = params.palette.secondary + hexAlpha(pulse);
+      ctx.lineWidth = 0.5;
+      ctx.stroke();
+    }
+  }
+}
+
+// Nodes as luminescent orbs; n.glow (0-1) is the node's recent on-chain activity
+export function drawNodes(sys) {
+  const { ctx, scaledNodes, time } = sys;
+  const { palette } = sys.params;
+  for (const n of scaledNodes) {
+    const pulse = 0.7 + Math.sin(time * 1.5 + n.phase) * 0.3;
+    const r = 3 + n.mass * 8 * pulse;
+    const glow = n.glow || 0;
+
+    // Outer glow — busy nodes burn wider and hotter
+    const grd = ctx.createRadialGradient(n.sx, n.sy, 0, n.sx, n.sy, r * (3 + glow * 2));
+    grd.addColorStop(0, palette.primary + 'cc');
+    grd.addColorStop(0.4, (glow > 0.5 ? palette.accent : palette.primary) + '44');
+    grd.addColorStop(1, palette.primary + '00');
+    ctx.beginPath();
+    ctx.arc(n.sx, n.sy, r * (3 + glow * 2), 0, Math.PI * 2);
+    ctx.fillStyle = grd;
+    ctx.fill();
+
+    // Core
+    ctx.beginPath();
+    ctx.arc(n.sx, n.sy, r * 0.6, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+  }
+}
+
+// Continuous forces while an effect is active, driven by its mapped action
+export function defaultEffectForce(sys, effect, progress) {
+  const { kind, strength = 1, radius = 200 } = effect.action || {};
+  const P = sys.particles;
+  const { x, y, vx, vy } = P;
+  const cx = effect.x * sys.canvas.width;
+  const cy = effect.y * sys.canvas.height;
+  const k = effect.magnitude * strength * (1 - progress);
+  const r2 = radius * radius;
+
+  if (kind === 'attract' || kind === 'repel') {
+    // Gravity well — pull (or push) particles for the whole duration
+    const f = 0.0002 * k * (kind === 'attract' ? 1 : -1);
+    for (let i = 0; i < P.count; i++) {
+      const dx = cx - x[i];
+      const dy = cy - y[i];
+      if (dx * dx + dy * dy < r2) {
+        vx[i] += dx * f;
+        vy[i] += dy * f;
+      }
+    }
+  } else if (kind === 'swirl') {
+    // Distortion — tangential kick around the epicenter
+    for (let i = 0; i < P.count; i++) {
+      const dx = x[i] - cx;
+      const dy = y[i] - cy;
+      const d2 = dx * dx + dy * dy;
+      if (d2 < r2) {
+        const falloff = 1 - d2 / r2;
+        vx[i] += -dy * 0.004 * k * falloff;
+        vy[i] += dx * 0.004 * k * falloff;
+      }
+    }
+  }
+}
+
+// One-shot physics shared by particle compositions: spawn, cull, recolor
+export function defaultLiveEvent(sys, effect, nodeIdx, rng) {
+  const P = sys.particles;
+  const node = sys.params.nodes[nodeIdx];
+  const cx = node.x * sys.canvas.width;
+  const cy = node.y * sys.canvas.height;
+  const action = effect.action || {};
+
+  if (action.kind === 'spawn') {
+    // Spawn new particles
+    for (let i = 0; i < action.count; i++) {
+      const vx = (rng() - 0.5) * 2;
+      const vy = (rng() - 0.5) * 2;
+      P.spawn(cx, cy, vx, vy, 0, 1, nodeIdx);
+    }
+  } else if (action.kind === 'cull') {
+    // Kill nearby particles
+    const r2 = action.radius * action.radius;
+    P.removeWhere(i => (cx - P.x[i]) ** 2 + (cy - P.y[i]) ** 2 <= r2);
+  } else if (action.kind === 'recolor') {
+    // Tint nearby particles until they respawn
+    const r2 = (action.radius || 120) ** 2;
+    const tint = P.tintIndex(sys._resolveColor(action.color));
+    for (let i = 0; i < P.count; i++) {
+      if ((cx - P.x[i]) ** 2 + (cy - P.y[i]) ** 2 < r2) P.tint[i] = tint;
+    }
+  }
+}
+
+function initOrbitParticles(sys, spread, speed, trailLength) {
+  sys.particles = new ParticleBuffer(sys.params.particleCount, trailLength);
+  sys.state.spawnSpec = { spread, speed };  // adjustParticles() tops up with the same scatter
+  for (let i = 0; i < sys.params.particleCount; i++) {
+    spawnNear(sys, i % sys.scaledNodes.length, spread, speed);
+  }
+}
+
+// Add (n > 0) or drop (n < 0) particles for density modulation. Compositions that
+// didn't start from initOrbitParticles (reaction-diffusion) have nothing to scale.
+export function adjustParticles(sys, n) {
+  const spec = sys.state.spawnSpec;
+  if (!spec) return;
+  const P = sys.particles;
+  if (n < 0) {
+    P.count = Math.max(0, P.count + n);  // newest first
+    return;
+  }
+  for (let k = 0; k < n; k++) spawnNear(sys, P.count % sys.scaledNodes.length, spec.spread, spec.speed);
+}
+
+// ── Built-in compositions ───────────────────────────────────────────────────
+
+// Flow field — particles orbit their home node through a turbulent field (the original look)
+registerComposition({
+  name: 'flow field',
+  defaults: { damping: 0.96, attraction: 0.04, trailLength: 18 },
+  init(sys) {
+    initOrbitParticles(sys, 60, 0.5, sys.tuning.trailLength);
+  },
+  update(sys) {
+    const { time, scaledNodes } = sys;
+    const { turbulence } = sys;
+    const { damping, attraction } = sys.tuning;
+    const P = sys.particles;
+    const { x, y, vx, vy, life, maxLife, home } = P;
+    for (let i = 0; i < P.count; i++) {
+      // Attract toward home node
+      const h = scaledNodes[home[i]];
+      const dx = h.sx + Math.sin(time + h.phase) * 40 - x[i];
+      const dy = h.sy + Math.cos(time * 0.7 + h.phase) * 40 - y[i];
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+
+      // Flow field noise-like perturbation
+      const angle = (x[i] * 0.003 + y[i] * 0.003 + time * 0.3) * turbulence;
+      vx[i] += dx / dist * attraction + Math.cos(angle) * 0.02;
+      vy[i] += dy / dist * attraction + Math.sin(angle) * 0.02;
+
+      // Dampen
+      vx[i] *= damping;
+      vy[i] *= damping;
+
+      x[i] += vx[i];
+      y[i] += vy[i];
+      P.pushTrail(i);
+
+      life[i] += 0.004;
+      if (life[i] > maxLife[i] || outOfBounds(sys, i)) respawn(sys, i, 80, 0.4);
+    }
+  },
+  draw(sys) {
+    drawConnections(sys);
+    drawTrails(sys, sys.params.palette.primary);
+    drawNodes(sys);
+  },
+});
+
+// Curl noise — divergence-free advection; nodes bend the stream function
+registerComposition({
+  name: 'curl noise',
+  defaults: { damping: 0.8, trailLength: 24 },
+  init(sys) {
+    sys.state.noise = makeNoise(sys.rng);
+    initOrbitParticles(sys, 200, 0, sys.tuning.trailLength);
+  },
+  update(sys) {
+    const { noise } = sys.state;
+    const { turbulence } = sys;
+    const { damping } = sys.tuning;
+    const P = sys.particles;
+    const { x, y, vx, vy, life, maxLife } = P;
+    const scale = 0.0025 * (0.6 + turbulence);
+    const eps = 1;
+    const psi = (px, py) => {
+      let v = noise(px * scale + sys.time * 0.2, py * scale) * 60;
+      for (const n of sys.scaledNodes) {
+        const d2 = (px - n.sx) ** 2 + (py - n.sy) ** 2;
+        v += n.mass * 40 * Math.exp(-d2 / 8000);
+      }
+      return v;
+    };
+    for (let i = 0; i < P.count; i++) {
+      const cvx = (psi(x[i], y[i] + eps) - psi(x[i], y[i] - eps)) / (2 * eps);
+      const cvy = -(psi(x[i] + eps, y[i]) - psi(x[i] - eps, y[i])) / (2 * eps);
+      vx[i] = vx[i] * damping + cvx * 0.4;
+      vy[i] = vy[i] * damping + cvy * 0.4;
+      x[i] += vx[i];
+      y[i] += vy[i];
+      P.pushTrail(i);
+
+      life[i] += 0.003;
+      if (life[i] > maxLife[i] || outOfBounds(sys, i)) respawn(sys, i, 200, 0);
+    }
+  },
+  draw(sys) {
+    drawTrails(sys, sys.params.palette.primary, 0.6);
+    drawNodes(sys);
+  },
+});
+
+// Vector lattice — a quantised field drawn as a grid of needles; particles hop cell to cell
+registerComposition({
+  name: 'vector lattice',
+  defaults: { damping: 0.7, trailLength: 12 },
+  init(sys) {
+    sys.state.noise = makeNoise(sys.rng);
+    sys.state.cell = 28;
+    initOrbitParticles(sys, 120, 0, sys.tuning.trailLength);
+  },
+  update(sys) {
+    const { cell } = sys.state;
+    const { damping } = sys.tuning;
+    const P = sys.particles;
+    const { x, y, vx, vy, life, maxLife } = P;
+    for (let i = 0; i < P.count; i++) {
+      const gx = (Math.floor(x[i] / cell) + 0.5) * cell;
+      const gy = (Math.floor(y[i] / cell) + 0.5) * cell;
+      const a = latticeAngle(sys, gx, gy);
+      vx[i] = vx[i] * damping + Math.cos(a) * 0.6;
+      vy[i] = vy[i] * damping + Math.sin(a) * 0.6;
+      x[i] += vx[i];
+      y[i] += vy[i];
+      P.pushTrail(i);
+
+      life[i] += 0.005;
+      if (life[i] > maxLife[i] || outOfBounds(sys, i)) respawn(sys, i, 120, 0);
+    }
+  },
+  draw(sys) {
+    const { ctx, canvas } = sys;
+    const { cell } = sys.state;
+    const { palette } = sys.params;
+    ctx.beginPath();
+    for (let y = cell / 2; y < canvas.height; y += cell) {
+      for (let x = cell / 2; x < canvas.width; x += cell) {
+        const a = latticeAngle(sys, x, y);
+        const len = cell * 0.35;
+        ctx.moveTo(x - Math.cos(a) * len, y - Math.sin(a) * len);
+        ctx.lineTo(x + Math.cos(a) * len, y + Math.sin(a) * len);
+      }
+    }
+    ctx.strokeStyle = palette.secondary + '33';
+    ctx.lineWidth = 0.6;
+    ctx.stroke();
+    drawTrails(sys, palette.primary, 1);
+    drawNodes(sys);
+  },
+});
+
+// Field direction at a lattice point: swirl around the nearest node plus noise
+function latticeAngle(sys, x, y) {
+  const { noise } = sys.state;
+  let best = sys.scaledNodes[0], bestD = Infinity;
+  for (const n of sys.scaledNodes) {
+    const d = (x - n.sx) ** 2 + (y - n.sy) ** 2;
+    if (d < bestD) { bestD = d; best = n; }
+  }
+  const swirl = Math.atan2(y - best.sy, x - best.sx) + Math.PI / 2;
+  return swirl + (noise(x * 0.004, y * 0.004 + sys.time * 0.1) - 0.5) * Math.PI * sys.turbulence;
+}
+
+// Voronoi crystal — particles gather on the boundaries of mass-weighted node cells
+registerComposition({
+  name: 'voronoi crystal',
+  defaults: { damping: 0.94, trailLength: 6 },
+  init(sys) {
+    initOrbitParticles(sys, 240, 0.3, sys.tuning.trailLength);
+  },
+  update(sys) {
+    const P = sys.particles;
+    const { x, y, vx, vy, life, maxLife, flag } = P;
+    const swirl = 0.3 * sys.turbulence;
+    const { damping } = sys.tuning;
+    for (let i = 0; i < P.count; i++) {
+      const [near, second] = nearestTwo(sys, x[i], y[i]);
+      const n = sys.scaledNodes[near.i];
+      const gap = second.d - near.d;
+      const dx = x[i] - n.sx, dy = y[i] - n.sy;
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+
+      if (gap > 3) {
+        // Inside a cell — drift outward toward the crystal boundary
+        vx[i] += dx / dist * 0.05;
+        vy[i] += dy / dist * 0.05;
+      } else {
+        // On an edge — slide along it
+        vx[i] = vx[i] * 0.5 - dy / dist * swirl;
+        vy[i] = vy[i] * 0.5 + dx / dist * swirl;
+      }
+      vx[i] *= damping;
+      vy[i] *= damping;
+      x[i] += vx[i];
+      y[i] += vy[i];
+      flag[i] = gap < 6 ? 1 : 0;
+      P.pushTrail(i);
+
+      life[i] += 0.002;
+      if (life[i] > maxLife[i] || outOfBounds(sys, i)) respawn(sys, i, 240, 0.3);
+    }
+  },
+  draw(sys) {
+    const { ctx } = sys;
+    const { palette } = sys.params;
+    const P = sys.particles;
+    // One path per (edge, tint) group
+    for (let tint = -1; tint < P.tints.length; tint++) {
+      for (const edge of [0, 1]) {
+        ctx.beginPath();
+        let any = false;
+        for (let i = 0; i < P.count; i++) {
+          if (P.flag[i] !== edge || P.tint[i] !== tint) continue;
+          ctx.rect(P.x[i] - 0.75, P.y[i] - 0.75, 1.5, 1.5);
+          any = true;
+        }
+        if (!any) continue;
+        const base = tint >= 0 ? P.tints[tint] : edge ? palette.secondary : palette.primary;
+        ctx.fillStyle = base + (edge ? 'cc' : '30');
+        ctx.fill();
+      }
+    }
+    drawNodes(sys);
+  },
+});
+
+// Mass-weighted distance to the two nearest nodes
+function nearestTwo(sys, x, y) {
+  let a = { i: 0, d: Infinity }, b = { i: 0, d: Infinity };
+  sys.scaledNodes.forEach((n, i) => {
+    const d = Math.hypot(x - n.sx, y - n.sy) / (0.5 + n.mass);
+    if (d < a.d) { b = a; a = { i, d }; } else if (d < b.d) { b = { i, d }; }
+  });
+  return [a, b];
+}
+
+// Reaction-diffusion — Gray-Scott on a coarse grid; turbulence sets the feed rate
+registerComposition({
+  name: 'reaction-diffusion',
+  init(sys) {
+    const cols = 96;
+    const rows = Math.max(8, Math.round(cols * sys.canvas.height / Math.max(sys.canvas.width, 1)));
+    const u = new Float32Array(cols * rows).fill(1);
+    const v = new Float32Array(cols * rows);
+    sys.state.rd = { cols, rows, u, v, u2: new Float32Array(cols * rows), v2: new Float32Array(cols * rows) };
+    sys.particles = new ParticleBuffer(0, 1);
+    for (const n of sys.params.nodes) {
+      rdSeed(sys, n.x, n.y, 2 + Math.floor(sys.rng() * 3), 0.5);
+    }
+  },
+  update(sys) {
+    const rd = sys.state.rd;
+    const { cols, rows } = rd;
+    const feed = 0.03 + Math.min(1, sys.turbulence) * 0.025;  // patterns die out past ~0.055
+    const kill = 0.062;
+    for (let iter = 0; iter < 4; iter++) {
+      const { u, v, u2, v2 } = rd;
+      for (let y = 0; y < rows; y++) {
+        const ym = ((y - 1 + rows) % rows) * cols, yp = ((y + 1) % rows) * cols, yc = y * cols;
+        for (let x = 0; x < cols; x++) {
+          const xm = (x - 1 + cols) % cols, xp = (x + 1) % cols;
+          const i = yc + x;
+          const lapU = u[yc + xm] + u[yc + xp] + u[ym + x] + u[yp + x] - 4 * u[i];
+          const lapV = v[yc + xm] + v[yc + xp] + v[ym + x] + v[yp + x] - 4 * v[i];
+          const uvv = u[i] * v[i] * v[i];
+          u2[i] = u[i] + (lapU * 0.2 - uvv + feed * (1 - u[i]));
+          v2[i] = v[i] + (lapV * 0.1 + uvv - (feed + kill) * v[i]);
+        }
+      }
+      rd.u = u2; rd.u2 = u;
+      rd.v = v2; rd.v2 = v;
+    }
+  },
+  draw(sys) {
+    const { ctx, canvas } = sys;
+    const { cols, rows, v } = sys.state.rd;
+    const cw = canvas.width / cols, ch = canvas.height / rows;
+    const { palette } = sys.params;
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const c = v[y * cols + x];
+        if (c < 0.12) continue;
+        ctx.fillStyle = (c > 0.3 ? palette.primary : palette.secondary) + hexAlpha(Math.min(1, c * 1.6));
+        ctx.fillRect(x * cw, y * ch, cw + 0.5, ch + 0.5);
+      }
+    }
+    drawNodes(sys);
+  },
+  handleLiveEvent(sys, effect, nodeIdx) {
+    const node = sys.params.nodes[nodeIdx];
+    if (effect.action?.kind === 'cull') rdSeed(sys, node.x, node.y, 4, 0);
+    else rdSeed(sys, node.x, node.y, Math.round(1 + effect.magnitude * 3), 0.5);
+  },
+});
+
+// Stamp a square of chemical V (0 clears) at normalised (x, y)
+function rdSeed(sys, nx, ny, radius, value) {
+  const { cols, rows, u, v } = sys.state.rd;
+  const cx = Math.floor(nx * cols), cy = Math.floor(ny * rows);
+  for (let y = cy - radius; y <= cy + radius; y++) {
+    for (let x = cx - radius; x <= cx + radius; x++) {
+      const i = ((y + rows) % rows) * cols + ((x + cols) % cols);
+      v[i] = value;
+      if (value > 0) u[i] = 0.5;
+    }
+  }
+}
+
+// Orbital rings — particles ride concentric rings around their home node. A gravity well
+// boosts ring speed on top of each particle's own omega; the boost decays (half-life ~0.75s)
+// and stacks only up to MAX_RING_BOOST, so repeated whales can't wind the rings up for good.
+const RING_BOOST_DECAY = 0.985;
+const MAX_RING_BOOST = 3;
+
+registerComposition({
+  name: 'orbital rings',
+  defaults: { trailLength: 16 },
+  init(sys) {
+    initOrbitParticles(sys, 0, 0, sys.tuning.trailLength);
+    for (let i = 0; i < sys.particles.count; i++) initOrbit(sys, i);
+  },
+  update(sys) {
+    const P = sys.particles;
+    const { x, y, vx, vy, life, maxLife, home } = P;
+    const spin = 1 + sys.turbulence;
+    const ring = P.channel('ring'), angle = P.channel('angle'), omega = P.channel('omega'), tilt = P.channel('tilt');
+    const boost = P.channel('boost');
+    for (let i = 0; i < P.count; i++) {
+      // Particles spawned by live events arrive without an orbit
+      if (ring[i] === 0) initOrbit(sys, i);
+      const h = sys.scaledNodes[home[i]];
+      angle[i] += omega[i] * spin * (1 + boost[i]);
+      boost[i] *= RING_BOOST_DECAY;
+      const nx = h.sx + Math.cos(angle[i]) * ring[i];
+      const ny = h.sy + Math.sin(angle[i]) * ring[i] * tilt[i];
+      vx[i] = nx - x[i];
+      vy[i] = ny - y[i];
+      x[i] = nx;
+      y[i] = ny;
+      P.pushTrail(i);
+      life[i] += 0.002;
+      if (life[i] > maxLife[i]) {
+        life[i] = 0;
+        P.clearTrail(i);
+      }
+    }
+  },
+  draw(sys) {
+    drawConnections(sys);
+    drawTrails(sys, sys.params.palette.primary, 1);
+    drawNodes(sys);
+  },
+  // Positions are analytic — velocity kicks would be overwritten next frame
+  applyEffect() {},
+  handleLiveEvent(sys, effect, nodeIdx, rng) {
+    if (effect.action?.kind === 'attract') {
+      // Gravity well — every ring around the epicenter speeds up, for a while
+      const P = sys.particles;
+      const boost = P.channel('boost');
+      for (let i = 0; i < P.count; i++) {
+        if (P.home[i] === nodeIdx) boost[i] = Math.min(MAX_RING_BOOST, boost[i] + effect.magnitude);
+      }
+      return;
+    }
+    defaultLiveEvent(sys, effect, nodeIdx, rng);
+  },
+});
+
+function initOrbit(sys, i) {
+  const { rng } = sys;
+  const P = sys.particles;
+  const node = sys.params.nodes[P.home[i]];
+  const ring = 12 + Math.floor(rng() * 4) * 14 * (0.5 + node.mass);
+  const angle = rng() * Math.PI * 2;
+  P.channel('ring')[i] = ring;
+  P.channel('angle')[i] = angle;
+  P.channel('omega')[i] = (node.speed * 40 + 0.004) * (rng() < 0.5 ? -1 : 1) * (30 / ring);
+  P.channel('tilt')[i] = 0.4 + node.mass * 0.6;
+  P.channel('boost')[i] = 0;
+  const h = sys.scaledNodes[P.home[i]];
+  P.x[i] = h.sx + Math.cos(angle) * ring;
+  P.y[i] = h.sy + Math.sin(angle) * ring * P.channel('tilt')[i];
+}
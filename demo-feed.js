@@ -0,0 +1,85 @@
+/**
+ * demo-feed.js — Simulated Solana event stream
+ * Plays a seeded scenario (scenarios.js) on the wall clock: "mainnet" is ~10 events/sec
+ * with a realistic type mix; "whale storm", "network halt" etc. show specific moments on
+ * demand. Used when there is no endpoint to connect to, and as the fallback while a live
+ * feed is reconnecting.
+ */
+
+import { FeedSource, FeedState } from './feed-source.js';
+import { magnitudeFor, DEFAULT_PARSER_CONFIG } from './tx-parser.js';
+import { getScenario, scenarioNames, ScenarioTimeline, DEFAULT_SCENARIO } from './scenarios.js';
+
+export class DemoFeed extends FeedSource {
+  /**
+   * @param {(event: Object) => void} onEvent
+   * @param {Object} [options]
+   * @param {string} [options.scenario='mainnet'] - See scenarios.js
+   * @param {string|number} [options.seed] - Same scenario + seed → same events; random when omitted
+   * @param {Object} [options.parser] - TxParser config, for the magnitude scale
+   * @param {EventRecorder} [options.recorder]
+   */
+  constructor(onEvent, options = {}) {
+    super(onEvent, options);
+    this.kind = 'demo';
+    this.config = { ...DEFAULT_PARSER_CONFIG, ...options.parser };
+    this.scenario = getScenario(options.scenario || DEFAULT_SCENARIO);
+    if (!this.scenario) {
+      throw new Error(`[demo] Unknown scenario "${options.scenario}" — expected one of ${scenarioNames().join(', ')}`);
+    }
+    this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 32).toString(36);
+    this.timeline = null;
+    this.timer = null;
+    this.startMs = 0;
+  }
+
+  // Every connect() starts the scenario over from its first event
+  connect() {
+    if (this.timer) return; // prevent double-start
+    this.timeline = new ScenarioTimeline(this.scenario, this.seed);
+    this.startMs = Date.now();
+    this._setState(FeedState.LIVE);
+    this._scheduleNext();
+    console.log(`[demo] Demo mode active — scenario "${this.scenario.name}", seed ${this.seed}`);
+  }
+
+  disconnect() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    super.disconnect();
+  }
+
+  _scheduleNext() {
+    const next = this.timeline.next();
+    if (!next) return; // a scenario with no events at all
+    const delay = Math.max(0, this.startMs + next.offset - Date.now());
+    this.timer = setTimeout(() => {
+      this._emit(this._toEvent(next, this.startMs + next.offset));
+      this._scheduleNext();
+    }, delay);
+  }
+
+  // Next event in the scenario, stamped now — for driving the art without the timer
+  nextEvent() {
+    if (!this.timeline) this.timeline = new ScenarioTimeline(this.scenario, this.seed);
+    const next = this.timeline.next();
+    return next && this._toEvent(next, Date.now());
+  }
+
+  _toEvent({ type, valueSol, program, sig, slot }, timestamp) {
+    return {
+      type,
+      magnitude: magnitudeFor(valueSol, this.config),
+      sig,
+      program,
+      slot,
+      valueSol,
+      source: 'demo',
+      timestamp,
+    };
+  }
+
+  getStats() {
+    return { ...super.getStats(), scenario: this.scenario.name, seed: this.seed };
+  }
+}
@@ -0,0 +1,478 @@
+/**
+ * engine/composer.js — Composition selector + renderer for the WebGL background layer
+ *
+ * Each composition pairs a fragment shader (engine/shaders.js) with the velocity field
+ * its particles follow. setComposition() crossfades: the outgoing shader keeps drawing
+ * underneath while the incoming one fades in over it, and particles steer by a blend of
+ * both fields for the same span.
+ *
+ *   const composer = new Composer(gl, { particles: 200000 });
+ *   composer.setComposition(slot >> 4);   // index or name
+ *   composer.render(t, palette, seed);    // each frame; t in seconds, palette from palettes.js
+ *
+ * Particles are simulated on the GPU when the context allows (engine/particle-sim.js) and
+ * drawn into a trail buffer that fades by trailFade each frame, so they leave light trails
+ * over the background. setModulation() takes the chain-derived density / speed /
+ * temperature (fetch-chain.js chainToVisuals()) and eases toward them. A new palette
+ * blends in (palettes.js mixPalettes()) over the same span as a composition crossfade.
+ *
+ * readTile() redraws the current frame as one tile of an image of any size, for
+ * high-resolution exports (export.js).
+ */
+
+import {
+  TILE_VS, FADE_FS,
+  FLOW_FIELD_FS, CURL_NOISE_FS, PARTICLE_DRIFT_FS, VECTOR_LATTICE_FS, PHASE_SHIFT_FS,
+  FLOW_FIELD_VELOCITY, CURL_NOISE_VELOCITY, PARTICLE_DRIFT_VELOCITY, VECTOR_LATTICE_VELOCITY, PHASE_SHIFT_VELOCITY,
+  createProgram, uniformLocations,
+} from './shaders.js';
+import { detectParticleBackend, GpuParticleSim, CpuParticleSim, SCREEN_VIEW } from './particle-sim.js';
+import { paletteVec3, mixPalettes, samePalette } from '../palettes.js';
+
+const COMPOSITION_UNIFORMS = ['time', 'seed', 'col_a', 'col_b', 'asp', 'alpha', 'tile'];
+const FULL_TILE = [0, 0, 1, 1];
+
+// Particle speed per frame in clip units, nudged by the seed
+const speedFor = seed => 0.004 + (seed % 100) * 0.00003;
+
+/**
+ * Velocity fields take clip-space x (scaled by aspect) and y, time in seconds, the seed
+ * and the speed — the GPU path's uniform, speedFor(seed) unmodulated — and return a
+ * per-frame step; velocityGLSL is the same field for the GPU path.
+ * Order matters — slots select by index.
+ */
+export const COMPOSITIONS = [
+  {
+    name: 'flow field',
+    fragment: FLOW_FIELD_FS,
+    velocityGLSL: FLOW_FIELD_VELOCITY,
+    velocity(x, y, t, seed, s = speedFor(seed)) {
+      const angle = (Math.sin(x * 3 + t * 0.5) + Math.cos(y * 3.5 - t * 0.3)) * Math.PI;
+      return [Math.cos(angle) * s, Math.sin(angle) * s];
+    },
+  },
+  {
+    // Curl of a scalar potential — divergence-free, so particles never bunch up
+    name: 'curl noise',
+    fragment: CURL_NOISE_FS,
+    velocityGLSL: CURL_NOISE_VELOCITY,
+    velocity(x, y, t, seed, speed = speedFor(seed)) {
+      const s = speed * 0.35;
+      const a = x * 2.1 + t * 0.3, b = y * 2.7 - t * 0.2, c = (x + y) * 4.3 + t * 0.5;
+      const dPdx = 2.1 * Math.cos(a) * Math.cos(b) + 2.15 * Math.cos(c);
+      const dPdy = -2.7 * Math.sin(a) * Math.sin(b) + 2.15 * Math.cos(c);
+      return [dPdy * s, -dPdx * s];
+    },
+  },
+  {
+    name: 'particle drift',
+    fragment: PARTICLE_DRIFT_FS,
+    velocityGLSL: PARTICLE_DRIFT_VELOCITY,
+    velocity(x, y, t, seed, s = speedFor(seed)) {
+      return [Math.sin(y * 3 + x + t * 0.4) * s * 0.3, s * 0.6];
+    },
+  },
+  {
+    // Piecewise-constant: every particle in a lattice cell moves the same way
+    name: 'vector lattice',
+    fragment: VECTOR_LATTICE_FS,
+    velocityGLSL: VECTOR_LATTICE_VELOCITY,
+    velocity(x, y, t, seed, s = speedFor(seed)) {
+      const cx = Math.floor(x * 7), cy = Math.floor(y * 7);
+      const angle = (Math.sin(cx * 0.9 + t * 0.1) + Math.cos(cy * 1.1 - t * 0.13)) * Math.PI;
+      return [Math.cos(angle) * s, Math.sin(angle) * s];
+    },
+  },
+  {
+    // Along the interference bands: perpendicular to the gradient of the two-wave field
+    name: 'phase shift',
+    fragment: PHASE_SHIFT_FS,
+    velocityGLSL: PHASE_SHIFT_VELOCITY,
+    velocity(x, y, t, seed, s = speedFor(seed)) {
+      const c1x = Math.sin(seed * 0.001) * 0.7, c1y = Math.cos(seed * 0.0013) * 0.7;
+      let gx = 0, gy = 0;
+      for (const [cx, cy, k, w, phase] of [[c1x, c1y, 19, 1.2, 0], [-c1x, -c1y, 21, 1.5, 1.7]]) {
+        const dx = x - cx, dy = y - cy;
+        const r = Math.max(Math.sqrt(dx * dx + dy * dy), 1e-3);
+        const g = Math.cos(r * k - t * w + phase) * k / r;
+        gx += g * dx;
+        gy += g * dy;
+      }
+      const len = Math.max(Math.sqrt(gx * gx + gy * gy), 1e-3);
+      return [-gy / len * s, gx / len * s];
+    },
+  },
+];
+
+export function compositionIndex(nameOrIndex) {
+  if (typeof nameOrIndex === 'number') return ((nameOrIndex % COMPOSITIONS.length) + COMPOSITIONS.length) % COMPOSITIONS.length;
+  const i = COMPOSITIONS.findIndex(c => c.name === nameOrIndex);
+  if (i < 0) throw new Error(`[composer] Unknown composition "${nameOrIndex}"`);
+  return i;
+}
+
+const smoothstep = k => k * k * (3 - 2 * k);
+
+export const NEUTRAL_MODULATION = { density: 1, speed: 1, temperature: 0.5 };
+const MODULATION_EASE = 0.02;  // per frame, toward the target
+
+// The two colours the shaders take: the palette's background and primary
+function glColors(palette) {
+  const { background, primary } = paletteVec3(palette);
+  return { a: background, b: primary };
+}
+
+// Warm (temperature > 0.5) or cool (< 0.5) both palette colours
+function tint({ a, b }, temperature) {
+  const w = (temperature - 0.5) * 0.5;
+  const shift = c => [Math.min(1, c[0] * (1 + w)), c[1], Math.min(1, c[2] * (1 - w))];
+  return { a: shift(a), b: shift(b) };
+}
+
+export class Composer {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {Object} [options]
+   * @param {number} [options.particles=600]
+   * @param {'auto'|'float'|'half'|'cpu'} [options.backend='auto'] - Particle simulation path;
+   *   a GPU path the context can't run falls back to the next one down
+   * @param {number} [options.trailFade=0.92] - Trail brightness kept per frame; 0 disables trails
+   * @param {number} [options.crossfade=2.5] - Seconds
+   * @param {number|string} [options.composition=0]
+   */
+  constructor(gl, options = {}) {
+    this.gl = gl;
+    this.crossfade = options.crossfade ?? 2.5;
+    this.trailFade = options.trailFade ?? 0.92;
+
+    this.programs = COMPOSITIONS.map(c => {
+      const program = createProgram(gl, TILE_VS, c.fragment);
+      return { program, uniforms: uniformLocations(gl, program, COMPOSITION_UNIFORMS) };
+    });
+    // Trail pass: fades the trail buffer (fade < 1), and composites it (fade = 1)
+    this.fadeProg = createProgram(gl, TILE_VS, FADE_FS);
+    this.fadeUniforms = uniformLocations(gl, this.fadeProg, ['tex', 'fade', 'tile']);
+    this.trails = null;   // two { tex, fbo } at canvas size, ping-ponged
+    this.trail = 0;       // index of the one holding the latest frame
+    this.width = 0;
+    this.height = 0;
+    this.tileTarget = null;   // { tex, fbo, w, h } for readTile(), kept between tiles
+
+    this.quadBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+    const prefer = !options.backend || options.backend === 'auto' ? 'float' : options.backend;
+    const { backend, type, reason } = detectParticleBackend(gl, prefer);
+    const count = options.particles || 600;
+    this.sim = backend === 'cpu'
+      ? new CpuParticleSim(gl, { count, fields: COMPOSITIONS.map(c => c.velocity) })
+      : new GpuParticleSim(gl, { count, backend, type, fields: COMPOSITIONS.map(c => c.velocityGLSL), quadBuf: this.quadBuf });
+    console.log(`[composer] ${count} particles on ${backend}${reason ? ` (${reason})` : ''}`);
+
+    this.current = compositionIndex(options.composition ?? 0);
+    this.previous = null;
+    this.fadeStart = 0;
+    this.time = 0;
+    this.modulation = { ...NEUTRAL_MODULATION };
+    this.modulationTarget = { ...NEUTRAL_MODULATION };
+    this.motion = 1;              // particle speed on top of modulation — reduced motion (quality.js)
+    this.palette = null;          // as last drawn — mid-blend while a new one fades in
+    this.paletteFrom = null;
+    this.paletteTo = null;
+    this.paletteStart = 0;
+  }
+
+  get composition() {
+    return COMPOSITIONS[this.current].name;
+  }
+
+  get backend() {
+    return this.sim.backend;
+  }
+
+  get particleCount() {
+    return this.sim.count;
+  }
+
+  // Reseeds every particle at a random position
+  setParticleCount(count) {
+    this.sim.setCount(Math.max(1, Math.round(count)));
+  }
+
+  /**
+   * Chain-driven shaping, eased in over a few seconds
+   * @param {{ density?: number, speed?: number, temperature?: number }} modulation -
+   *   density: share of particles drawn (0–1), speed: multiplier, temperature: 0 cool – 1 warm
+   * @param {Object} [options]
+   * @param {boolean} [options.immediate=false] - Jump instead of easing (restoring a saved view)
+   */
+  setModulation(modulation, { immediate = false } = {}) {
+    Object.assign(this.modulationTarget, modulation);
+    if (immediate) Object.assign(this.modulation, this.modulationTarget);
+  }
+
+  // Crossfade to another composition from whatever is on screen now
+  setComposition(nameOrIndex) {
+    const next = compositionIndex(nameOrIndex);
+    if (next === this.current) return;
+    // Switching mid-fade drops the oldest layer; the fade restarts from the current one
+    this.previous = this.current;
+    this.current = next;
+    this.fadeStart = this.time;
+    console.log(`[composer] ${COMPOSITIONS[this.previous].name} → ${COMPOSITIONS[next].name}`);
+  }
+
+  // 0 → 1 over the crossfade; 1 once settled
+  fadeAmount(t = this.time) {
+    if (this.previous === null || !this.crossfade) return 1;
+    return smoothstep(Math.min(1, Math.max(0, (t - this.fadeStart) / this.crossfade)));
+  }
+
+  // The palette to draw at t: a palette unlike the last one starts a blend from what is on
+  // screen, so switching again mid-blend doesn't jump
+  _paletteAt(palette, t) {
+    if (!samePalette(palette, this.paletteTo)) {
+      this.paletteFrom = this.palette ?? palette;
+      this.paletteTo = palette;
+      this.paletteStart = t;
+    }
+    const k = this.crossfade ? smoothstep(Math.min(1, Math.max(0, (t - this.paletteStart) / this.crossfade))) : 1;
+    this.palette = mixPalettes(this.paletteFrom, palette, k);
+    return this.palette;
+  }
+
+  // Trails restart empty at the new size
+  resize(width, height) {
+    const { gl } = this;
+    this.width = width;
+    this.height = height;
+    gl.viewport(0, 0, width, height);
+    for (const { tex, fbo } of this.trails || []) {
+      gl.deleteTexture(tex);
+      gl.deleteFramebuffer(fbo);
+    }
+    this.trails = [0, 1].map(() => {
+      const tex = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      const fbo = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      return { tex, fbo };
+    });
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.trail = 0;
+  }
+
+  /**
+   * Step particles and draw one frame
+   * @param {number} t - Seconds since start
+   * @param {Object} palette - A palettes.js palette; background and primary are drawn
+   * @param {number} seed
+   */
+  render(t, palette, seed) {
+    const { gl } = this;
+    if (!this.trails) this.resize(gl.drawingBufferWidth, gl.drawingBufferHeight);
+    this.time = t;
+    const k = this.fadeAmount(t);
+    if (k >= 1) this.previous = null;
+    const mod = this.modulation;
+    for (const key of Object.keys(mod)) mod[key] += (this.modulationTarget[key] - mod[key]) * MODULATION_EASE;
+    palette = tint(glColors(this._paletteAt(palette, t)), mod.temperature);
+    const drawCount = Math.max(1, Math.round(this.sim.count * Math.min(1, mod.density)));
+
+    // 1. Particles: the outgoing field steers them less as the incoming one fades in
+    this.sim.step({
+      t, seed, k,
+      speed: speedFor(seed) * mod.speed * this.motion,
+      asp: this.width / this.height,
+      from: this.previous ?? this.current,
+      to: this.current,
+      viewport: [this.width, this.height],
+    });
+
+    // 2. Trails: last frame faded into the other buffer, this frame's particles added on top
+    const useTrails = this.trailFade > 0;
+    if (useTrails) {
+      const next = 1 - this.trail;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.trails[next].fbo);
+      this._drawTrail(this.trails[this.trail].tex, this.trailFade);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+      this.sim.draw(palette, drawCount);
+      gl.disable(gl.BLEND);
+      this.trail = next;
+    }
+
+    // 3. Background: outgoing composition, then the incoming one over it
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (this.previous !== null) {
+      this._drawBackground(this.previous, t, palette, seed, 1);
+      gl.enable(gl.BLEND);
+      // Colour fades over; destination alpha stays opaque
+      gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+      this._drawBackground(this.current, t, palette, seed, k);
+      gl.disable(gl.BLEND);
+    } else {
+      this._drawBackground(this.current, t, palette, seed, 1);
+    }
+
+    // 4. Trail layer (or this frame's particles) added over the background
+    gl.enable(gl.BLEND);
+    if (useTrails) {
+      gl.blendFuncSeparate(gl.ONE, gl.ONE, gl.ZERO, gl.ONE);
+      this._drawTrail(this.trails[this.trail].tex, 1);
+    } else {
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+      this.sim.draw(palette, drawCount);
+    }
+    gl.disable(gl.BLEND);
+  }
+
+  // Largest tile readTile() can draw in one pass
+  maxTileSize() {
+    const { gl } = this;
+    const dims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), dims[0], dims[1]);
+  }
+
+  /**
+   * Redraw the last rendered frame — particles are not stepped — as one tile of a
+   * width × height image. Backgrounds are drawn at the tile's own resolution; the trail
+   * buffer is canvas-sized, so the previous frame's trails are upscaled and this frame's
+   * particles drawn crisp over them, at a point size scaled to the image.
+   * @param {{ x: number, y: number, w: number, h: number, width: number, height: number }} tile -
+   *   Pixel rect, y down, of an image with the canvas's aspect; may extend past its edges
+   * @param {Object} palette - As render()
+   * @param {number} seed
+   * @returns {Uint8Array} w × h RGBA, top row first
+   */
+  readTile(tile, palette, seed) {
+    const { gl } = this;
+    const { x, y, w, h, width, height } = tile;
+    if (!this.trails) this.resize(gl.drawingBufferWidth, gl.drawingBufferHeight);
+    const target = this._tileTarget(w, h);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+    gl.viewport(0, 0, w, h);
+
+    const t = this.time;
+    const k = this.fadeAmount(t);
+    palette = tint(glColors(this._paletteAt(palette, t)), this.modulation.temperature);
+    const drawCount = Math.max(1, Math.round(this.sim.count * Math.min(1, this.modulation.density)));
+    // uv (y up) of the tile, and the clip-space view that maps its rect onto the viewport
+    const region = [x / width, 1 - (y + h) / height, w / width, h / height];
+    const [, maxPoint] = gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE);
+    const view = {
+      rect: [(2 * x + w) / width - 1, 1 - (2 * y + h) / height, width / w, height / h],
+      pointSize: Math.min(maxPoint, SCREEN_VIEW.pointSize * width / this.width),
+    };
+
+    if (this.previous !== null) {
+      this._drawBackground(this.previous, t, palette, seed, 1, region);
+      gl.enable(gl.BLEND);
+      gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE);
+      this._drawBackground(this.current, t, palette, seed, k, region);
+      gl.disable(gl.BLEND);
+    } else {
+      this._drawBackground(this.current, t, palette, seed, 1, region);
+    }
+    gl.enable(gl.BLEND);
+    if (this.trailFade > 0) {
+      // The trail buffer before this frame's particles, faded as render() faded it
+      gl.blendFuncSeparate(gl.ONE, gl.ONE, gl.ZERO, gl.ONE);
+      this._drawTrail(this.trails[1 - this.trail].tex, this.trailFade, region);
+    }
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE, gl.ZERO, gl.ONE);
+    this.sim.draw(palette, drawCount, view);
+    gl.disable(gl.BLEND);
+
+    const raw = new Uint8Array(w * h * 4);
+    gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, raw);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.width, this.height);
+
+    // GL rows run bottom-up
+    const pixels = new Uint8Array(raw.length);
+    const row = w * 4;
+    for (let r = 0; r < h; r++) pixels.set(raw.subarray((h - 1 - r) * row, (h - r) * row), r * row);
+    return pixels;
+  }
+
+  // Free the export tile buffer
+  releaseTiles() {
+    if (!this.tileTarget) return;
+    this.gl.deleteTexture(this.tileTarget.tex);
+    this.gl.deleteFramebuffer(this.tileTarget.fbo);
+    this.tileTarget = null;
+  }
+
+  getStats() {
+    return {
+      composition: this.composition,
+      palette: this.palette?.name ?? null,
+      fading: this.previous !== null,
+      backend: this.sim.backend,
+      particles: this.sim.count,
+      drawn: Math.round(this.sim.count * Math.min(1, this.modulation.density)),
+      modulation: { ...this.modulation },
+      motion: this.motion,
+      trailFade: this.trailFade,
+    };
+  }
+
+  _drawBackground(index, t, palette, seed, alpha, region = FULL_TILE) {
+    const { gl } = this;
+    const { program, uniforms } = this.programs[index];
+    gl.useProgram(program);
+    gl.uniform1f(uniforms.time, t);
+    gl.uniform1f(uniforms.seed, seed);
+    gl.uniform3fv(uniforms.col_a, palette.a);
+    gl.uniform3fv(uniforms.col_b, palette.b);
+    gl.uniform1f(uniforms.asp, this.width / this.height);
+    gl.uniform1f(uniforms.alpha, alpha);
+    gl.uniform4fv(uniforms.tile, region);
+    this._drawQuad(program);
+  }
+
+  _drawTrail(tex, fade, region = FULL_TILE) {
+    const { gl } = this;
+    gl.useProgram(this.fadeProg);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.uniform1i(this.fadeUniforms.tex, 0);
+    gl.uniform1f(this.fadeUniforms.fade, fade);
+    gl.uniform4fv(this.fadeUniforms.tile, region);
+    this._drawQuad(this.fadeProg);
+  }
+
+  _tileTarget(w, h) {
+    const { gl } = this;
+    if (this.tileTarget && this.tileTarget.w === w && this.tileTarget.h === h) return this.tileTarget;
+    this.releaseTiles();
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    this.tileTarget = { tex, fbo, w, h };
+    return this.tileTarget;
+  }
+
+  _drawQuad(program) {
+    const { gl } = this;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuf);
+    const posLoc = gl.getAttribLocation(program, 'pos');
+    gl.enableVertexAttribArray(posLoc);
+    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disableVertexAttribArray(posLoc);
+  }
+}
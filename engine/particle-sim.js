@@ -0,0 +1,297 @@
+/**
+ * engine/particle-sim.js — Particle state and stepping for the WebGL layer, GPU or CPU
+ *
+ * GpuParticleSim keeps positions in a square RGBA float texture (one texel per particle,
+ * xy = clip-space position) and steps them with a full-screen pass into a second texture,
+ * swapping the two each frame. Drawing reads the current texture from the vertex shader,
+ * so positions never leave the GPU and counts can reach hundreds of thousands.
+ *
+ * detectParticleBackend() picks the best path the context supports:
+ *   'float'  OES_texture_float, renderable                  (desktop, SwiftShader)
+ *   'half'   OES_texture_half_float, renderable             (most mobile)
+ *   'cpu'    no renderable float format or no vertex texture fetch — CpuParticleSim,
+ *            the JS velocity fields and a buffer upload per frame
+ *
+ * Nothing here touches the DOM: any WebGL 1 context works, including headless-gl
+ * (`node bench.js --backend webgl`, test/particle-sim.test.js), which is how the GPU path is
+ * exercised on a software renderer.
+ */
+
+import { QUAD_VS, PARTICLE_VS, PARTICLE_STATE_VS, PARTICLE_FS, particleUpdateFS, createProgram, uniformLocations } from './shaders.js';
+
+export const PARTICLE_BACKENDS = ['float', 'half', 'cpu'];
+
+// draw() on screen: no view transform, 2.5px points. Exports pass a tile's view instead.
+export const SCREEN_VIEW = { rect: [0, 0, 1, 1], pointSize: 2.5 };
+
+const UPDATE_UNIFORMS = ['state', 'time', 'seed', 'speed', 'asp', 'mixk', 'field_a', 'field_b'];
+
+// Whether a colour attachment of this texel type completes a framebuffer
+function canRenderTo(gl, type) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 2, 2, 0, gl.RGBA, type, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  const fbo = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+  const ok = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(fbo);
+  gl.deleteTexture(tex);
+  return ok;
+}
+
+/**
+ * Best particle backend for this context, with the texel type to use
+ * @param {WebGLRenderingContext} gl
+ * @param {'float'|'half'|'cpu'} [prefer='float'] - Best path to try; e.g. 'half' skips float
+ * @returns {{ backend: 'float'|'half'|'cpu', type: number|null, reason?: string }}
+ */
+export function detectParticleBackend(gl, prefer = 'float') {
+  if (prefer === 'cpu') return { backend: 'cpu', type: null, reason: 'requested' };
+  if (!(gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) > 0)) {
+    return { backend: 'cpu', type: null, reason: 'no vertex texture fetch' };
+  }
+  if (prefer === 'float' && gl.getExtension('OES_texture_float')) {
+    gl.getExtension('WEBGL_color_buffer_float');
+    if (canRenderTo(gl, gl.FLOAT)) return { backend: 'float', type: gl.FLOAT };
+  }
+  const half = gl.getExtension('OES_texture_half_float');
+  if (half) {
+    gl.getExtension('EXT_color_buffer_half_float');
+    if (canRenderTo(gl, half.HALF_FLOAT_OES)) return { backend: 'half', type: half.HALF_FLOAT_OES };
+  }
+  return { backend: 'cpu', type: null, reason: 'no renderable float texture' };
+}
+
+// IEEE 754 binary16 bits for a float — half-float textures are uploaded as Uint16Array
+const f32 = new Float32Array(1);
+const u32 = new Uint32Array(f32.buffer);
+export function toHalf(value) {
+  f32[0] = value;
+  const x = u32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xff) - 112;
+  const mant = x & 0x7fffff;
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    return sign | ((((mant | 0x800000) >>> (13 - exp)) + 1) >>> 1);  // subnormal, rounded
+  }
+  if (exp >= 31) return sign | 0x7c00;  // overflow → infinity
+  return sign | (exp << 10) | ((mant + 0x1000) >>> 13);
+}
+
+function randomPositions(count) {
+  const positions = new Float32Array(count * 2);
+  for (let i = 0; i < positions.length; i++) positions[i] = Math.random() * 2 - 1;
+  return positions;
+}
+
+/**
+ * Ping-pong simulation in float (or half-float) textures
+ */
+export class GpuParticleSim {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {Object} options
+   * @param {number} options.count
+   * @param {'float'|'half'} options.backend
+   * @param {number} options.type - gl.FLOAT or HALF_FLOAT_OES (from detectParticleBackend)
+   * @param {string[]} options.fields - Velocity GLSL bodies, indexed like COMPOSITIONS
+   * @param {WebGLBuffer} options.quadBuf - Full-screen quad (TRIANGLE_STRIP)
+   */
+  constructor(gl, { count, backend, type, fields, quadBuf }) {
+    this.gl = gl;
+    this.backend = backend;
+    this.type = type;
+    this.quadBuf = quadBuf;
+
+    this.updateProg = createProgram(gl, QUAD_VS, particleUpdateFS(fields));
+    this.updateUniforms = uniformLocations(gl, this.updateProg, UPDATE_UNIFORMS);
+    this.drawProg = createProgram(gl, PARTICLE_STATE_VS, PARTICLE_FS);
+    this.drawUniforms = uniformLocations(gl, this.drawProg, ['state', 'col_b', 'view', 'point_size']);
+
+    this.textures = [];
+    this.fbos = [];
+    this.refBuf = gl.createBuffer();
+    this.setCount(count);
+  }
+
+  // Reallocate state for a new count; positions restart from random
+  setCount(count) {
+    const { gl } = this;
+    this.count = count;
+    this.size = Math.ceil(Math.sqrt(count));
+    const { size } = this;
+
+    // Texel centre of each particle, read by the draw vertex shader
+    const refs = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      refs[i * 2] = ((i % size) + 0.5) / size;
+      refs[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.refBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, refs, gl.STATIC_DRAW);
+
+    const xy = randomPositions(size * size);
+    const texels = this.backend === 'half' ? new Uint16Array(size * size * 4) : new Float32Array(size * size * 4);
+    const encode = this.backend === 'half' ? toHalf : v => v;
+    for (let i = 0; i < size * size; i++) {
+      texels[i * 4] = encode(xy[i * 2]);
+      texels[i * 4 + 1] = encode(xy[i * 2 + 1]);
+      texels[i * 4 + 3] = encode(1);
+    }
+
+    this._release();
+    for (let i = 0; i < 2; i++) {
+      const tex = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, this.type, i === 0 ? texels : null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      const fbo = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+      this.textures.push(tex);
+      this.fbos.push(fbo);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.front = 0;  // texture holding the current positions
+  }
+
+  /**
+   * One update pass: front → back, then swap. Leaves the default framebuffer bound
+   * with the viewport at `viewport` ([w, h] of the canvas).
+   */
+  step({ t, seed, speed, asp, from, to, k, viewport }) {
+    const { gl, updateUniforms: u } = this;
+    const back = 1 - this.front;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbos[back]);
+    gl.viewport(0, 0, this.size, this.size);
+    gl.useProgram(this.updateProg);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.textures[this.front]);
+    gl.uniform1i(u.state, 0);
+    gl.uniform1f(u.time, t);
+    gl.uniform1f(u.seed, seed);
+    gl.uniform1f(u.speed, speed);
+    gl.uniform1f(u.asp, asp);
+    gl.uniform1f(u.mixk, k);
+    gl.uniform1i(u.field_a, from);
+    gl.uniform1i(u.field_b, to);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuf);
+    const posLoc = gl.getAttribLocation(this.updateProg, 'pos');
+    gl.enableVertexAttribArray(posLoc);
+    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disableVertexAttribArray(posLoc);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, viewport[0], viewport[1]);
+    this.front = back;
+  }
+
+  // The first `count` particles into whatever framebuffer is bound; blending is the caller's
+  draw(palette, count = this.count, view = SCREEN_VIEW) {
+    const { gl } = this;
+    gl.useProgram(this.drawProg);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.textures[this.front]);
+    gl.uniform1i(this.drawUniforms.state, 0);
+    gl.uniform3fv(this.drawUniforms.col_b, palette.b);
+    gl.uniform4fv(this.drawUniforms.view, view.rect);
+    gl.uniform1f(this.drawUniforms.point_size, view.pointSize);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.refBuf);
+    const refLoc = gl.getAttribLocation(this.drawProg, 'ref');
+    gl.enableVertexAttribArray(refLoc);
+    gl.vertexAttribPointer(refLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.POINTS, 0, Math.min(count, this.count));
+    gl.disableVertexAttribArray(refLoc);
+  }
+
+  _release() {
+    const { gl } = this;
+    for (const tex of this.textures) gl.deleteTexture(tex);
+    for (const fbo of this.fbos) gl.deleteFramebuffer(fbo);
+    this.textures = [];
+    this.fbos = [];
+  }
+
+  destroy() {
+    this._release();
+    this.gl.deleteBuffer(this.refBuf);
+  }
+}
+
+/**
+ * Fallback: positions in a Float32Array, stepped through the JS velocity fields
+ */
+export class CpuParticleSim {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {Object} options
+   * @param {number} options.count
+   * @param {Function[]} options.fields - velocity(x, y, t, seed, speed), indexed like COMPOSITIONS
+   */
+  constructor(gl, { count, fields }) {
+    this.gl = gl;
+    this.backend = 'cpu';
+    this.fields = fields;
+    this.drawProg = createProgram(gl, PARTICLE_VS, PARTICLE_FS);
+    this.drawUniforms = uniformLocations(gl, this.drawProg, ['col_b', 'view', 'point_size']);
+    this.buf = gl.createBuffer();
+    this.setCount(count);
+  }
+
+  setCount(count) {
+    this.count = count;
+    this.positions = randomPositions(count);
+  }
+
+  // Advect through field `to`, blended from `from` by k, wrapping at the edges; speed is the
+  // GPU path's uniform, so modulation and reduced motion move both backends alike
+  step({ t, seed, speed, asp, from, to, k }) {
+    const { positions } = this;
+    const cur = this.fields[to];
+    const prev = from !== to ? this.fields[from] : null;
+    for (let i = 0; i < this.count; i++) {
+      const x = positions[i * 2], y = positions[i * 2 + 1];
+      let [vx, vy] = cur(x * asp, y, t, seed, speed);
+      if (prev) {
+        const [px, py] = prev(x * asp, y, t, seed, speed);
+        vx = px + (vx - px) * k;
+        vy = py + (vy - py) * k;
+      }
+      positions[i * 2] += vx;
+      positions[i * 2 + 1] += vy;
+      if (positions[i * 2] > 1.05) positions[i * 2] = -1.05;
+      if (positions[i * 2] < -1.05) positions[i * 2] = 1.05;
+      if (positions[i * 2 + 1] > 1.05) positions[i * 2 + 1] = -1.05;
+      if (positions[i * 2 + 1] < -1.05) positions[i * 2 + 1] = 1.05;
+    }
+  }
+
+  draw(palette, count = this.count, view = SCREEN_VIEW) {
+    const { gl } = this;
+    gl.useProgram(this.drawProg);
+    gl.uniform3fv(this.drawUniforms.col_b, palette.b);
+    gl.uniform4fv(this.drawUniforms.view, view.rect);
+    gl.uniform1f(this.drawUniforms.point_size, view.pointSize);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buf);
+    gl.bufferData(gl.ARRAY_BUFFER, this.positions, gl.DYNAMIC_DRAW);
+    const pLoc = gl.getAttribLocation(this.drawProg, 'pos');
+    gl.enableVertexAttribArray(pLoc);
+    gl.vertexAttribPointer(pLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.POINTS, 0, Math.min(count, this.count));
+    gl.disableVertexAttribArray(pLoc);
+  }
+
+  destroy() {
+    this.gl.deleteBuffer(this.buf);
+  }
+}
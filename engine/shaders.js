@@ -0,0 +1,284 @@
+/**
+ * engine/shaders.js — GLSL for the WebGL background layer, and program setup
+ *
+ * Every composition's fragment shader shares COMPOSITION_HEADER (uniforms + value noise):
+ *   time, seed   seconds since start, slot-derived seed
+ *   col_a, col_b palette dark / light
+ *   asp          canvas width / height
+ *   alpha        output alpha — the composer crossfades by drawing the incoming
+ *                composition over the outgoing one
+ *
+ * Particle velocity fields exist twice: in JS (engine/composer.js, CPU fallback) and as the
+ * GLSL bodies below (*_VELOCITY), compiled into one ping-pong update shader by
+ * particleUpdateFS(). Keep the pairs in step.
+ */
+
+// Full-screen quad vertex shader
+export const QUAD_VS = `
+attribute vec2 pos;
+varying vec2 uv;
+void main() {
+  uv = pos * 0.5 + 0.5;
+  gl_Position = vec4(pos, 0.0, 1.0);
+}`;
+
+// Full-screen quad showing one tile of the canvas: tile = (u0, v0, du, dv), (0, 0, 1, 1) for
+// all of it. Backgrounds and the trail pass use it, so an export can redraw them a region
+// at a time (Composer.renderTile).
+export const TILE_VS = `
+attribute vec2 pos;
+uniform vec4 tile;
+varying vec2 uv;
+void main() {
+  uv = tile.xy + (pos * 0.5 + 0.5) * tile.zw;
+  gl_Position = vec4(pos, 0.0, 1.0);
+}`;
+
+// Trail quad — fades the previous frame; fade = 1.0 copies (compositing the trail layer).
+// The 1/255 floor keeps 8-bit trails from sticking at a faint residue.
+export const FADE_FS = `
+precision mediump float;
+uniform sampler2D tex;
+uniform float fade;
+varying vec2 uv;
+void main() {
+  vec4 c = texture2D(tex, uv);
+  vec3 rgb = fade < 1.0 ? max(c.rgb * fade - 1.0 / 255.0, 0.0) : c.rgb;
+  gl_FragColor = vec4(rgb, c.a);
+}`;
+
+// Particles take view = (centre x, centre y, scale x, scale y) in clip space — (0, 0, 1, 1)
+// on screen, a tile's rect when exporting — and point_size in pixels
+export const PARTICLE_VS = `
+attribute vec2 pos;
+uniform vec4 view;
+uniform float point_size;
+void main() {
+  gl_PointSize = point_size;
+  gl_Position = vec4((pos - view.xy) * view.zw, 0.0, 1.0);
+}`;
+
+// GPU path: each vertex is a particle's texel in the state texture (vertex texture fetch;
+// samplers default to lowp, too coarse for positions)
+export const PARTICLE_STATE_VS = `
+precision highp sampler2D;
+attribute vec2 ref;
+uniform sampler2D state;
+uniform vec4 view;
+uniform float point_size;
+void main() {
+  gl_PointSize = point_size;
+  gl_Position = vec4((texture2D(state, ref).xy - view.xy) * view.zw, 0.0, 1.0);
+}`;
+
+export const PARTICLE_FS = `
+precision mediump float;
+uniform vec3 col_b;
+void main() {
+  float d = length(gl_PointCoord - 0.5) * 2.0;
+  float alpha = 1.0 - smoothstep(0.5, 1.0, d);
+  gl_FragColor = vec4(col_b, alpha * 0.8);
+}`;
+
+export const COMPOSITION_HEADER = `
+precision highp float;
+uniform float time;
+uniform float seed;
+uniform vec3 col_a;
+uniform vec3 col_b;
+uniform float asp;
+uniform float alpha;
+varying vec2 uv;
+
+float hash(vec2 p) {
+  p = fract(p * vec2(127.1, 311.7) + seed * 0.001);
+  p += dot(p, p + 19.19);
+  return fract(p.x * p.y);
+}
+
+float noise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = fract(p);
+  f = f*f*(3.0-2.0*f);
+  return mix(
+    mix(hash(i), hash(i+vec2(1,0)), f.x),
+    mix(hash(i+vec2(0,1)), hash(i+vec2(1,1)), f.x),
+    f.y);
+}
+`;
+
+// Two octaves of drifting value noise (the original look)
+export const FLOW_FIELD_FS = COMPOSITION_HEADER + `
+void main() {
+  vec2 p = (uv - 0.5) * vec2(asp, 1.0);
+  float n1 = noise(p * 2.5 + time * 0.12);
+  float n2 = noise(p * 4.0 - time * 0.08 + 3.7);
+  float n  = n1 * 0.6 + n2 * 0.4;
+  float glow = pow(n, 2.2);
+  vec3 col = mix(col_a, col_b, glow);
+  gl_FragColor = vec4(col, alpha);
+}`;
+
+// Noise advected along its own curl — filaments that follow a divergence-free flow
+export const CURL_NOISE_FS = COMPOSITION_HEADER + `
+vec2 curl(vec2 p) {
+  const float e = 0.05;
+  float dx = noise(p + vec2(e, 0.0)) - noise(p - vec2(e, 0.0));
+  float dy = noise(p + vec2(0.0, e)) - noise(p - vec2(0.0, e));
+  return vec2(dy, -dx) / (2.0 * e);
+}
+
+void main() {
+  vec2 p = (uv - 0.5) * vec2(asp, 1.0) * 3.0;
+  vec2 q = p;
+  for (int i = 0; i < 4; i++) q += curl(q * 0.8 + time * 0.05) * 0.04;
+  float n = noise(q * 2.0 + time * 0.1);
+  float streak = smoothstep(0.35, 0.65, n) * (0.6 + 0.4 * sin(q.x * 18.0 + q.y * 11.0));
+  vec3 col = mix(col_a, col_b, pow(clamp(streak, 0.0, 1.0), 1.6));
+  gl_FragColor = vec4(col, alpha);
+}`;
+
+// Three parallax layers of soft motes rising through a faint haze
+export const PARTICLE_DRIFT_FS = COMPOSITION_HEADER + `
+void main() {
+  vec2 p = (uv - 0.5) * vec2(asp, 1.0);
+  float glow = 0.0;
+  for (int layer = 0; layer < 3; layer++) {
+    float fl = float(layer);
+    vec2 q = p * (6.0 + fl * 4.0) + vec2(0.0, -time * (0.15 + fl * 0.08));
+    vec2 cell = floor(q);
+    vec2 jitter = vec2(hash(cell), hash(cell + 7.3)) - 0.5;
+    float d = length(fract(q) - 0.5 - jitter * 0.7);
+    glow += smoothstep(0.12, 0.0, d) * (0.5 + 0.5 * hash(cell + fl)) / (1.0 + fl);
+  }
+  float haze = noise(p * 1.5 + time * 0.03) * 0.35;
+  vec3 col = mix(col_a, col_b, clamp(glow + haze, 0.0, 1.0));
+  gl_FragColor = vec4(col, alpha);
+}`;
+
+// A grid of short strokes, each pointing along a slowly turning angle field
+export const VECTOR_LATTICE_FS = COMPOSITION_HEADER + `
+void main() {
+  vec2 p = (uv - 0.5) * vec2(asp, 1.0) * 14.0;
+  vec2 cell = floor(p);
+  vec2 f = fract(p) - 0.5;
+  float a = noise(cell * 0.15 + time * 0.1) * 12.566;
+  vec2 dir = vec2(cos(a), sin(a));
+  float h = clamp(dot(f, dir), -0.35, 0.35);
+  float line = smoothstep(0.06, 0.0, length(f - dir * h));
+  float head = smoothstep(0.1, 0.0, length(f - dir * 0.35));
+  float base = noise(p * 0.08 - time * 0.05) * 0.25;
+  vec3 col = mix(col_a, col_b, clamp(line * 0.8 + head + base, 0.0, 1.0));
+  gl_FragColor = vec4(col, alpha);
+}`;
+
+// Interference of two drifting wave sources placed by the seed
+export const PHASE_SHIFT_FS = COMPOSITION_HEADER + `
+void main() {
+  vec2 p = (uv - 0.5) * vec2(asp, 1.0);
+  vec2 c1 = vec2(sin(seed * 0.001), cos(seed * 0.0013)) * 0.35;
+  vec2 c2 = -c1 + vec2(sin(time * 0.2), cos(time * 0.17)) * 0.1;
+  float w1 = sin(length(p - c1) * 38.0 - time * 1.2);
+  float w2 = sin(length(p - c2) * 42.0 - time * 1.5 + 1.7);
+  float band = smoothstep(0.55, 0.95, 0.5 + 0.25 * (w1 + w2));
+  vec3 col = mix(col_a, col_b, band * 0.9 + noise(p * 3.0 + time * 0.05) * 0.1);
+  gl_FragColor = vec4(col, alpha);
+}`;
+
+// ── Particle velocity fields (GLSL) ─────────────────────────────────────────
+// Bodies of vec2 f(vec2 p): p is clip-space x scaled by aspect, and y; time, seed and
+// speed are uniforms. Mirrors COMPOSITIONS[i].velocity in engine/composer.js.
+
+export const FLOW_FIELD_VELOCITY = `
+  float a = (sin(p.x * 3.0 + time * 0.5) + cos(p.y * 3.5 - time * 0.3)) * PI;
+  return vec2(cos(a), sin(a)) * speed;`;
+
+export const CURL_NOISE_VELOCITY = `
+  float a = p.x * 2.1 + time * 0.3, b = p.y * 2.7 - time * 0.2, c = (p.x + p.y) * 4.3 + time * 0.5;
+  float dPdx = 2.1 * cos(a) * cos(b) + 2.15 * cos(c);
+  float dPdy = -2.7 * sin(a) * sin(b) + 2.15 * cos(c);
+  return vec2(dPdy, -dPdx) * speed * 0.35;`;
+
+export const PARTICLE_DRIFT_VELOCITY = `
+  return vec2(sin(p.y * 3.0 + p.x + time * 0.4) * 0.3, 0.6) * speed;`;
+
+export const VECTOR_LATTICE_VELOCITY = `
+  vec2 cell = floor(p * 7.0);
+  float a = (sin(cell.x * 0.9 + time * 0.1) + cos(cell.y * 1.1 - time * 0.13)) * PI;
+  return vec2(cos(a), sin(a)) * speed;`;
+
+export const PHASE_SHIFT_VELOCITY = `
+  vec2 c1 = vec2(sin(seed * 0.001), cos(seed * 0.0013)) * 0.7;
+  vec2 d1 = p - c1, d2 = p + c1;
+  float r1 = max(length(d1), 1e-3), r2 = max(length(d2), 1e-3);
+  vec2 g = d1 * cos(r1 * 19.0 - time * 1.2) * 19.0 / r1 + d2 * cos(r2 * 21.0 - time * 1.5 + 1.7) * 21.0 / r2;
+  return vec2(-g.y, g.x) / max(length(g), 1e-3) * speed;`;
+
+/**
+ * Ping-pong update: reads each particle's position from `state`, steps it through a blend
+ * of two fields (outgoing field_a → incoming field_b by mixk) and wraps at the edges.
+ * @param {string[]} bodies - Velocity GLSL, indexed like COMPOSITIONS
+ */
+export function particleUpdateFS(bodies) {
+  const fields = bodies.map((body, i) => `vec2 field${i}(vec2 p) {${body}\n}`).join('\n');
+  const dispatch = bodies.map((_, i) => `  if (c == ${i}) return field${i}(p);`).join('\n');
+  return `
+precision highp float;
+precision highp sampler2D;
+#define PI 3.14159265
+uniform sampler2D state;
+uniform float time;
+uniform float seed;
+uniform float speed;
+uniform float asp;
+uniform float mixk;
+uniform int field_a;
+uniform int field_b;
+varying vec2 uv;
+
+${fields}
+
+vec2 field(int c, vec2 p) {
+${dispatch}
+  return vec2(0.0);
+}
+
+void main() {
+  vec2 pos = texture2D(state, uv).xy;
+  vec2 p = vec2(pos.x * asp, pos.y);
+  pos += mix(field(field_a, p), field(field_b, p), mixk);
+  if (pos.x > 1.05) pos.x = -1.05;
+  if (pos.x < -1.05) pos.x = 1.05;
+  if (pos.y > 1.05) pos.y = -1.05;
+  if (pos.y < -1.05) pos.y = 1.05;
+  gl_FragColor = vec4(pos, 0.0, 1.0);
+}`;
+}
+
+export function compileShader(gl, type, src) {
+  const s = gl.createShader(type);
+  gl.shaderSource(s, src);
+  gl.compileShader(s);
+  if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) {
+    console.error('[shaders]', gl.getShaderInfoLog(s));
+  }
+  return s;
+}
+
+export function createProgram(gl, vs, fs) {
+  const p = gl.createProgram();
+  gl.attachShader(p, compileShader(gl, gl.VERTEX_SHADER, vs));
+  gl.attachShader(p, compileShader(gl, gl.FRAGMENT_SHADER, fs));
+  gl.linkProgram(p);
+  if (!gl.getProgramParameter(p, gl.LINK_STATUS)) {
+    console.error('[shaders]', gl.getProgramInfoLog(p));
+  }
+  return p;
+}
+
+// Uniform locations by name, looked up once
+export function uniformLocations(gl, program, names) {
+  const locs = {};
+  for (const name of names) locs[name] = gl.getUniformLocation(program, name);
+  return locs;
+}
@@ -0,0 +1,243 @@
+/**
+ * export.js — High-resolution freeze export with embedded provenance (browser)
+ *
+ * Re-renders the view offscreen rather than copying the screen, so a freeze can be any size:
+ *   WebGL layer  drawn tile by tile at full resolution (Composer.readTile)
+ *   2D layer     replayed from its latest checkpoint and event log (ParticleSystem.stepTo) into
+ *                a TiledCanvas — one 2D canvas per tile, all drawn to through one context
+ * Tiles are composited like the page (2D over WebGL at layerAlpha), deflated with CompressionStream
+ * and tagged with the ArtworkState (provenance.js); `node verify.js` checks the file.
+ *
+ *   const png = await exportArtwork({ composer, palette, seed, particles: sys, state, size: '8k' });
+ *
+ * Both layers run in screen units, so an export has the screen's aspect and composition, just
+ * more pixels. Known limit: the event swirl copies canvas pixels, and near a tile edge it can
+ * only copy from its own tile — a swirl straddling tiles can show a faint seam.
+ */
+
+import { ParticleSystem } from './generative.js';
+import { pngScanlines, assemblePNG } from './png.js';
+import { provenanceText } from './provenance.js';
+
+// Long edge in pixels; 'screen' copies the canvases as they are
+export const EXPORT_SIZES = {
+  screen: null,
+  '4k': 3840,
+  '8k': 7680,
+  'a3-300dpi': 4961,
+  'a2-300dpi': 7016,
+};
+
+const TILE_SIZE = 2048;      // under every browser's canvas area limit
+const SETTLE_FRAMES = 120;   // 2D trails older than this have faded out; earlier frames replay undrawn
+
+// Ops that only touch pixels or the current path — skipped while a TiledCanvas isn't drawing
+const DRAW_OPS = new Set([
+  'fill', 'stroke', 'fillRect', 'strokeRect', 'clearRect', 'drawImage', 'putImageData', 'clip',
+  'fillText', 'strokeText', 'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'arcTo',
+  'ellipse', 'rect', 'quadraticCurveTo', 'bezierCurveTo',
+]);
+
+/**
+ * Pixel size of an export of a screenWidth × screenHeight view
+ * @param {string} size - EXPORT_SIZES key
+ */
+export function exportSize(size, screenWidth, screenHeight) {
+  if (!(size in EXPORT_SIZES)) throw new Error(`[export] Unknown size "${size}" (${Object.keys(EXPORT_SIZES).join(', ')})`);
+  const scale = EXPORT_SIZES[size] ? EXPORT_SIZES[size] / Math.max(screenWidth, screenHeight) : 1;
+  return { width: Math.round(screenWidth * scale), height: Math.round(screenHeight * scale), scale };
+}
+
+// Row-major rects covering width × height, none larger than tileSize
+export function planTiles(width, height, tileSize) {
+  const tiles = [];
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      tiles.push({ x, y, w: Math.min(tileSize, width - x), h: Math.min(tileSize, height - y) });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * A canvas-like target for ParticleSystem that is really a grid of tile canvases covering
+ * pixelWidth × pixelHeight. width / height stay in screen units, so the simulation is the one
+ * on screen; getContext() returns a context that forwards every call and property to each
+ * tile's context. The two axes scale separately: the export's size comes from the WebGL
+ * canvas, whose rounding (pixelRatio) needn't match the 2D canvas's.
+ */
+export class TiledCanvas {
+  /**
+   * @param {number} width - Screen units, as the on-screen canvas
+   * @param {number} height
+   * @param {number} pixelWidth - Export pixels
+   * @param {number} pixelHeight
+   * @param {number} [tileSize=TILE_SIZE]
+   */
+  constructor(width, height, pixelWidth, pixelHeight, tileSize = TILE_SIZE) {
+    this.width = width;
+    this.height = height;
+    this.pixelWidth = pixelWidth;
+    this.pixelHeight = pixelHeight;
+    this.scaleX = pixelWidth / width;   // export pixels per screen unit
+    this.scaleY = pixelHeight / height;
+    this.drawing = true;  // false: state changes only, nothing rasterised
+    const { scaleX: sx, scaleY: sy } = this;
+    this.tiles = planTiles(pixelWidth, pixelHeight, tileSize).map(tile => {
+      const canvas = document.createElement('canvas');
+      canvas.width = tile.w;
+      canvas.height = tile.h;
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(sx, 0, 0, sy, -tile.x, -tile.y);
+      return { ...tile, canvas, ctx };
+    });
+    this.ctx = this._fanOut();
+  }
+
+  getContext() {
+    return this.ctx;
+  }
+
+  _fanOut() {
+    const tiles = this.tiles;
+    const first = tiles[0].ctx;
+    const { scaleX: sx, scaleY: sy } = this;
+    return new Proxy({}, {
+      get: (_, key) => {
+        const value = first[key];
+        if (typeof value !== 'function') return value;
+        // Gradients and patterns aren't tied to a context: make one, use it on every tile
+        if (String(key).startsWith('create') || String(key).startsWith('get') || key === 'isPointInPath') {
+          return (...args) => first[key](...args);
+        }
+        return (...args) => {
+          if (!this.drawing && DRAW_OPS.has(key)) return;
+          for (const tile of tiles) {
+            if (key === 'setTransform') {
+              const [a, b, c, d, e, f] = args;
+              tile.ctx.setTransform(sx * a, sy * b, sx * c, sy * d, sx * e - tile.x, sy * f - tile.y);
+            } else if (key === 'resetTransform') {
+              tile.ctx.setTransform(sx, 0, 0, sy, -tile.x, -tile.y);
+            } else if (key === 'drawImage' && args[0] === this) {
+              this._drawSelf(tile, args.slice(1));
+            } else {
+              tile.ctx[key](...args);
+            }
+          }
+        };
+      },
+      set: (_, key, value) => {
+        for (const tile of tiles) tile.ctx[key] = value;
+        return true;
+      },
+    });
+  }
+
+  // drawImage(self, …): each tile copies from its own canvas, source rect in its pixels
+  _drawSelf(tile, args) {
+    const { width: W, height: H, scaleX, scaleY } = this;
+    const [sx, sy, sw, sh, dx, dy, dw, dh] = args.length === 8 ? args
+      : args.length === 4 ? [0, 0, W, H, ...args]
+      : [0, 0, W, H, args[0], args[1], W, H];
+    tile.ctx.drawImage(tile.canvas, sx * scaleX - tile.x, sy * scaleY - tile.y, sw * scaleX, sh * scaleY, dx, dy, dw, dh);
+  }
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// The two on-screen canvases as they are, composited like the page: at the WebGL canvas's
+// size, the 2D one stretched over it as CSS does (their pixel ratios differ)
+function copyScreen(glCanvas, particleCanvas, layerAlpha) {
+  const out = document.createElement('canvas');
+  out.width = glCanvas.width;
+  out.height = glCanvas.height;
+  const ctx = out.getContext('2d');
+  ctx.drawImage(glCanvas, 0, 0);
+  ctx.globalAlpha = layerAlpha;
+  ctx.drawImage(particleCanvas, 0, 0, out.width, out.height);
+  return { width: out.width, height: out.height, rgba: ctx.getImageData(0, 0, out.width, out.height).data };
+}
+
+/**
+ * Render the current view at `size` and encode it as a PNG carrying its provenance
+ * @param {Object} options
+ * @param {import('./engine/composer.js').Composer} options.composer - WebGL layer, as last rendered
+ * @param {Object} options.palette - The palettes.js palette it was rendered with
+ * @param {number} options.seed
+ * @param {ParticleSystem} options.particles - The on-screen 2D system; replayed, not touched
+ * @param {import('./artwork-state.js').ArtworkState} options.state - Saved first (saveArtwork())
+ * @param {string} [options.size='4k'] - EXPORT_SIZES key
+ * @param {number} [options.layerAlpha=0.7] - 2D layer opacity, as #gen-canvas on the page
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{ png: Uint8Array, width: number, height: number }>}
+ */
+export async function exportArtwork({ composer, palette, seed, particles, state, size = '4k', layerAlpha = 0.7, onProgress }) {
+  const glCanvas = composer.gl.canvas;
+  const { width, height, scale } = exportSize(size, glCanvas.width, glCanvas.height);
+  let image;
+
+  if (!EXPORT_SIZES[size]) {
+    image = copyScreen(glCanvas, particles.canvas, layerAlpha);
+  } else {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const pad = Math.ceil(2.5 * scale);  // points centred just outside a tile still reach into it
+    const tileSize = Math.min(TILE_SIZE, composer.maxTileSize() - 2 * pad);
+    const tiles = planTiles(width, height, tileSize);
+    const total = tiles.length * 2;
+
+    // WebGL first, in one go — the next animation frame would move it on
+    tiles.forEach(({ x, y, w, h }) => {
+      const pw = w + 2 * pad, ph = h + 2 * pad;
+      const px = composer.readTile({ x: x - pad, y: y - pad, w: pw, h: ph, width, height }, palette, seed);
+      for (let r = 0; r < h; r++) {
+        const from = ((r + pad) * pw + pad) * 4;
+        rgba.set(px.subarray(from, from + w * 4), ((y + r) * width + x) * 4);
+      }
+    });
+    composer.releaseTiles();
+    onProgress?.(tiles.length, total);
+
+    // 2D: the same wallet, frame and events (tuning changes included), drawn at export scale —
+    // resumed from a checkpoint, so a long-running page doesn't replay from frame 0
+    const frame = particles.frame;
+    const log = particles.eventLog.slice();
+    const checkpoints = particles.checkpoints.slice();
+    const tiled = new TiledCanvas(particles.canvas.width, particles.canvas.height, width, height, tileSize);
+    const replay = new ParticleSystem(tiled, particles.initialParams);
+    tiled.drawing = false;
+    replay.stepTo(Math.max(checkpoints[0].frame, frame - SETTLE_FRAMES), log, checkpoints);
+    tiled.drawing = true;
+    replay.stepTo(frame);
+
+    // Composite per tile: 2D over WebGL, as the page layers them
+    const scratch = document.createElement('canvas');
+    const ctx = scratch.getContext('2d');
+    for (const [i, tile] of tiled.tiles.entries()) {
+      const { x, y } = tile;
+      const w = Math.min(tile.w, width - x), h = Math.min(tile.h, height - y);  // inside the image
+      scratch.width = w;
+      scratch.height = h;
+      const under = ctx.createImageData(w, h);
+      for (let r = 0; r < h; r++) under.data.set(rgba.subarray(((y + r) * width + x) * 4, ((y + r) * width + x + w) * 4), r * w * 4);
+      ctx.putImageData(under, 0, 0);
+      ctx.globalAlpha = layerAlpha;
+      ctx.drawImage(tile.canvas, 0, 0);
+      ctx.globalAlpha = 1;
+      const over = ctx.getImageData(0, 0, w, h).data;
+      for (let r = 0; r < h; r++) rgba.set(over.subarray(r * w * 4, (r + 1) * w * 4), ((y + r) * width + x) * 4);
+      tile.canvas.width = tile.canvas.height = 0;  // release as we go
+      onProgress?.(tiles.length + i + 1, total);
+      await nextTask();
+    }
+    image = { width, height, rgba };
+  }
+
+  const idat = await deflate(pngScanlines(image.width, image.height, image.rgba));
+  const png = assemblePNG(image.width, image.height, idat, await provenanceText(state));
+  return { png, width: image.width, height: image.height };
+}
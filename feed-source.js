@@ -0,0 +1,100 @@
+/**
+ * feed-source.js — The contract every event feed implements
+ *
+ *   connect() / disconnect()
+ *   onEvent(event)            constructor callback (or assign feed.onEvent)
+ *   onStateChange(fn)         fn(state, previous, feed) on every FeedState transition; returns an unsubscribe
+ *   getStats()                { kind, state, connected, eventCount, lastEventMs, msSinceLastEvent, ... }
+ *   watchWallet(address)      follow one wallet's own activity, if the source can; null stops
+ *
+ * Events are normalised: { type, magnitude, sig, program, slot?, signer?, valueSol?, source?, self?, timestamp }.
+ * self: true marks the watched wallet's own activity.
+ * Implementations: SolanaRpcFeed (solana-feed.js), HeliusLiveFeed (helius.js), DemoFeed
+ * (demo-feed.js), ReplayFeed (replay.js). createFeed() in feeds.js picks one from config.
+ */
+
+// Visual event types emitted to particle system
+export const EventType = {
+  TRANSACTION:  'tx',       // normal tx — small particle burst
+  WHALE:        'whale',    // large transfer — gravity well
+  MEV:          'mev',      // sandwich/arb — distortion flash
+  MINT:         'mint',     // token mint — new node spawn
+  BURN:         'burn',     // token burn — node collapse
+};
+
+export const FeedState = {
+  IDLE:          'idle',           // constructed, not connected
+  CONNECTING:    'connecting',
+  LIVE:          'live',           // events flowing from the source
+  STALE:         'stale',          // connected but silent; resubscribing
+  BACKOFF:       'backoff',        // lost the source, waiting to retry
+  DEMO_FALLBACK: 'demo-fallback',  // outage covered by a fallback feed, still retrying
+  CLOSED:        'closed',         // disconnect() called
+};
+
+export class FeedSource {
+  /**
+   * @param {(event: Object) => void} onEvent
+   * @param {Object} [options]
+   * @param {EventRecorder} [options.recorder] - Records every emitted event (see replay.js)
+   */
+  constructor(onEvent, options = {}) {
+    this.onEvent = onEvent;
+    this.recorder = options.recorder || null;
+    this.kind = 'feed';
+    this.state = FeedState.IDLE;
+    this.eventCount = 0;
+    this.lastEventMs = 0;
+    this.wallet = null;
+    this._stateListeners = new Set();
+  }
+
+  connect() {
+    throw new Error(`[feed] ${this.constructor.name} does not implement connect()`);
+  }
+
+  disconnect() {
+    this._setState(FeedState.CLOSED);
+  }
+
+  // Sources without per-account streams (demo, replay) only remember the wallet
+  watchWallet(address) {
+    this.wallet = address || null;
+    return false;
+  }
+
+  get connected() {
+    return this.state === FeedState.LIVE || this.state === FeedState.STALE;
+  }
+
+  onStateChange(fn) {
+    this._stateListeners.add(fn);
+    return () => this._stateListeners.delete(fn);
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    for (const fn of this._stateListeners) fn(state, previous, this);
+  }
+
+  // Single exit for every event a feed produces
+  _emit(event) {
+    this.eventCount++;
+    this.lastEventMs = Date.now();
+    if (this.recorder) this.recorder.record(event);
+    this.onEvent(event);
+  }
+
+  getStats() {
+    return {
+      kind: this.kind,
+      state: this.state,
+      connected: this.connected,
+      eventCount: this.eventCount,
+      lastEventMs: this.lastEventMs,
+      msSinceLastEvent: Date.now() - this.lastEventMs,
+    };
+  }
+}
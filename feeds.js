@@ -0,0 +1,71 @@
+/**
+ * feeds.js — Pick and build a FeedSource from config
+ *
+ *   const feed = await createFeed({ source: 'rpc', url: 'ws://127.0.0.1:8900' }, onEvent);
+ *   feed.connect();
+ *
+ * config.source — 'helius' | 'rpc' | 'demo' | 'replay'; when omitted: helius if there is an
+ * apiKey, rpc if there is a url, otherwise demo. Live sources get a DemoFeed fallback
+ * unless config.fallback is false. config.scenario / config.seed pick the demo scenario
+ * (scenarios.js), for the demo source and the fallback alike.
+ */
+
+import { HeliusLiveFeed } from './helius.js';
+import { SolanaRpcFeed } from './solana-feed.js';
+import { DemoFeed } from './demo-feed.js';
+import { ReplayFeed } from './replay.js';
+
+export { FeedSource, FeedState, EventType } from './feed-source.js';
+export { HeliusLiveFeed, SolanaRpcFeed, DemoFeed, ReplayFeed };
+
+export const FEED_SOURCES = ['helius', 'rpc', 'demo', 'replay'];
+
+export function resolveSource(config) {
+  if (config.source) return config.source;
+  if (config.apiKey && config.apiKey !== 'demo') return 'helius';
+  if (config.url) return 'rpc';
+  return 'demo';
+}
+
+/**
+ * @param {Object} config
+ * @param {string} [config.source]
+ * @param {string} [config.apiKey] - helius
+ * @param {string} [config.url] - rpc websocket endpoint (or a mock server for helius)
+ * @param {Object[]} [config.subscriptions] - helius / rpc, see solana-feed.js
+ * @param {Object} [config.parser] - TxParser config; also scales demo magnitudes
+ * @param {boolean} [config.fallback=true] - DemoFeed while a live source is down
+ * @param {string} [config.scenario] - demo / fallback scenario name
+ * @param {string|number} [config.seed] - demo / fallback scenario seed
+ * @param {string|Object[]} [config.log] - replay: NDJSON text or events
+ * @param {string} [config.logUrl] - replay: fetched when log is not given
+ * @param {number|'step'} [config.speed] - replay
+ * @param {[number, number]} [config.slots] - replay
+ * @param {boolean} [config.loop] - replay
+ * @param {EventRecorder} [config.recorder]
+ * @param {typeof WebSocket} [config.WebSocket]
+ * @param {(event: Object) => void} onEvent
+ * @returns {Promise<FeedSource>}
+ */
+export async function createFeed(config, onEvent) {
+  const source = resolveSource(config);
+  const { recorder, parser, subscriptions, WebSocket, scenario, seed } = config;
+  const fallback = config.fallback === false ? null : new DemoFeed(null, { parser, scenario, seed });
+
+  switch (source) {
+    case 'helius':
+      if (!config.apiKey && !config.url) throw new Error('[feed] helius source needs an apiKey');
+      return new HeliusLiveFeed(config.apiKey, onEvent, { url: config.url, subscriptions, parser, fallback, recorder, WebSocket });
+    case 'rpc':
+      if (!config.url) throw new Error('[feed] rpc source needs a websocket url');
+      return new SolanaRpcFeed(config.url, onEvent, { subscriptions, parser, fallback, recorder, WebSocket });
+    case 'demo':
+      return new DemoFeed(onEvent, { parser, scenario, seed, recorder });
+    case 'replay': {
+      const log = config.log ?? await (await fetch(config.logUrl)).text();
+      return new ReplayFeed(log, onEvent, { speed: config.speed, slots: config.slots, loop: config.loop, recorder });
+    }
+    default:
+      throw new Error(`[feed] Unknown source "${source}" — expected one of ${FEED_SOURCES.join(', ')}`);
+  }
+}
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * fetch-chain.js — Chain-state sampler for the WebGL layer (PLAN.md Layer 1)
+ *
+ * Polls a Solana JSON-RPC endpoint for what the background piece is seeded and shaped by:
+ *   getLatestBlockhash             blockhash → seed, palette, composition
+ *   getBlock (signatures only)     transactions in the latest available block
+ *   getRecentPrioritizationFees    priority fees over the last ~150 slots
+ *   getRecentPerformanceSamples    slot time and TPS over the last minute
+ *
+ *   const chain = new ChainSampler({ rpcUrl: 'http://127.0.0.1:8899' });
+ *   const sample = await chain.sample();        // cached for cacheMs
+ *   const visuals = chainToVisuals(sample);     // { seed, paletteIdx, compIdx, density, speed, temperature }
+ *
+ * Visual parameters (chainToVisuals):
+ *   density      0.3–1   share of the WebGL particle pool drawn; log of block transactions,
+ *                        full at FULL_BLOCK_TX
+ *   speed        0.5–2   particle speed multiplier; 400ms / measured slot time
+ *   temperature  0–1     palette tint, cool → warm; log of the median priority fee,
+ *                        0.5 (neutral) with no fee data
+ *
+ * Only the blockhash is required — the other calls fail soft (skipped blocks, RPCs without
+ * the method) and their fields come back null, listed in sample.errors.
+ *
+ * Run: node fetch-chain.js [--rpc http://127.0.0.1:8899]
+ */
+
+import { createRng } from './generative.js';
+
+export const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+export const DEFAULT_CHAIN_CONFIG = {
+  rpcUrl: DEFAULT_RPC_URL,
+  cacheMs: 10000,       // sample() reuses a result this fresh
+  timeoutMs: 8000,      // per request
+  commitment: 'confirmed',
+  blockRetries: 4,      // older slots tried when the latest block is skipped or not yet available
+};
+
+export const NOMINAL_SLOT_MS = 400;
+export const FULL_BLOCK_TX = 4000;          // transactions (votes included) at full density
+export const HOT_PRIORITY_FEE = 1000000;    // micro-lamports per CU at full temperature
+export const NEUTRAL_VISUALS = { density: 1, speed: 1, temperature: 0.5 };
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const saturate = (v, full) => clamp(Math.log1p(Math.max(0, v)) / Math.log1p(full), 0, 1);
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+export class ChainSampler {
+  /**
+   * @param {Object} [options] - Any DEFAULT_CHAIN_CONFIG key, plus:
+   * @param {typeof fetch} [options.fetch=globalThis.fetch]
+   */
+  constructor(options = {}) {
+    const { fetch: fetchImpl, ...config } = options;
+    this.config = { ...DEFAULT_CHAIN_CONFIG, ...config };
+    if (!this.config.rpcUrl) this.config.rpcUrl = DEFAULT_RPC_URL;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    this.cached = null;     // last ChainSample
+    this.inflight = null;   // shared by concurrent sample() calls
+    this.requests = 0;
+    this.failures = 0;
+    this.nextId = 1;
+  }
+
+  // One JSON-RPC call; throws on transport, HTTP and RPC errors
+  async rpc(method, params = []) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeoutMs);
+    this.requests++;
+    try {
+      const res = await this.fetch(this.config.rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params }),
+        signal: controller.signal,
+      });
+      if (!res.ok) throw new Error(`[chain] ${method}: HTTP ${res.status}`);
+      const data = await res.json();
+      if (data.error) throw new Error(`[chain] ${method}: ${data.error.message} (${data.error.code})`);
+      return data.result;
+    } catch (err) {
+      this.failures++;
+      if (err.name === 'AbortError') throw new Error(`[chain] ${method}: timed out after ${this.config.timeoutMs}ms`);
+      throw err.message.startsWith('[chain]') ? err : new Error(`[chain] ${method}: ${err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Latest chain state, from cache when fresh enough
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Skip the cache
+   */
+  async sample({ force = false } = {}) {
+    if (!force && this.cached && Date.now() - this.cached.fetchedAt < this.config.cacheMs) return this.cached;
+    if (!this.inflight) {
+      this.inflight = this._fetchSample().finally(() => { this.inflight = null; });
+    }
+    return this.inflight;
+  }
+
+  async _fetchSample() {
+    const { commitment } = this.config;
+    const latest = await this.rpc('getLatestBlockhash', [{ commitment }]);
+    const slot = latest.context.slot;
+    const errors = [];
+    const soft = promise => promise.catch(err => { errors.push(err.message); return null; });
+
+    const [block, fees, timing] = await Promise.all([
+      soft(this._blockTransactions(slot)),
+      soft(this._priorityFees()),
+      soft(this._slotTiming()),
+    ]);
+
+    this.cached = {
+      slot,
+      blockhash: latest.value.blockhash,
+      blockSlot: block?.slot ?? null,
+      blockTxCount: block?.count ?? null,
+      fees,
+      slotMs: timing?.slotMs ?? null,
+      tps: timing?.tps ?? null,
+      errors,
+      fetchedAt: Date.now(),
+    };
+    console.log(`[chain] slot ${slot} · ${this.cached.blockTxCount ?? '?'} tx · ${fees ? fees.median : '?'} µL/CU${errors.length ? ` (${errors.length} partial)` : ''}`);
+    return this.cached;
+  }
+
+  // The newest slot's block is often skipped or not yet confirmed: walk back a few
+  async _blockTransactions(slot) {
+    let lastError = null;
+    for (let s = slot; s > slot - this.config.blockRetries; s--) {
+      try {
+        const block = await this.rpc('getBlock', [s, {
+          commitment: this.config.commitment,
+          transactionDetails: 'signatures',
+          rewards: false,
+          maxSupportedTransactionVersion: 0,
+        }]);
+        if (block) return { slot: s, count: block.signatures.length };
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw lastError || new Error(`[chain] getBlock: no block in slots ${slot - this.config.blockRetries + 1}–${slot}`);
+  }
+
+  // Micro-lamports per compute unit, across the recent slots the RPC reports
+  async _priorityFees() {
+    const entries = await this.rpc('getRecentPrioritizationFees', [[]]);
+    const sorted = entries.map(e => e.prioritizationFee).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    return {
+      slots: sorted.length,
+      median: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      max: sorted[sorted.length - 1],
+      nonZero: sorted.filter(f => f > 0).length / sorted.length,
+    };
+  }
+
+  async _slotTiming() {
+    const [perf] = await this.rpc('getRecentPerformanceSamples', [1]);
+    if (!perf || !perf.numSlots) return null;
+    return {
+      slotMs: perf.samplePeriodSecs * 1000 / perf.numSlots,
+      tps: perf.numTransactions / perf.samplePeriodSecs,
+    };
+  }
+
+  getStats() {
+    return {
+      rpcUrl: this.config.rpcUrl.replace(/api-key=[^&]*/, 'api-key=...'),
+      requests: this.requests,
+      failures: this.failures,
+      lastSlot: this.cached?.slot ?? null,
+      ageMs: this.cached ? Date.now() - this.cached.fetchedAt : null,
+    };
+  }
+}
+
+/**
+ * Chain sample → WebGL layer parameters
+ * @param {Object} sample - From ChainSampler.sample(); only blockhash is required
+ * @param {Object} [counts]
+ * @param {number} [counts.palettes=7]
+ * @param {number} [counts.compositions=5]
+ * @returns {{ seed: number, paletteIdx: number, compIdx: number, density: number, speed: number, temperature: number }}
+ */
+export function chainToVisuals(sample, { palettes = 7, compositions = 5 } = {}) {
+  // The blockhash is the seed; palette and composition are further draws from it
+  const rng = createRng(sample.blockhash);
+  const seed = Math.floor(rng() * 0x1000000);
+  const paletteIdx = Math.floor(rng() * palettes);
+  const compIdx = Math.floor(rng() * compositions);
+
+  const { density, speed, temperature } = NEUTRAL_VISUALS;
+  return {
+    seed,
+    paletteIdx,
+    compIdx,
+    density: sample.blockTxCount == null ? density : 0.3 + 0.7 * saturate(sample.blockTxCount, FULL_BLOCK_TX),
+    speed: sample.slotMs ? clamp(NOMINAL_SLOT_MS / sample.slotMs, 0.5, 2) : speed,
+    temperature: sample.fees ? saturate(sample.fees.median, HOT_PRIORITY_FEE) : temperature,
+  };
+}
+
+// CLI
+if (typeof process !== 'undefined' && import.meta.url === `file://${process.argv[1]}`) {
+  const i = process.argv.indexOf('--rpc');
+  const rpcUrl = i >= 0 ? process.argv[i + 1] : process.env.SOLANA_RPC_URL;
+  const sampler = new ChainSampler({ rpcUrl });
+  try {
+    const sample = await sampler.sample();
+    console.log(JSON.stringify({ sample, visuals: chainToVisuals(sample) }, null, 2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
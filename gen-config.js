@@ -2,7 +2,8 @@
 /**
  * gen-config.js — Generate config.js from .env for browser use
  * Run: node gen-config.js
- * Reads HELIUS_API_KEY from /workspace/kira/.env (or env var)
+ * Reads HELIUS_API_KEY, SOLANA_RPC_URL / SOLANA_WS_URL, FEED_SOURCE and DEMO_SCENARIO / DEMO_SEED
+ * from /workspace/kira/.env (or env vars)
  * Writes config.js (gitignored) with the key embedded for browser consumption
  */
 
@@ -40,11 +41,34 @@ if (apiKey === 'demo' || !apiKey) {
   }
 }
 
+// Plain Solana websocket endpoint for teams without a Helius key (any RPC, or a local
+// solana-test-validator on ws://127.0.0.1:8900). Derived from SOLANA_RPC_URL if not set.
+let wsUrl = process.env.SOLANA_WS_URL || envVars.SOLANA_WS_URL || '';
+if (!wsUrl) {
+  const rpcUrl = process.env.SOLANA_RPC_URL || envVars.SOLANA_RPC_URL || '';
+  if (/^https?:\/\//.test(rpcUrl)) wsUrl = rpcUrl.replace(/^http/, 'ws');
+}
+
+// helius | rpc | demo | replay — empty lets the viewer choose from what is configured
+const feedSource = process.env.FEED_SOURCE || envVars.FEED_SOURCE || '';
+
+// Demo scenario (scenarios.js) and seed — a fixed seed replays the same show every time
+const demoScenario = process.env.DEMO_SCENARIO || envVars.DEMO_SCENARIO || '';
+const demoSeed = process.env.DEMO_SEED || envVars.DEMO_SEED || '';
+
+// HTTP JSON-RPC for chain sampling (fetch-chain.js); empty uses public mainnet
+const httpRpcUrl = process.env.SOLANA_RPC_URL || envVars.SOLANA_RPC_URL || '';
+
 const configContent = `// config.js — AUTO-GENERATED by gen-config.js. DO NOT COMMIT.
 // Run "node gen-config.js" to regenerate from .env
 export const HELIUS_API_KEY = ${JSON.stringify(apiKey)};
+export const SOLANA_RPC_URL = ${JSON.stringify(/^https?:\/\//.test(httpRpcUrl) ? httpRpcUrl : '')};
+export const SOLANA_WS_URL = ${JSON.stringify(wsUrl)};
+export const FEED_SOURCE = ${JSON.stringify(feedSource)};
+export const DEMO_SCENARIO = ${JSON.stringify(demoScenario)};
+export const DEMO_SEED = ${JSON.stringify(demoSeed)};
 `;
 
 const outPath = path.resolve(__dirname, 'config.js');
 fs.writeFileSync(outPath, configContent);
-console.log(`[gen-config] Wrote config.js (key: ${apiKey === 'demo' ? 'demo/none' : apiKey.slice(0, 8) + '...'})`);
+console.log(`[gen-config] Wrote config.js (key: ${apiKey === 'demo' ? 'demo/none' : apiKey.slice(0, 8) + '...'}, ws: ${wsUrl ? wsUrl.replace(/api-key=.*/, 'api-key=...') : 'none'})`);
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * generate.js — Headless renderer: wallet seed → PNG / SVG, no browser or GPU
+ * Runs ParticleSystem at a fixed timestep against a software canvas backend.
+ *
+ * Run: node generate.js --wallet <address> [--slot 123] [--frames 300] [--size 1024x1024]
+ *                       [--density 1] [--events log.ndjson [--slots X-Y]] [--preset venue.json]
+ *                       [--format png|svg|both] [--out kira-art]
+ *
+ * --events accepts either ParticleSystem.eventLog entries ({ frame, effect | modulation | … }) or
+ * raw feed events ({ type, magnitude, sig, timestamp }), as a JSON array or NDJSON — e.g. a
+ * feed recording (replay.js). Raw events are placed on frames by timestamp relative to
+ * the first one and run through the aggregation stage (aggregator.js) like on the page;
+ * --slots keeps only events from that slot range.
+ *
+ * --preset applies the 2D part of a control panel preset (panel.js) over the seed's defaults.
+ *
+ * PNGs carry their recipe and a params hash (provenance.js) — check one with verify.js.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { walletToParams, ParticleSystem, handleSolanaEvent, FRAME_MS } from './generative.js';
+import { RasterCanvas } from './raster-canvas.js';
+import { SvgCanvas } from './svg-canvas.js';
+import { parseEventLog } from './replay.js';
+import { EventAggregator, signalsToModulation } from './aggregator.js';
+import { ArtworkState } from './artwork-state.js';
+import { provenanceText } from './provenance.js';
+import { presetFromJSON, tuningControls } from './panel.js';
+
+function parseArgs(argv) {
+  const args = { frames: 300, size: '1024x1024', format: 'png' };
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([\w-]+)$/.exec(argv[i]);
+    if (m) args[m[1]] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+export function readEventLog(path, slots) {
+  let entries = parseEventLog(fs.readFileSync(path, 'utf8'));
+  if (!entries.length || entries[0].frame !== undefined) return entries;
+
+  // Recorded feed events can be cut to a slot range
+  if (slots) entries = entries.filter(e => e.slot != null && e.slot >= slots[0] && e.slot <= slots[1]);
+  if (!entries.length) return entries;
+
+  // Raw feed events → eventLog entries on the fixed timestep, through the same aggregation
+  // stage as the page: throttled tx, summary events and density / turbulence modulation
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+  const t0 = entries[0].timestamp;
+  const frameAt = t => Math.round((t - t0) / FRAME_MS);
+  const log = [];
+  const aggregator = new EventAggregator(event => {
+    log.push({ frame: frameAt(event.timestamp), effect: handleSolanaEvent(event) });
+  }, {
+    onSignals: (signals, now) => log.push({ frame: frameAt(now), modulation: signalsToModulation(signals) }),
+  });
+  aggregator.run(entries);
+  return log;
+}
+
+/**
+ * Render one frame of a seeded piece onto any 2D-context canvas
+ * @param {Object} canvas - Anything with width/height/getContext('2d')
+ * @param {Object} options
+ * @param {string} options.wallet
+ * @param {number} [options.slot] - Chooses the composition from chain state
+ * @param {number} [options.density] - Particle count multiplier
+ * @param {Object} [options.tuning] - 2D curator tuning (a preset's tuning.particles)
+ * @param {number} options.frames - Frame to render up to
+ * @param {Array} [options.events] - eventLog entries ({ frame, effect })
+ * @returns {ParticleSystem}
+ */
+export function renderFrames(canvas, { wallet, slot, composition, density, tuning, frames, events = [] }) {
+  const params = walletToParams(wallet, { slot, composition, density, tuning });
+  const sys = new ParticleSystem(canvas, params);
+  sys.stepTo(frames, events);
+  return sys;
+}
+
+// CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.wallet || args.help) {
+    console.log('Usage: node generate.js --wallet <address> [--slot N] [--composition name] [--frames 300] [--density 1]');
+    console.log('                        [--size 1024x1024] [--events log.ndjson] [--slots X-Y] [--preset venue.json]');
+    console.log('                        [--format png|svg|both] [--out name]');
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const [width, height] = String(args.size).split('x').map(n => parseInt(n, 10));
+  const frames = parseInt(args.frames, 10);
+  const slot = args.slot !== undefined ? parseInt(args.slot, 10) : undefined;
+  const slots = args.slots ? String(args.slots).split('-').map(n => parseInt(n, 10)) : undefined;
+  const events = args.events ? readEventLog(args.events, slots) : [];
+  const out = args.out || `kira-art-${args.wallet.slice(0, 8)}-${frames}`;
+  const density = args.density !== undefined ? parseFloat(args.density) : undefined;
+  const tuning = args.preset ? presetFromJSON(fs.readFileSync(args.preset, 'utf8'), tuningControls()).tuning.particles : undefined;
+  const options = { wallet: args.wallet, slot, composition: args.composition, density, tuning, frames, events };
+
+  // The recipe, as the viewer would describe it (2D layer only — there is no WebGL here)
+  const overrides = Object.fromEntries(Object.entries({ slot, composition: args.composition, density, tuning }).filter(([, v]) => v !== undefined));
+  const state = new ArtworkState({
+    wallet: args.wallet,
+    overrides,
+    time: frames * FRAME_MS / 1000,
+    frame: frames,
+    replay: args.events ? { url: args.events, ...(slots && { slots }) } : null,
+  });
+
+  // The simulation is deterministic, so each backend simply replays it
+  if (args.format === 'png' || args.format === 'both') {
+    const t = Date.now();
+    const canvas = new RasterCanvas(width, height);
+    const sys = renderFrames(canvas, options);
+    fs.writeFileSync(`${out}.png`, canvas.toPNG(zlib.deflateSync, await provenanceText(state)));
+    console.log(`[generate] ${out}.png — ${sys.params.composition}, ${frames} frames, ${width}x${height} (${Date.now() - t}ms)`);
+  }
+  if (args.format === 'svg' || args.format === 'both') {
+    const t = Date.now();
+    const canvas = new SvgCanvas(width, height);
+    const sys = renderFrames(canvas, options);
+    fs.writeFileSync(`${out}.svg`, canvas.toSVG());
+    console.log(`[generate] ${out}.svg — ${sys.params.composition}, ${canvas.elements.length} elements (${Date.now() - t}ms)`);
+  }
+}
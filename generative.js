@@ -4,6 +4,63 @@
  * Visual language: dark-cinematic — transactions as light trails, nodes as luminescent orbs
  */
 
+import { getComposition, compositionNames, defaultLiveEvent, defaultEffectForce, adjustParticles } from './compositions.js';
+import { getMapping, mapEvent } from './mapping.js';
+import { deriveTraits } from './traits.js';
+import { ParticleBuffer } from './particles.js';
+import { WALLET_PALETTES, resolvePalette, hexToVec3 } from './palettes.js';
+
+export { registerComposition, getComposition, compositionNames } from './compositions.js';
+export { setMapping, loadMapping, validateMapping, MappingError } from './mapping.js';
+
+const DEFAULT_COMPOSITION = 'flow field';
+
+// Live effect stacking — priority decides who is evicted when the pool is full,
+// max caps how many of one type run at once (the oldest of that type is replaced).
+// Mapping rules may override both per effect; unknown types fall back to tx.
+export const EFFECT_RULES = {
+  whale: { priority: 4, max: 2 },
+  mev:   { priority: 3, max: 3 },
+  mint:  { priority: 2, max: 4 },
+  burn:  { priority: 2, max: 4 },
+  tx:    { priority: 0, max: 12 },
+  // Summary events from the aggregation stage (aggregator.js)
+  'whale-cluster': { priority: 5, max: 1 },
+  'volume-spike':  { priority: 3, max: 1 },
+  'quiet-period':  { priority: 1, max: 1 },
+  // The watched wallet's own activity, whatever its type
+  self: { priority: 6, max: 3 },
+};
+const MAX_LIVE_EFFECTS = 20;
+
+// Display quality (quality.js) — what setQuality() scales; calm drops FLASH_TYPES' flashes
+const FULL_QUALITY = { particles: 1, trails: 1, effects: 1, calm: false };
+const FLASH_TYPES = new Set(['whale', 'mev', 'whale-cluster', 'volume-spike']);
+
+// Per-frame decay of node activity counters
+const ACTIVITY_DECAY = 0.9995;
+
+// The holder's own events land on their node with this much extra activity
+const SELF_ACTIVITY_BOOST = 4;
+
+// Global multipliers driven by aggregate chain signals; changes below epsilon aren't logged
+const NEUTRAL_MODULATION = { turbulence: 1, density: 1 };
+const MODULATION_EPSILON = 0.01;
+// Density changes ease in at up to this fraction of the base particle count per frame
+const DENSITY_STEP = 0.01;
+
+// Checkpoints (see _checkpoint()): one a minute, the last two kept, and the event log holds
+// only what came after the older one — an always-on page keeps minutes of log, not days.
+// A flood of events checkpoints early, so the log stays within about MAX_LOG_ENTRIES.
+const CHECKPOINT_FRAMES = 3600;
+const CHECKPOINTS_KEPT = 2;
+const MAX_LOG_ENTRIES = 20000;
+
+// Curator tuning (panel.js) — system-wide knobs; compositions add their own defaults
+// (damping, attraction, trailLength). fade is the per-frame background wash, so lower
+// means longer 2D trails; effects scales each effect type's strength and size.
+export const TUNING_DEFAULTS = { fade: 0.18, effects: {} };
+
 // Deterministic hash from string → float [0,1]
 function hashFloat(str, seed = 0) {
   let h = seed;
@@ -17,28 +74,54 @@ function hashInt(str, seed, max) {
   return Math.floor(hashFloat(str, seed) * max);
 }
 
-// Live event handler — called by helius.js when Solana transaction occurs
-export function handleSolanaEvent(event) {
+// Fixed simulation timestep — effect durations (ms) are converted to frames with this
+export const FRAME_MS = 1000 / 60;
+
+// Seedable PRNG (FNV-1a seed → mulberry32 stream) — returns floats in [0,1)
+export function createRng(seed) {
+  const str = String(seed);
+  let s = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    s = Math.imul(s ^ str.charCodeAt(i), 0x01000193);
+  }
+  function rng() {
+    s = s + 0x6D2B79F5 | 0;
+    let t = Math.imul(s ^ s >>> 15, 1 | s);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  // Position in the stream, for checkpoints — assigning it resumes from there
+  Object.defineProperty(rng, 'state', { get: () => s, set: v => { s = v; } });
+  return rng;
+}
+
+// Deep copy of plain data (objects, arrays, typed arrays) for checkpoints. Functions — a
+// seeded noise field — are shared, so composition state keeps anything mutable as data.
+function cloneState(value) {
+  if (ArrayBuffer.isView(value)) return value.slice();
+  if (Array.isArray(value)) return value.map(cloneState);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneState(v)]));
+  }
+  return value;
+}
+
+// Live event handler — called by helius.js when Solana transaction occurs.
+// The visual response comes from the active mapping (mapping.js); pass one to override.
+export function handleSolanaEvent(event, mapping = getMapping()) {
   const { type, magnitude, sig, timestamp } = event;
   console.log(`[generative] Solana event: ${type} (${magnitude.toFixed(2)}) ${sig}`);
-  
-  // Map event type to visual effect
-  const effects = {
-    tx: { color: '#00ffff', size: 0.3, duration: 800 },      // normal tx — cyan pulse
-    whale: { color: '#ff00ff', size: 1.2, duration: 2000 },  // whale — magenta gravity well
-    mev: { color: '#ffff00', size: 0.8, duration: 1200 },    // MEV — yellow distortion flash
-    mint: { color: '#00ff00', size: 0.6, duration: 1500 },   // mint — green node spawn
-    burn: { color: '#ff0000', size: 0.7, duration: 1400 },   // burn — red node collapse
-  };
 
-  const effect = { ...(effects[type] || effects.tx) };
-  effect.type = type;  // preserve type for handleLiveEvent branching
+  const effect = mapEvent(event, mapping);
+  effect.type = type;  // preserve type for pool rules and compositions
   effect.magnitude = magnitude;
   effect.timestamp = timestamp;
   effect.sig = sig;
+  if (event.program) effect.program = event.program;
+  if (event.self) effect.self = true;
 
   // Dispatch to particle system (WebGL will pick this up)
-  if (window.dispatchEvent) {
+  if (typeof window !== 'undefined' && window.dispatchEvent) {
     window.dispatchEvent(new CustomEvent('solanaEvent', { detail: effect }));
   }
 
@@ -46,22 +129,19 @@ export function handleSolanaEvent(event) {
 }
 
 // Generate deterministic art parameters from a wallet address
-export function walletToParams(address) {
+// options.slot selects the composition from chain state instead; options.composition forces one
+// options.density multiplies the particle count (dense kiosk pieces)
+// options.tuning overrides the look (see tunedParams())
+export function walletToParams(address, options = {}) {
   if (!address || address.length < 8) address = 'default_kira_seed';
   const a = address;
 
   // Node count: 12-48
   const nodeCount = 12 + hashInt(a, 1, 36);
 
-  // Color palette: one of 4 schemes
-  const paletteIdx = hashInt(a, 2, 4);
-  const palettes = [
-    { primary: '#00e5ff', secondary: '#7c6af7', accent: '#ff6b2b' },  // cyan/violet/amber
-    { primary: '#00ff88', secondary: '#0066ff', accent: '#ff0088' },  // bioluminescent
-    { primary: '#ffcc00', secondary: '#ff4400', accent: '#00ccff' },  // molten
-    { primary: '#cc00ff', secondary: '#00ffcc', accent: '#ff6600' },  // deep violet/teal
-  ];
-  const palette = palettes[paletteIdx];
+  // Color palette: one of the wallet set (palettes.js)
+  const paletteIdx = hashInt(a, 2, WALLET_PALETTES.length);
+  const palette = WALLET_PALETTES[paletteIdx];
 
   // Node positions (normalized 0-1)
   const nodes = [];
@@ -92,7 +172,39 @@ export function walletToParams(address) {
   // Flow field turbulence: 0.3-1.0
   const turbulence = 0.3 + hashFloat(a, 4) * 0.7;
 
-  return { nodeCount, palette, nodes, particleCount, turbulence, address, liveEnabled: false };
+  // Composition: explicit override, else from the slot when given, else from the wallet
+  const names = compositionNames();
+  const composition = options.composition && getComposition(options.composition)
+    ? options.composition
+    : names[options.slot != null ? options.slot % names.length : hashInt(a, 5, names.length)];
+
+  const params = { nodeCount, palette, nodes, particleCount, turbulence, composition, address, liveEnabled: false };
+  // Curated, marketplace-facing traits (see traits.js)
+  params.traits = deriveTraits(params);
+  // Display-side density multiplier (kiosks) — scales the count, never the traits
+  if (options.density) params.particleCount = Math.round(particleCount * options.density);
+  // What tuning overrides falls back to
+  params.defaults = { palette, particleCount: params.particleCount, turbulence };
+  return options.tuning ? tunedParams(params, options.tuning) : params;
+}
+
+/**
+ * Params with curator tuning applied over the seed-derived defaults. Like density, tuning
+ * changes the look, never the traits.
+ * @param {Object} params - From walletToParams()
+ * @param {Object} tuning - { palette, particleCount, turbulence } replace the seed's — palette
+ *   is any palettes.js name, or "derived" for the wallet's own harmonic palette;
+ *   the rest (fade, effects, composition knobs) is read by the system through sys.tuning
+ */
+export function tunedParams(params, tuning = {}) {
+  const { defaults } = params;
+  return {
+    ...params,
+    palette: (tuning.palette && resolvePalette(tuning.palette, params.address)) || defaults.palette,
+    particleCount: tuning.particleCount ?? defaults.particleCount,
+    turbulence: tuning.turbulence ?? defaults.turbulence,
+    tuning,
+  };
 }
 
 // Particle system class
@@ -101,57 +213,280 @@ export class ParticleSystem {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.params = params;
-    this.particles = [];
+    this.initialParams = params;  // before live tuning — reset() and replays start here
+    this.particles = new ParticleBuffer(0);
     this.time = 0;
     this.scaledNodes = [];
-    this.liveEffect = null;
+    this.effects = [];    // active live effects, oldest first
+    this.nodeActivity = new Float32Array(params.nodes.length);
+    this.frame = 0;
+    this.eventLog = [];   // { frame, effect | modulation | tuning | quality } — seed + log reproduces any frame
+    this.checkpoints = [];  // state every CHECKPOINT_FRAMES; eventLog starts at the oldest
+    this._loggedSinceCheckpoint = 0;
+    this._replay = null;
+    this.modulation = { ...NEUTRAL_MODULATION };
+    this.quality = { ...FULL_QUALITY };  // the display's (setQuality)
+    this._densityDebt = 0;  // particles still to add (or remove) for the current density
+    this.rng = createRng(params.address);
+    // The holder's node — the heaviest in the constellation; their own activity lands here
+    this.selfNode = params.nodes.reduce((best, n, i) => (n.mass > params.nodes[best].mass ? i : best), 0);
+    this.composition = getComposition(params.composition) || getComposition(DEFAULT_COMPOSITION);
+    this._initParticles();
+    this._checkpoint();
+  }
+
+  // Rewind to frame 0: reseed, respawn particles and clear the canvas
+  reset() {
+    this.params = this.initialParams;
+    this.rng = createRng(this.params.address);
+    this.time = 0;
+    this.frame = 0;
+    this.effects = [];
+    this.nodeActivity.fill(0);
+    this.eventLog = [];
+    this.checkpoints = [];
+    this._loggedSinceCheckpoint = 0;
+    this._replay = null;
+    this.modulation = { ...NEUTRAL_MODULATION };
+    this.quality = { ...FULL_QUALITY };
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     this._initParticles();
+    this._checkpoint();
+  }
+
+  // Advance exactly one fixed timestep
+  step() {
+    if (this._replay) this._drainReplay();
+    this.update();
+    this.draw();
+    this.frame++;
+    if (this.frame % CHECKPOINT_FRAMES === 0 || this._loggedSinceCheckpoint >= MAX_LOG_ENTRIES / 2) this._checkpoint();
+  }
+
+  /**
+   * Deterministically render up to `frame`, replaying `eventLog` entries at their recorded frames.
+   * Rewinds when going backwards or switching to a different log: to the newest checkpoint at
+   * or before `frame`, else to frame 0. Frames before the oldest checkpoint can't be reached —
+   * their log entries were dropped with it.
+   * @param {number} frame
+   * @param {Array} [eventLog=this.eventLog]
+   * @param {Array} [checkpoints] - The ones taken alongside eventLog (sys.checkpoints); a
+   *   different log without them replays from frame 0
+   */
+  stepTo(frame, eventLog = this.eventLog, checkpoints = eventLog === this.eventLog ? this.checkpoints : []) {
+    if (frame < this.frame || eventLog !== this.eventLog) {
+      const from = checkpoints.filter(cp => cp.frame <= frame).pop();
+      if (!from && checkpoints.length) {
+        throw new Error(`[generative] Frame ${frame} is before the oldest checkpoint (${checkpoints[0].frame})`);
+      }
+      const log = eventLog.slice();
+      const kept = checkpoints.filter(cp => cp.frame <= frame);
+      this.reset();
+      let cursor = 0;
+      if (from) {
+        this._restore(from);
+        // Entries up to the checkpoint stay logged, so the older checkpoints stay reachable
+        while (cursor < log.length && log[cursor].frame < from.frame) cursor++;
+        this.eventLog = log.slice(0, cursor);
+        this.checkpoints = kept;
+      }
+      this._replay = { log, cursor };
+    }
+    while (this.frame < frame) this.step();
+  }
+
+  // Snapshot the simulation at the current frame (between steps) and drop log entries older
+  // than the oldest checkpoint kept. Pixels aren't part of it: frames drawn after a restore
+  // start on a cleared canvas, as after reset() — export.js replays its settle frames first.
+  _checkpoint() {
+    this.checkpoints.push({
+      frame: this.frame,
+      time: this.time,
+      rng: this.rng.state,
+      params: this.params,
+      modulation: this.modulation,
+      quality: this.quality,
+      densityDebt: this._densityDebt,
+      nodeActivity: this.nodeActivity.slice(),
+      scaledNodes: cloneState(this.scaledNodes),
+      effects: cloneState(this.effects),
+      particles: this.particles.clone(),
+      state: cloneState(this.state),
+    });
+    this._loggedSinceCheckpoint = 0;
+    if (this.checkpoints.length > CHECKPOINTS_KEPT) {
+      this.checkpoints.shift();
+      const start = this.checkpoints[0].frame;
+      let drop = 0;
+      while (drop < this.eventLog.length && this.eventLog[drop].frame < start) drop++;
+      this.eventLog.splice(0, drop);
+    }
+  }
+
+  _restore(cp) {
+    this.frame = cp.frame;
+    this.time = cp.time;
+    this.rng.state = cp.rng;
+    this.params = cp.params;
+    this.modulation = cp.modulation;
+    this.quality = cp.quality;
+    this._densityDebt = cp.densityDebt;
+    this.nodeActivity.set(cp.nodeActivity);
+    this.scaledNodes = cloneState(cp.scaledNodes);
+    this.effects = cloneState(cp.effects);
+    this.particles = cp.particles.clone();
+    this.state = cloneState(cp.state);
+    this._resolveTuning();
+  }
+
+  _log(entry) {
+    this.eventLog.push(entry);
+    this._loggedSinceCheckpoint++;
+  }
+
+  _drainReplay() {
+    const r = this._replay;
+    while (r.cursor < r.log.length && r.log[r.cursor].frame <= this.frame) {
+      const entry = r.log[r.cursor++];
+      if (entry.modulation) this.setModulation(entry.modulation);
+      else if (entry.tuning) this.setTuning(entry.tuning);
+      else if (entry.quality) this.setQuality(entry.quality);
+      else this.handleLiveEvent(entry.effect);
+    }
+    if (r.cursor >= r.log.length) this._replay = null;
   }
 
   handleLiveEvent(effect) {
-    // Pick a random node as epicenter
-    const idx = Math.floor(Math.random() * this.params.nodes.length);
+    this._log({ frame: this.frame, effect });
+
+    // Per-event stream: same wallet + signature + frame always lands the same way
+    const rng = createRng(`${this.params.address}:${effect.sig}:${this.frame}`);
+    const idx = this.epicenterFor(effect);
     const node = this.params.nodes[idx];
-    
-    this.liveEffect = {
+
+    // The node remembers: activity decays slowly and feeds back into mass and glow
+    this.nodeActivity[idx] += (effect.magnitude ?? 0.5) * (effect.self ? SELF_ACTIVITY_BOOST : 1);
+
+    // Curator intensity per effect type: force and size, not the node's memory of it
+    const intensity = this.tuning.effects[effect.self ? 'self' : effect.type] ?? 1;
+    const active = this._admitEffect({
       ...effect,
+      magnitude: (effect.magnitude ?? 0.5) * intensity,
+      size: (effect.size ?? 1) * intensity,
+      node: idx,
       x: node.x,
       y: node.y,
-      start: Date.now(),
-      duration: effect.duration || 1000,
+      startFrame: this.frame,
+      frames: Math.max(1, Math.round((effect.duration || 1000) / FRAME_MS)),
+      color: this._resolveColor(effect.color),
+      rule: this._effectRule(effect),
+    });
+    if (!active) return; // outranked by everything on screen — dropped
+
+    // One-shot physics response is up to the composition
+    const handler = this.composition.handleLiveEvent || defaultLiveEvent;
+    handler(this, effect, idx, rng);
+  }
+
+  // Scale turbulence and particle density (see signalsToModulation() in aggregator.js).
+  // Logged alongside effects so stepTo() reproduces it.
+  setModulation(modulation) {
+    const next = { ...this.modulation, ...modulation };
+    const changed = Object.keys(next).some(k => Math.abs(next[k] - this.modulation[k]) >= MODULATION_EPSILON);
+    if (!changed) return;
+    this._log({ frame: this.frame, modulation: next });
+    this._densityDebt += Math.round(this.params.particleCount * this.quality.particles * (next.density - this.modulation.density));
+    this.modulation = next;
+  }
+
+  // Curator tuning (panel.js), applied live over the wallet's defaults — each call replaces
+  // the last. Logged like modulation, so stepTo() reproduces the piece as tuned.
+  setTuning(tuning) {
+    this._log({ frame: this.frame, tuning });
+    const before = this.params.particleCount;
+    this.params = tunedParams(this.params, tuning);
+    this._densityDebt += Math.round((this.params.particleCount - before) * this.modulation.density * this.quality.particles);
+    this._resolveTuning();
+    this.particles.setTrailLength(this.tuning.trailLength ?? this.particles.trailLength);
+  }
+
+  // Display quality (quality.js): particle count, trail length and effect budget as
+  // fractions of the piece's, and calm (reduced motion) to drop whale / MEV flashes. It
+  // changes the simulation, so it is logged like tuning and replays show what the screen did.
+  setQuality(quality) {
+    const next = { ...FULL_QUALITY, ...quality };
+    if (Object.keys(next).every(k => next[k] === this.quality[k])) return;
+    this._log({ frame: this.frame, quality: next });
+    this._densityDebt += Math.round(this.params.particleCount * this.modulation.density * (next.particles - this.quality.particles));
+    this.quality = next;
+    this._resolveTuning();
+    this.particles.setTrailLength(this.tuning.trailLength ?? this.particles.trailLength);
+  }
+
+  // What each tuning key falls back to for this wallet and composition (the panel's defaults)
+  tuningDefaults() {
+    const { palette, particleCount, turbulence } = this.params.defaults;
+    return { ...TUNING_DEFAULTS, ...this.composition.defaults, palette: palette.name, particleCount, turbulence };
+  }
+
+  // System defaults, then the composition's, then the curator's (unset keys keep the default);
+  // trails shortened for display quality
+  _resolveTuning() {
+    const overrides = Object.entries(this.params.tuning || {}).filter(([, v]) => v !== undefined && v !== null);
+    this.tuning = { ...TUNING_DEFAULTS, ...this.composition.defaults, ...Object.fromEntries(overrides) };
+    if (this.tuning.trailLength) this.tuning.trailLength = Math.max(2, Math.round(this.tuning.trailLength * this.quality.trails));
+  }
+
+  // Effective turbulence — compositions read this rather than params.turbulence
+  get turbulence() {
+    return this.params.turbulence * this.modulation.turbulence;
+  }
+
+  // Events route by program (so a given DEX always lights the same region of this
+  // wallet's constellation), falling back to the signature
+  epicenterFor(effect) {
+    if (effect.self) return this.selfNode;
+    const key = effect.program || effect.sig || effect.type;
+    return hashInt(`${this.params.address}:${key}`, 7, this.params.nodes.length);
+  }
+
+  // Self events share one pool whatever their type
+  _effectRule(effect) {
+    const pool = effect.self ? 'self' : effect.type;
+    const base = EFFECT_RULES[pool] || EFFECT_RULES.tx;
+    return {
+      pool,
+      priority: effect.priority ?? base.priority,
+      max: effect.max ?? base.max,
     };
+  }
 
-    // Visual feedback based on event type
-    if (effect.type === 'whale') {
-      // Gravity well — pull particles toward epicenter
-      this.particles.forEach(p => {
-        const dx = node.x * this.canvas.width - p.x;
-        const dy = node.y * this.canvas.height - p.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < 200) {
-          p.vx += dx * 0.0005 * effect.magnitude;
-          p.vy += dy * 0.0005 * effect.magnitude;
-        }
-      });
-    } else if (effect.type === 'mint') {
-      // Spawn new particle
-      this.particles.push({
-        x: node.x * this.canvas.width,
-        y: node.y * this.canvas.height,
-        vx: (Math.random() - 0.5) * 2,
-        vy: (Math.random() - 0.5) * 2,
-        life: 1000,
-        maxLife: 1000,
-        trail: [],
-      });
-    } else if (effect.type === 'burn') {
-      // Kill nearby particles
-      this.particles = this.particles.filter(p => {
-        const dx = node.x * this.canvas.width - p.x;
-        const dy = node.y * this.canvas.height - p.y;
-        return dx * dx + dy * dy > 4000; // outside radius
-      });
+  // "palette.accent" etc. resolve against this wallet's palette
+  _resolveColor(color) {
+    return color?.startsWith('palette.') ? this.params.palette[color.slice(8)] : color;
+  }
+
+  // Add to the effect pool, enforcing per-type and global concurrency.
+  // Returns false when the pool is full of higher-priority effects.
+  _admitEffect(e) {
+    const { rule } = e;
+    const sameType = this.effects.filter(x => x.rule.pool === rule.pool);
+    if (sameType.length >= rule.max) {
+      this._evict(sameType[0]); // oldest of its kind makes room
+    } else if (this.effects.length >= Math.max(1, Math.round(MAX_LIVE_EFFECTS * this.quality.effects))) {
+      let victim = null;
+      for (const x of this.effects) {
+        if (!victim || x.rule.priority < victim.rule.priority) victim = x;
+      }
+      if (victim.rule.priority > rule.priority) return false;
+      this._evict(victim);
     }
+    this.effects.push(e);
+    return true;
+  }
+
+  _evict(e) {
+    this.effects.splice(this.effects.indexOf(e), 1);
   }
 
   _scaleNode(node) {
@@ -163,23 +498,12 @@ export class ParticleSystem {
   }
 
   _initParticles() {
-    const { params } = this;
-    this.scaledNodes = params.nodes.map(n => this._scaleNode(n));
-    this.particles = [];
-    for (let i = 0; i < params.particleCount; i++) {
-      // Start particles near random nodes
-      const homeNode = this.scaledNodes[i % this.scaledNodes.length];
-      this.particles.push({
-        x: homeNode.sx + (Math.random() - 0.5) * 60,
-        y: homeNode.sy + (Math.random() - 0.5) * 60,
-        vx: (Math.random() - 0.5) * 0.5,
-        vy: (Math.random() - 0.5) * 0.5,
-        life: Math.random(),
-        maxLife: 0.6 + Math.random() * 0.4,
-        homeNode: i % this.scaledNodes.length,
-        trail: [],
-      });
-    }
+    this._resolveTuning();
+    this.scaledNodes = this.params.nodes.map(n => this._scaleNode(n));
+    this.particles = new ParticleBuffer(0);
+    this.state = {};
+    this.composition.init(this);
+    this._densityDebt = Math.round(this.params.particleCount * (this.modulation.density * this.quality.particles - 1));
   }
 
   resize() {
@@ -188,131 +512,109 @@ export class ParticleSystem {
 
   update() {
     this.time += 0.008;
-    const { palette, turbulence } = this.params;
     const W = this.canvas.width, H = this.canvas.height;
 
-    for (const p of this.particles) {
-      // Attract toward home node
-      const home = this.scaledNodes[p.homeNode];
-      const dx = home.sx + Math.sin(this.time + home.phase) * 40 - p.x;
-      const dy = home.sy + Math.cos(this.time * 0.7 + home.phase) * 40 - p.y;
-      const dist = Math.hypot(dx, dy);
-
-      // Flow field noise-like perturbation
-      const angle = (p.x * 0.003 + p.y * 0.003 + this.time * 0.3) * turbulence;
-      p.vx += dx / Math.max(dist, 1) * 0.04 + Math.cos(angle) * 0.02;
-      p.vy += dy / Math.max(dist, 1) * 0.04 + Math.sin(angle) * 0.02;
-
-      // Dampen
-      p.vx *= 0.96;
-      p.vy *= 0.96;
-
-      p.x += p.vx;
-      p.y += p.vy;
-
-      // Save trail
-      p.trail.push({ x: p.x, y: p.y });
-      if (p.trail.length > 18) p.trail.shift();
-
-      p.life += 0.004;
-      if (p.life > p.maxLife || p.x < 0 || p.x > W || p.y < 0 || p.y > H) {
-        // Respawn near home
-        p.x = home.sx + (Math.random() - 0.5) * 80;
-        p.y = home.sy + (Math.random() - 0.5) * 80;
-        p.vx = (Math.random() - 0.5) * 0.4;
-        p.vy = (Math.random() - 0.5) * 0.4;
-        p.life = 0;
-        p.trail = [];
-      }
+    // Expire finished effects; the rest keep applying their per-frame forces
+    this.effects = this.effects.filter(e => this.frame - e.startFrame < e.frames);
+    const applyEffect = this.composition.applyEffect || defaultEffectForce;
+    for (const e of this.effects) {
+      applyEffect(this, e, (this.frame - e.startFrame) / e.frames);
+    }
+
+    this.composition.update(this);
+
+    // Ease toward the modulated density; mint spawns and burn culls stay as they are
+    if (this._densityDebt) {
+      const step = Math.max(1, Math.ceil(this.params.particleCount * DENSITY_STEP));
+      const n = Math.max(-step, Math.min(step, this._densityDebt));
+      adjustParticles(this, n);
+      this._densityDebt -= n;
     }
 
-    // Drift nodes
-    for (const n of this.scaledNodes) {
+    // Drift nodes; accumulated activity swells mass and glow (half-life ~23s)
+    this.scaledNodes.forEach((n, i) => {
       n.sx = n.x * W + Math.sin(this.time * n.speed * 200 + n.phase) * 18;
       n.sy = n.y * H + Math.cos(this.time * n.speed * 160 + n.phase) * 18;
-    }
+      this.nodeActivity[i] *= ACTIVITY_DECAY;
+      n.glow = 1 - Math.exp(-this.nodeActivity[i] / 6);
+      n.mass = this.params.nodes[i].mass * (1 + n.glow);
+    });
   }
 
   draw() {
-    const { ctx, canvas, params, scaledNodes, time } = this;
-    const { palette } = params;
+    const { ctx, canvas } = this;
     const W = canvas.width, H = canvas.height;
 
-    // Fade trail
-    ctx.fillStyle = 'rgba(8, 12, 20, 0.18)';
+    // Fade trail toward the palette's background
+    const [r, g, b] = hexToVec3(this.params.palette.background).map(c => Math.round(c * 255));
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${this.tuning.fade})`;
     ctx.fillRect(0, 0, W, H);
 
-    // Draw connections between nodes
-    for (let i = 0; i < scaledNodes.length; i++) {
-      const n = scaledNodes[i];
-      for (const j of params.nodes[i].connections) {
-        const t = scaledNodes[j];
-        const pulse = 0.15 + Math.sin(time * 1.2 + i * 0.5) * 0.08;
-        ctx.beginPath();
-        ctx.moveTo(n.sx, n.sy);
-        ctx.lineTo(t.sx, t.sy);
-        ctx.strokeStyle = palette.secondary + Math.floor(pulse * 255).toString(16).padStart(2, '0');
-        ctx.lineWidth = 0.5;
-        ctx.stroke();
-      }
-    }
-
-    // Draw particle trails
-    for (const p of this.particles) {
-      if (p.trail.length < 2) continue;
-      const alpha = (1 - p.life / p.maxLife) * 0.7;
-      ctx.beginPath();
-      ctx.moveTo(p.trail[0].x, p.trail[0].y);
-      for (let i = 1; i < p.trail.length; i++) {
-        ctx.lineTo(p.trail[i].x, p.trail[i].y);
-      }
-      ctx.strokeStyle = palette.primary + Math.floor(alpha * 180).toString(16).padStart(2, '0');
-      ctx.lineWidth = 0.8;
-      ctx.stroke();
-    }
+    this.composition.draw(this);
 
-    // Draw active live event effects
-    if (this.liveEffect && Date.now() - this.liveEffect.start < this.liveEffect.duration) {
-      const e = this.liveEffect;
-      const progress = (Date.now() - e.start) / e.duration;
+    // Draw live effects — highest priority first so lighter pulses play on top
+    const layered = [...this.effects].sort((a, b) => b.rule.priority - a.rule.priority);
+    for (const e of layered) {
+      const progress = (this.frame - e.startFrame) / e.frames;
       const alpha = 0.8 * (1 - progress);
       const radius = e.size * 80 * (1 - progress * 0.5);
-      
-      ctx.beginPath();
-      ctx.arc(e.x * this.canvas.width, e.y * this.canvas.height, radius, 0, Math.PI * 2);
-      ctx.fillStyle = e.color + Math.floor(alpha * 255).toString(16).padStart(2, '0');
-      ctx.fill();
-
-      // Distortion effect for MEV events
-      if (e.type === 'mev') {
+      const cx = e.x * W, cy = e.y * H;
+
+      const kind = e.action?.kind;
+      // Calm: gravity rings and ripples only, no flash or swirl
+      const flash = !(this.quality.calm && FLASH_TYPES.has(e.type));
+      if (kind === 'swirl' && flash) {
+        // Distortion — redraw the disc under the epicenter twisted and squashed.
+        // Feeding back into itself every frame accumulates into a visible swirl.
+        const r = e.action.radius || e.size * 120;
+        const k = 1 - progress;
         ctx.save();
-        ctx.translate(e.x * this.canvas.width, e.y * this.canvas.height);
-        ctx.rotate(progress * Math.PI * 2);
-        ctx.scale(1 + progress * 0.3, 1 - progress * 0.2);
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.translate(cx, cy);
+        ctx.rotate(0.12 * k);
+        ctx.scale(1 + 0.05 * k, 1 - 0.04 * k);
+        ctx.globalAlpha = 0.85;
+        ctx.drawImage(canvas, cx - r, cy - r, r * 2, r * 2, -r, -r, r * 2, r * 2);
         ctx.restore();
       }
-    }
 
-    // Draw nodes as luminescent orbs
-    for (const n of scaledNodes) {
-      const pulse = 0.7 + Math.sin(time * 1.5 + n.phase) * 0.3;
-      const r = 3 + n.mass * 8 * pulse;
+      if (flash) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = e.color + Math.floor(alpha * 255).toString(16).padStart(2, '0');
+        ctx.fill();
+      }
 
-      // Outer glow
-      const grd = ctx.createRadialGradient(n.sx, n.sy, 0, n.sx, n.sy, r * 3);
-      grd.addColorStop(0, palette.primary + 'cc');
-      grd.addColorStop(0.4, palette.primary + '44');
-      grd.addColorStop(1, palette.primary + '00');
-      ctx.beginPath();
-      ctx.arc(n.sx, n.sy, r * 3, 0, Math.PI * 2);
-      ctx.fillStyle = grd;
-      ctx.fill();
+      if (kind === 'attract' || kind === 'repel') {
+        // Gravity well — a ring collapsing (or bursting outward for repel) onto the epicenter for the whole duration
+        ctx.beginPath();
+        const reach = e.action.radius || 200;
+        ctx.arc(cx, cy, reach * (kind === 'attract' ? 1 - progress : progress) + 4, 0, Math.PI * 2);
+        ctx.strokeStyle = e.color + Math.floor(alpha * 0.5 * 255).toString(16).padStart(2, '0');
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+
+      if (e.self) this._drawSignatureRipple(e, progress, alpha, cx, cy);
+    }
+  }
 
-      // Core
+  // The holder's own activity: concentric rings whose count and spacing come from the
+  // signature, so each of their transactions leaves its own ripple
+  _drawSignatureRipple(e, progress, alpha, cx, cy) {
+    const { ctx } = this;
+    const key = e.sig || `${e.node}:${e.startFrame}`;
+    const rings = 3 + hashInt(key, 11, 4);
+    const reach = (e.action?.radius || 240) * (0.2 + progress * 0.8);
+    ctx.lineWidth = 1.2;
+    for (let k = 0; k < rings; k++) {
+      const r = reach * (1 - k / rings) * (0.85 + hashFloat(key, 12 + k) * 0.3);
       ctx.beginPath();
-      ctx.arc(n.sx, n.sy, r * 0.6, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+      ctx.strokeStyle = e.color + Math.floor(alpha * (1 - k / rings) * 255).toString(16).padStart(2, '0');
+      ctx.stroke();
     }
   }
 }
@@ -0,0 +1,250 @@
+/**
+ * gif.js — Minimal animated GIF encoder (GIF89a)
+ * Each frame gets its own 256-colour table (median cut over a sample of its pixels) and is
+ * LZW-compressed; no dithering. Pure JS, so it runs in a worker (capture-worker.js) or Node.
+ *
+ *   const gif = new GifEncoder(w, h, { loop: true });
+ *   gif.addFrame(rgba, 4);          // delay in 1/100 s
+ *   const bytes = gif.finish();
+ *
+ * Players stretch delays under 2 (20ms) to ~10, so GIFs top out at 50fps.
+ */
+
+const MAX_COLORS = 256;
+const SAMPLE_PIXELS = 65536;   // median cut sees at most this many pixels per frame
+
+// Growable byte buffer
+class ByteWriter {
+  constructor(size = 65536) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  _reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    const next = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+  }
+
+  byte(b) {
+    this._reserve(1);
+    this.bytes[this.length++] = b;
+  }
+
+  u16(v) {
+    this.byte(v & 0xff);
+    this.byte((v >> 8) & 0xff);
+  }
+
+  write(arr) {
+    this._reserve(arr.length);
+    this.bytes.set(arr, this.length);
+    this.length += arr.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Median cut: split the box with the widest channel range at its median until there are
+ * maxColors boxes; each box's mean is a palette entry
+ * @returns {Uint8Array} RGB triples, maxColors entries at most
+ */
+export function quantize(rgba, maxColors = MAX_COLORS) {
+  const pixels = rgba.length / 4;
+  const step = Math.max(1, Math.floor(pixels / SAMPLE_PIXELS));
+  const sample = [];
+  for (let i = 0; i < pixels; i += step) sample.push(((rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2]) >>> 0);
+
+  const channel = (c, ch) => (c >> (16 - ch * 8)) & 0xff;
+  const measure = colors => {
+    let widest = 0, range = -1;
+    for (let ch = 0; ch < 3; ch++) {
+      let lo = 255, hi = 0;
+      for (const c of colors) {
+        const v = channel(c, ch);
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      if (hi - lo > range) {
+        range = hi - lo;
+        widest = ch;
+      }
+    }
+    return { colors, channel: widest, range };
+  };
+
+  const boxes = [measure(sample)];
+  while (boxes.length < maxColors) {
+    let pick = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].range > 0 && boxes[i].colors.length > 1 && (pick < 0 || boxes[i].range > boxes[pick].range)) pick = i;
+    }
+    if (pick < 0) break;  // every box is a single colour
+    const { colors, channel: ch } = boxes[pick];
+    colors.sort((a, b) => channel(a, ch) - channel(b, ch));
+    const mid = colors.length >> 1;
+    boxes.splice(pick, 1, measure(colors.slice(0, mid)), measure(colors.slice(mid)));
+  }
+
+  const palette = new Uint8Array(boxes.length * 3);
+  boxes.forEach(({ colors }, i) => {
+    for (let ch = 0; ch < 3; ch++) {
+      let sum = 0;
+      for (const c of colors) sum += channel(c, ch);
+      palette[i * 3 + ch] = Math.round(sum / colors.length);
+    }
+  });
+  return palette;
+}
+
+// Nearest palette entry per pixel, memoised on 15-bit colour
+export function mapToPalette(rgba, palette) {
+  const n = palette.length / 3;
+  const cache = new Int16Array(32768).fill(-1);
+  const out = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < out.length; i++) {
+    const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    let best = cache[key];
+    if (best < 0) {
+      let bestDist = Infinity;
+      for (let j = 0; j < n; j++) {
+        const dr = r - palette[j * 3], dg = g - palette[j * 3 + 1], db = b - palette[j * 3 + 2];
+        const d = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+        if (d < bestDist) {
+          bestDist = d;
+          best = j;
+        }
+      }
+      cache[key] = best;
+    }
+    out[i] = best;
+  }
+  return out;
+}
+
+/**
+ * GIF LZW: variable-width codes (minCodeSize + 1 up to 12 bits), LSB first, a clear code
+ * whenever the table fills
+ * @returns {Uint8Array} Packed codes, before sub-blocking
+ */
+export function lzwEncode(indices, minCodeSize = 8) {
+  const clear = 1 << minCodeSize, end = clear + 1;
+  // (prefix << 8 | next index) → generation << 12 | code; bumping the generation clears it
+  const table = new Int32Array(4096 << 8);
+  let generation = 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = end + 1;
+  const out = new ByteWriter(indices.length >> 1);
+  let bits = 0, nbits = 0;
+  const emit = code => {
+    bits |= code << nbits;
+    nbits += codeSize;
+    while (nbits >= 8) {
+      out.byte(bits & 0xff);
+      bits >>>= 8;
+      nbits -= 8;
+    }
+  };
+
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const entry = table[key];
+    if (entry >>> 12 === generation) {
+      prefix = entry & 0xfff;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clear);
+      generation++;
+      codeSize = minCodeSize + 1;
+      nextCode = end + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table[key] = (generation << 12) | nextCode++;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(end);
+  if (nbits > 0) out.byte(bits & 0xff);
+  return out.result();
+}
+
+export class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} [options]
+   * @param {boolean} [options.loop=true] - Loop forever (NETSCAPE2.0); false plays once
+   */
+  constructor(width, height, { loop = true } = {}) {
+    this.width = width;
+    this.height = height;
+    this.frames = 0;
+    this.out = new ByteWriter();
+    const out = this.out;
+    for (const c of 'GIF89a') out.byte(c.charCodeAt(0));
+    out.u16(width);
+    out.u16(height);
+    out.byte(0);   // no global colour table — every frame brings its own
+    out.byte(0);   // background colour index
+    out.byte(0);   // pixel aspect ratio
+    if (loop) {
+      out.write([0x21, 0xff, 0x0b]);
+      for (const c of 'NETSCAPE2.0') out.byte(c.charCodeAt(0));
+      out.write([0x03, 0x01]);
+      out.u16(0);  // repeat forever
+      out.byte(0);
+    }
+  }
+
+  /**
+   * @param {Uint8Array|Uint8ClampedArray} rgba - width * height * 4; alpha is ignored
+   * @param {number} delay - Hundredths of a second
+   */
+  addFrame(rgba, delay) {
+    const { out, width, height } = this;
+    const palette = quantize(rgba);
+    const indices = mapToPalette(rgba, palette);
+
+    // Graphic control: no disposal (frames are full-size and opaque), delay, no transparency
+    out.write([0x21, 0xf9, 0x04, 0x04]);
+    out.u16(Math.max(0, Math.round(delay)));
+    out.write([0, 0]);
+
+    // Image descriptor with a 256-entry local colour table
+    out.byte(0x2c);
+    out.u16(0);
+    out.u16(0);
+    out.u16(width);
+    out.u16(height);
+    out.byte(0x80 | 7);
+    const table = new Uint8Array(MAX_COLORS * 3);
+    table.set(palette);
+    out.write(table);
+
+    out.byte(8);  // LZW minimum code size
+    const data = lzwEncode(indices, 8);
+    for (let off = 0; off < data.length; off += 255) {
+      const block = data.subarray(off, off + 255);
+      out.byte(block.length);
+      out.write(block);
+    }
+    out.byte(0);
+    this.frames++;
+  }
+
+  finish() {
+    this.out.byte(0x3b);
+    return this.out.result();
+  }
+}
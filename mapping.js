@@ -0,0 +1,224 @@
+/**
+ * mapping.js — Declarative event → effect mapping
+ * Curators retune the visual language per show by editing JSON instead of code.
+ *
+ * {
+ *   "rules": [
+ *     {
+ *       "match":  { "type": "whale", "magnitude": { "gte": 0.8 }, "program": ["JUP6Lkb…"] },
+ *       "effect": {
+ *         "color": "palette.accent",                              // or "#rrggbb"
+ *         "size": { "base": 0.4, "scale": 1.2, "curve": "sqrt" },  // or a plain number
+ *         "duration": 2000,                                       // ms
+ *         "priority": 4, "max": 2,                                // optional pool overrides
+ *         "action": { "kind": "attract", "strength": 1, "radius": 200 }
+ *       }
+ *     }
+ *   ],
+ *   "default": { "color": "#00ffff", "size": 0.3, "duration": 800 }
+ * }
+ *
+ * Rules are tried in order and the first match wins. `self: true` matches the watched
+ * wallet's own activity (see watchWallet() in solana-feed.js). A match value can be a scalar
+ * (equality), an array (any of) or a range ({ gt, gte, lt, lte }); when the event
+ * field is itself an array (e.g. programs) any element may satisfy it.
+ */
+
+import { ROLES } from './palettes.js';
+
+export const SIZE_CURVES = {
+  linear: m => m,
+  sqrt: m => Math.sqrt(m),
+  square: m => m * m,
+  exp: m => (Math.exp(m * 3) - 1) / (Math.exp(3) - 1),
+};
+
+// Physics actions and the parameters each accepts
+export const ACTIONS = {
+  none:    [],
+  attract: ['strength', 'radius'],
+  repel:   ['strength', 'radius'],
+  swirl:   ['strength', 'radius'],
+  spawn:   ['count'],
+  cull:    ['radius'],
+  recolor: ['color', 'radius'],
+};
+
+const PALETTE_KEYS = ROLES;  // palettes.js
+const EFFECT_KEYS = ['color', 'size', 'duration', 'priority', 'max', 'action'];
+const RANGE_OPS = ['gt', 'gte', 'lt', 'lte'];
+
+export class MappingError extends Error {
+  constructor(errors) {
+    super(`Invalid event mapping:\n  ${errors.join('\n  ')}`);
+    this.name = 'MappingError';
+    this.errors = errors;
+  }
+}
+
+// The original hard-coded table, plus the holder's own activity and the aggregator's summary events
+export const DEFAULT_MAPPING = {
+  rules: [
+    { match: { self: true },    effect: { color: 'palette.accent', size: { base: 0.8, scale: 0.8, curve: 'sqrt' }, duration: 4000, action: { kind: 'repel', strength: 0.6, radius: 240 } } },
+    { match: { type: 'whale' }, effect: { color: '#ff00ff', size: 1.2, duration: 2000, action: { kind: 'attract', strength: 1, radius: 200 } } },
+    { match: { type: 'mev' },   effect: { color: '#ffff00', size: 0.8, duration: 1200, action: { kind: 'swirl', strength: 1, radius: 120 } } },
+    { match: { type: 'mint' },  effect: { color: '#00ff00', size: 0.6, duration: 1500, action: { kind: 'spawn', count: 1 } } },
+    { match: { type: 'burn' },  effect: { color: '#ff0000', size: 0.7, duration: 1400, action: { kind: 'cull', radius: 63 } } },
+    { match: { type: 'whale-cluster' }, effect: { color: '#ff00ff', size: { base: 1.2, scale: 1.2 }, duration: 3000, action: { kind: 'attract', strength: 1.5, radius: 320 } } },
+    { match: { type: 'volume-spike' },  effect: { color: 'palette.accent', size: { base: 0.8, scale: 0.8 }, duration: 2500, action: { kind: 'swirl', strength: 0.8, radius: 260 } } },
+    { match: { type: 'quiet-period' },  effect: { color: 'palette.secondary', size: 0.5, duration: 3000 } },
+  ],
+  default: { color: '#00ffff', size: 0.3, duration: 800 },
+};
+
+function isColor(c) {
+  return typeof c === 'string' &&
+    (/^#[0-9a-f]{6}$/i.test(c) || (c.startsWith('palette.') && PALETTE_KEYS.includes(c.slice(8))));
+}
+
+function isNum(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+function validateMatch(match, path, errors) {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    errors.push(`${path}: must be an object of event fields`);
+    return;
+  }
+  for (const [field, cond] of Object.entries(match)) {
+    if (cond && typeof cond === 'object' && !Array.isArray(cond)) {
+      const ops = Object.keys(cond);
+      if (!ops.length) errors.push(`${path}.${field}: empty range`);
+      for (const op of ops) {
+        if (!RANGE_OPS.includes(op)) errors.push(`${path}.${field}.${op}: unknown operator (use ${RANGE_OPS.join(', ')})`);
+        else if (!isNum(cond[op])) errors.push(`${path}.${field}.${op}: must be a number`);
+      }
+    }
+  }
+}
+
+function validateEffect(effect, path, errors) {
+  if (!effect || typeof effect !== 'object' || Array.isArray(effect)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  for (const key of Object.keys(effect)) {
+    if (!EFFECT_KEYS.includes(key)) errors.push(`${path}.${key}: unknown field`);
+  }
+  if (!isColor(effect.color)) {
+    errors.push(`${path}.color: must be "#rrggbb" or one of ${PALETTE_KEYS.map(k => 'palette.' + k).join(', ')}`);
+  }
+
+  const { size } = effect;
+  if (size && typeof size === 'object') {
+    if (size.base !== undefined && !isNum(size.base)) errors.push(`${path}.size.base: must be a number`);
+    if (!isNum(size.scale)) errors.push(`${path}.size.scale: must be a number`);
+    if (size.curve !== undefined && !SIZE_CURVES[size.curve]) {
+      errors.push(`${path}.size.curve: must be one of ${Object.keys(SIZE_CURVES).join(', ')}`);
+    }
+  } else if (!isNum(size) || size < 0) {
+    errors.push(`${path}.size: must be a non-negative number or { base, scale, curve }`);
+  }
+
+  if (!isNum(effect.duration) || effect.duration <= 0) errors.push(`${path}.duration: must be a positive number of ms`);
+  if (effect.priority !== undefined && !isNum(effect.priority)) errors.push(`${path}.priority: must be a number`);
+  if (effect.max !== undefined && !(Number.isInteger(effect.max) && effect.max > 0)) {
+    errors.push(`${path}.max: must be a positive integer`);
+  }
+
+  const { action } = effect;
+  if (action === undefined) return;
+  if (!action || typeof action !== 'object' || !ACTIONS[action.kind]) {
+    errors.push(`${path}.action.kind: must be one of ${Object.keys(ACTIONS).join(', ')}`);
+    return;
+  }
+  const allowed = ACTIONS[action.kind];
+  for (const [key, val] of Object.entries(action)) {
+    if (key === 'kind') continue;
+    if (!allowed.includes(key)) errors.push(`${path}.action.${key}: not used by "${action.kind}"`);
+    else if (key === 'color' ? !isColor(val) : !isNum(val) || val < 0) {
+      errors.push(`${path}.action.${key}: invalid value`);
+    }
+  }
+  if (action.kind === 'spawn' && !(Number.isInteger(action.count) && action.count > 0)) {
+    errors.push(`${path}.action.count: spawn needs a positive integer count`);
+  }
+  if (action.kind === 'cull' && !isNum(action.radius)) errors.push(`${path}.action.radius: cull needs a radius`);
+  if (action.kind === 'recolor' && !isColor(action.color)) errors.push(`${path}.action.color: recolor needs a color`);
+}
+
+// Throws MappingError listing every problem; returns the config unchanged when valid
+export function validateMapping(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object') {
+    throw new MappingError(['mapping must be an object']);
+  }
+  for (const key of Object.keys(config)) {
+    if (key !== 'rules' && key !== 'default') errors.push(`${key}: unknown field`);
+  }
+  if (!Array.isArray(config.rules)) {
+    errors.push('rules: must be an array');
+  } else {
+    config.rules.forEach((rule, i) => {
+      validateMatch(rule?.match, `rules[${i}].match`, errors);
+      validateEffect(rule?.effect, `rules[${i}].effect`, errors);
+    });
+  }
+  validateEffect(config.default, 'default', errors);
+  if (errors.length) throw new MappingError(errors);
+  return config;
+}
+
+function matchValue(cond, value) {
+  if (Array.isArray(value)) return value.some(v => matchValue(cond, v));
+  if (Array.isArray(cond)) return cond.includes(value);
+  if (cond && typeof cond === 'object') {
+    if (!isNum(value)) return false;
+    return (cond.gt === undefined || value > cond.gt) &&
+      (cond.gte === undefined || value >= cond.gte) &&
+      (cond.lt === undefined || value < cond.lt) &&
+      (cond.lte === undefined || value <= cond.lte);
+  }
+  return cond === value;
+}
+
+export function findRule(event, mapping) {
+  return mapping.rules.find(r => Object.entries(r.match).every(([k, cond]) => matchValue(cond, event[k]))) || null;
+}
+
+// Resolve an event into a concrete effect description (colour may still be "palette.*")
+export function mapEvent(event, mapping) {
+  const spec = findRule(event, mapping)?.effect || mapping.default;
+  const m = Math.max(0, Math.min(1, event.magnitude ?? 0.5));
+  const size = typeof spec.size === 'number'
+    ? spec.size
+    : (spec.size.base || 0) + SIZE_CURVES[spec.size.curve || 'linear'](m) * spec.size.scale;
+
+  const effect = {
+    color: spec.color,
+    size,
+    duration: spec.duration,
+    action: spec.action || { kind: 'none' },
+  };
+  if (spec.priority !== undefined) effect.priority = spec.priority;
+  if (spec.max !== undefined) effect.max = spec.max;
+  return effect;
+}
+
+let activeMapping = DEFAULT_MAPPING;
+
+export function getMapping() {
+  return activeMapping;
+}
+
+export function setMapping(config) {
+  activeMapping = validateMapping(config);
+  return activeMapping;
+}
+
+// Fetch and activate a curator's JSON mapping
+export async function loadMapping(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`[mapping] ${url}: HTTP ${res.status}`);
+  return setMapping(await res.json());
+}
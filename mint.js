@@ -10,6 +10,7 @@ import { mplTokenMetadata } from '@metaplex-foundation/mpl-token-metadata';
 import { irysUploader } from '@metaplex-foundation/umi-uploader-irys';
 import { generateSigner, percentAmount, sol } from '@metaplex-foundation/umi';
 import { createNft, mplCore } from '@metaplex-foundation/mpl-core';
+import { traitsToAttributes } from './traits.js';
 
 // Initialize Umi with devnet endpoint
 const umi = createUmi('https://api.devnet.solana.com')
@@ -22,31 +23,43 @@ const umi = createUmi('https://api.devnet.solana.com')
  * @param {Object} params - Mint parameters
  * @param {string} params.imageData - Base64 or blob of the PNG image
  * @param {string} params.walletAddress - Creator wallet address
- * @param {Object} params.traits - Art traits derived from walletToParams()
+ * @param {Object} params.traits - Curated traits from walletToParams().traits
+ * @param {ArtworkState} [params.artwork] - The view being minted (artwork-state.js) — stored as its reproduction recipe
+ * @param {{ data: Uint8Array, type: string }} [params.animation] - A capture.js clip, stored as animation_url
  * @returns {Promise<Object>} Mint result with signature and mint address
  */
-export async function mintGenerativeNFT({ imageData, walletAddress, traits }) {
+export async function mintGenerativeNFT({ imageData, walletAddress, traits, artwork, animation }) {
   try {
     // 1. Upload image to Arweave via Irys
     console.log('Uploading image to Arweave...');
     const imageUri = await umi.uploader.upload([imageData]);
     console.log('Image uploaded:', imageUri);
 
+    let animationUri = null;
+    if (animation) {
+      console.log('Uploading animation...');
+      [animationUri] = await umi.uploader.upload([animation.data]);
+      console.log('Animation uploaded:', animationUri);
+    }
+
     // 2. Generate metadata JSON
     const metadata = {
       name: `Kira Art #${Date.now()}`,
       description: `Generative art seeded from Solana on-chain data. Created by Kira.`,
       image: imageUri[0],
-      attributes: Object.entries(traits).map(([trait_type, value]) => ({
-        trait_type,
-        value: String(value)
-      })),
+      ...(animationUri && { animation_url: animationUri }),
+      attributes: traitsToAttributes(traits),
       properties: {
-        category: 'image',
+        category: animation?.type.startsWith('video/') ? 'video' : 'image',
+        files: [
+          { uri: imageUri[0], type: 'image/png' },
+          ...(animationUri ? [{ uri: animationUri, type: animation.type }] : [])
+        ],
         creators: [{
           address: walletAddress,
           share: 100
-        }]
+        }],
+        ...(artwork && { artwork: artwork.toJSON() })
       }
     };
 
@@ -78,7 +91,8 @@ export async function mintGenerativeNFT({ imageData, walletAddress, traits }) {
       signature: result.signature,
       mintAddress: mintSigner.publicKey.toString(),
       metadataUri,
-      imageUri: imageUri[0]
+      imageUri: imageUri[0],
+      animationUri
     };
 
   } catch (error) {
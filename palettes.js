@@ -0,0 +1,240 @@
+/**
+ * palettes.js — One palette model for both render layers
+ *
+ * A palette names four roles as hex colours:
+ *
+ *   background  the dark ground — WebGL col_a, the 2D layer's trail wash
+ *   primary     the main light — WebGL col_b and its particles, 2D trails and nodes
+ *   secondary   connections, grid lines
+ *   accent      highlights — active nodes, mapped effect colours ("palette.accent")
+ *
+ * paletteVec3() gives the same roles as RGB 0–1 for shader uniforms. Colour maths runs in
+ * OKLab / OKLCH, where equal steps look equal: derivePalette() builds a harmonic palette
+ * from a seed, mixPalettes() blends two (slot changes crossfade through it) and
+ * harmonize() turns one palette's hues so its primary sits in a harmonic relation to
+ * another's — how the chain-picked WebGL palette is made to agree with the wallet's.
+ *
+ *   const p = derivePalette('7xKXtg…', { scheme: 'triadic' });
+ *   const { background, primary } = paletteVec3(p);
+ */
+
+// ── Colour conversion ───────────────────────────────────────────────────────
+
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const toGamma = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055);
+
+export function hexToVec3(hex) {
+  const n = parseInt(hex.slice(1, 7), 16);
+  return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+}
+
+export function vec3ToHex(rgb) {
+  return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// sRGB 0–1 → [L, a, b]
+export function rgbToOklab(rgb) {
+  const [r, g, b] = rgb.map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+  ];
+}
+
+// [L, a, b] → linear-light sRGB, unclamped (out of gamut when any channel leaves 0–1)
+function oklabToLinear([L, a, b]) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ];
+}
+
+export function oklabToRgb(lab) {
+  return oklabToLinear(lab).map(c => toGamma(Math.min(1, Math.max(0, c))));
+}
+
+// [L, C, h°]
+export function hexToOklch(hex) {
+  const [L, a, b] = rgbToOklab(hexToVec3(hex));
+  return [L, Math.hypot(a, b), (Math.atan2(b, a) * 180 / Math.PI + 360) % 360];
+}
+
+// Chroma is reduced until the colour fits sRGB, so hue and lightness survive
+export function oklchToHex([L, C, h]) {
+  const rad = h * Math.PI / 180;
+  const inGamut = c => oklabToLinear([L, c * Math.cos(rad), c * Math.sin(rad)]).every(v => v >= -1e-4 && v <= 1 + 1e-4);
+  let lo = 0, hi = C;
+  if (!inGamut(hi)) {
+    for (let i = 0; i < 20; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(mid)) lo = mid;
+      else hi = mid;
+    }
+    C = lo;
+  }
+  return vec3ToHex(oklabToRgb([L, C * Math.cos(rad), C * Math.sin(rad)]));
+}
+
+// ── Named palettes ──────────────────────────────────────────────────────────
+
+export const ROLES = ['background', 'primary', 'secondary', 'accent'];
+
+// The WebGL layer's set first — chain state picks among these by index (fetch-chain.js)
+// and permalinks store the index — then the wallet set walletToParams() picks from by hash.
+// Order is part of both recipes: append, never reorder.
+export const PALETTES = [
+  { name: 'deep space',     background: '#080a1a', primary: '#7c6af7', secondary: '#4b7be0', accent: '#f0a05a' },
+  { name: 'amber pulse',    background: '#0d0800', primary: '#f59e0b', secondary: '#d8632c', accent: '#5aa7f0' },
+  { name: 'mycelium',       background: '#0a1a0a', primary: '#34d399', secondary: '#2aa3a0', accent: '#e78bd0' },
+  { name: 'plasma',         background: '#0d0010', primary: '#ec4999', secondary: '#b35ce0', accent: '#7fd6a2' },
+  { name: 'arctic',         background: '#001020', primary: '#0ea5e9', secondary: '#4f77df', accent: '#f3b06b' },
+  { name: 'copper',         background: '#0a0600', primary: '#d97706', secondary: '#b9492f', accent: '#4f9fd6' },
+  { name: 'void',           background: '#000000', primary: '#6b7280', secondary: '#4d5563', accent: '#b4b9c3' },
+  { name: 'nebula',         background: '#080c14', primary: '#00e5ff', secondary: '#7c6af7', accent: '#ff6b2b' },  // cyan/violet/amber
+  { name: 'bioluminescent', background: '#080c14', primary: '#00ff88', secondary: '#0066ff', accent: '#ff0088' },
+  { name: 'molten',         background: '#080c14', primary: '#ffcc00', secondary: '#ff4400', accent: '#00ccff' },
+  { name: 'deep violet',    background: '#080c14', primary: '#cc00ff', secondary: '#00ffcc', accent: '#ff6600' },  // deep violet/teal
+];
+
+export const WEBGL_PALETTES = PALETTES.slice(0, 7);
+export const WALLET_PALETTES = PALETTES.slice(7);
+
+export function getPalette(name) {
+  return PALETTES.find(p => p.name === name) || null;
+}
+
+/**
+ * A palette by name, or "derived" for the seed's own harmonic palette
+ * @param {string} name
+ * @param {string|number} seed - Used by "derived"
+ * @returns {?Object}
+ */
+export function resolvePalette(name, seed) {
+  return name === 'derived' ? derivePalette(seed) : getPalette(name);
+}
+
+// Every role as RGB 0–1, for uniforms
+export function paletteVec3(palette) {
+  return Object.fromEntries(ROLES.map(role => [role, hexToVec3(palette[role])]));
+}
+
+export function samePalette(a, b) {
+  return a === b || (!!a && !!b && ROLES.every(role => a[role] === b[role]));
+}
+
+// ── Harmony ─────────────────────────────────────────────────────────────────
+
+// Hue offsets of primary, secondary and accent from the base hue
+export const HARMONIC_SCHEMES = {
+  analogous: [0, 30, 60],
+  complementary: [0, 20, 180],
+  'split-complementary': [0, 150, 210],
+  triadic: [0, 120, 240],
+  tetradic: [0, 90, 180],
+};
+
+// Lightness and chroma per role — light on dark, the accent the most saturated
+const DERIVED_LC = {
+  background: [0.14, 0.03],
+  primary: [0.78, 0.15],
+  secondary: [0.62, 0.16],
+  accent: [0.74, 0.19],
+};
+
+// FNV-1a — any string or number seed → uint32
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+/**
+ * A palette generated from a seed: base hue and harmonic scheme from the hash, fixed
+ * lightness and chroma per role in OKLCH so every derived palette reads the same way
+ * @param {string|number} seed
+ * @param {Object} [options]
+ * @param {string} [options.scheme] - HARMONIC_SCHEMES key; from the seed when omitted
+ * @param {number} [options.hue] - Base hue in degrees; from the seed when omitted
+ */
+export function derivePalette(seed, { scheme, hue } = {}) {
+  const h = hashSeed(seed);
+  const schemes = Object.keys(HARMONIC_SCHEMES);
+  scheme ??= schemes[h % schemes.length];
+  if (!HARMONIC_SCHEMES[scheme]) throw new Error(`[palettes] Unknown scheme "${scheme}" (${schemes.join(', ')})`);
+  hue ??= (h >>> 8) % 360;
+  const [p, s, a] = HARMONIC_SCHEMES[scheme];
+  const at = (role, offset) => oklchToHex([...DERIVED_LC[role], (hue + offset) % 360]);
+  return {
+    name: 'derived',
+    scheme,
+    hue,
+    background: at('background', p),
+    primary: at('primary', p),
+    secondary: at('secondary', s),
+    accent: at('accent', a),
+  };
+}
+
+// Hue offsets a primary may sit at from the anchor's and still agree with it
+const HARMONIC_OFFSETS = [0, 30, -30, 120, -120, 180];
+
+const wrapHue = d => ((d + 540) % 360) - 180;
+
+/**
+ * Turn every hue in `palette` by the smallest amount that puts its primary at a harmonic
+ * offset from the anchor's primary; lightness and chroma are kept, so the palette keeps
+ * its character. Near-grey palettes have no hue to speak of and come back unchanged.
+ * @param {Object} palette
+ * @param {Object} anchor
+ */
+export function harmonize(palette, anchor) {
+  const [, chroma, h] = hexToOklch(palette.primary);
+  if (chroma < 0.03) return palette;
+  const d = wrapHue(h - hexToOklch(anchor.primary)[2]);
+  let turn = 0, best = Infinity;
+  for (const offset of HARMONIC_OFFSETS) {
+    const t = wrapHue(offset - d);
+    if (Math.abs(t) < best) [best, turn] = [Math.abs(t), t];
+  }
+  if (Math.abs(turn) < 1) return palette;
+  const out = { ...palette };
+  for (const role of ROLES) {
+    const [L, C, hue] = hexToOklch(palette[role]);
+    out[role] = oklchToHex([L, C, (hue + turn + 360) % 360]);
+  }
+  return out;
+}
+
+// One colour k of the way from a to b in OKLCH, turning the short way round the hue
+// circle; a near-grey end takes the other's hue so it doesn't swing through unrelated ones
+function mixOklch(a, b, k) {
+  const [L1, C1, h1] = hexToOklch(a);
+  const [L2, C2, h2] = hexToOklch(b);
+  const from = C1 < 0.02 ? h2 : h1;
+  const to = C2 < 0.02 ? h1 : h2;
+  return oklchToHex([L1 + (L2 - L1) * k, C1 + (C2 - C1) * k, (from + wrapHue(to - from) * k + 360) % 360]);
+}
+
+/**
+ * Blend two palettes in OKLCH, so a blend between saturated palettes stays saturated;
+ * the name switches at the midpoint
+ * @param {Object} from
+ * @param {Object} to
+ * @param {number} k - 0 = from, 1 = to
+ */
+export function mixPalettes(from, to, k) {
+  if (k <= 0) return from;
+  if (k >= 1) return to;
+  const out = { name: k < 0.5 ? from.name : to.name };
+  for (const role of ROLES) out[role] = mixOklch(from[role], to[role], k);
+  return out;
+}
@@ -0,0 +1,358 @@
+/**
+ * panel.js — Curator control panel: live tuning of both layers, with presets (browser)
+ *
+ * The panel holds one tuning value and hands it to the page on every change:
+ *
+ *   {
+ *     "particles": { "palette": "molten", "damping": 0.92, "effects": { "whale": 1.5 } },  // sys.setTuning()
+ *     "webgl":     { "palette": "arctic", "particles": 20000, "trailFade": 0.95 },          // Composer
+ *     "layerAlpha": 0.6                                                                     // #gen-canvas opacity
+ *   }
+ *
+ * Only the knobs a curator moved are stored; everything else stays at the piece's own,
+ * seed-derived value (options.defaults), so a venue preset still lets each wallet keep
+ * the parts nobody touched. Double-click a label to put that knob back.
+ *
+ * Presets are { name, tuning } — saved by name in localStorage, exported and imported as
+ * JSON files, and loadable from the page URL (?preset=<name> or ?preset=shows/venue.json).
+ *
+ *   const panel = new ControlPanel(el, { controls: tuningControls(), defaults, onChange });
+ *   panel.toggle();
+ */
+
+import { EFFECT_RULES } from './generative.js';
+import { PALETTES } from './palettes.js';
+
+export const PRESET_KIND = 'kira-art/preset';
+export const PRESET_VERSION = 1;
+const STORAGE_KEY = 'kira-art:presets';
+
+/**
+ * Every knob the panel shows, in order. key is a dotted path into the tuning value;
+ * a control has either options (a select) or min / max / step (a slider). default is
+ * used when the page's defaults don't name one; a knob with neither is disabled (e.g.
+ * attraction under a composition that doesn't read it).
+ */
+export function tuningControls() {
+  const names = PALETTES.map(p => p.name);
+  return [
+    // "derived" — the wallet's own harmonic palette (palettes.js derivePalette())
+    { group: '2d layer', key: 'particles.palette', label: 'palette', options: [...names, 'derived'] },
+    { group: '2d layer', key: 'particles.particleCount', label: 'particles', min: 10, max: 20000, step: 10, integer: true },
+    { group: '2d layer', key: 'particles.turbulence', label: 'turbulence', min: 0, max: 2, step: 0.01 },
+    { group: '2d layer', key: 'particles.damping', label: 'damping', min: 0.5, max: 0.995, step: 0.005 },
+    { group: '2d layer', key: 'particles.attraction', label: 'attraction', min: 0, max: 0.2, step: 0.005 },
+    { group: '2d layer', key: 'particles.trailLength', label: 'trail length', min: 1, max: 64, step: 1, integer: true },
+    { group: '2d layer', key: 'particles.fade', label: 'trail fade', min: 0.02, max: 1, step: 0.01 },
+    ...Object.keys(EFFECT_RULES).map(type => (
+      { group: 'effects', key: `particles.effects.${type}`, label: type, min: 0, max: 3, step: 0.05, default: 1 }
+    )),
+    { group: 'webgl layer', key: 'webgl.palette', label: 'palette', options: names },
+    { group: 'webgl layer', key: 'webgl.particles', label: 'particles', min: 100, max: 200000, step: 100, integer: true },
+    { group: 'webgl layer', key: 'webgl.trailFade', label: 'trails', min: 0, max: 0.99, step: 0.01 },
+    { group: 'layers', key: 'layerAlpha', label: '2d opacity', min: 0, max: 1, step: 0.01, default: 0.7 },
+  ];
+}
+
+// ── Tuning values ───────────────────────────────────────────────────────────
+
+function getPath(obj, key) {
+  return key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+}
+
+function setPath(obj, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let o = obj;
+  for (const k of parts) o = o[k] ??= {};
+  o[last] = value;
+}
+
+// Remove a key, and any object it leaves empty
+function deletePath(obj, key) {
+  const parts = key.split('.');
+  const parents = [obj];
+  for (const k of parts.slice(0, -1)) {
+    const next = parents[parents.length - 1][k];
+    if (!next || typeof next !== 'object') return;
+    parents.push(next);
+  }
+  delete parents[parents.length - 1][parts[parts.length - 1]];
+  for (let i = parents.length - 1; i > 0; i--) {
+    if (Object.keys(parents[i]).length) break;
+    delete parents[i - 1][parts[i - 1]];
+  }
+}
+
+function leafKeys(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([k, v]) => (
+    v && typeof v === 'object' && !Array.isArray(v) ? leafKeys(v, `${prefix}${k}.`) : [`${prefix}${k}`]
+  ));
+}
+
+/**
+ * A tuning value checked against the controls: numbers clamped to their range, unknown
+ * keys and values no control accepts dropped with a warning — a stale preset still loads
+ * @param {Object} tuning
+ * @param {Object[]} controls - tuningControls()
+ * @returns {Object}
+ */
+export function sanitizeTuning(tuning, controls) {
+  if (!tuning || typeof tuning !== 'object' || Array.isArray(tuning)) throw new Error('[panel] Tuning must be an object');
+  const out = {};
+  const known = new Set();
+  for (const c of controls) {
+    known.add(c.key);
+    let value = getPath(tuning, c.key);
+    if (value === undefined || value === null) continue;
+    if (c.options) {
+      if (!c.options.includes(value)) {
+        console.warn(`[panel] Ignoring ${c.key}=${JSON.stringify(value)} (not one of ${c.options.join(', ')})`);
+        continue;
+      }
+    } else {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        console.warn(`[panel] Ignoring ${c.key}=${JSON.stringify(value)} (not a number)`);
+        continue;
+      }
+      value = Math.min(c.max, Math.max(c.min, c.integer ? Math.round(value) : value));
+    }
+    setPath(out, c.key, value);
+  }
+  for (const key of leafKeys(tuning)) {
+    if (!known.has(key)) console.warn(`[panel] Ignoring unknown knob ${key}`);
+  }
+  return out;
+}
+
+// ── Presets ─────────────────────────────────────────────────────────────────
+
+// Saved presets by name
+export function loadPresets(storage = globalThis.localStorage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY) || '{}');
+  } catch (err) {
+    console.warn('[panel] Discarding unreadable saved presets');
+    return {};
+  }
+}
+
+export function savePreset(name, tuning, storage = globalThis.localStorage) {
+  const presets = loadPresets(storage);
+  presets[name] = tuning;
+  storage?.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function deletePreset(name, storage = globalThis.localStorage) {
+  const presets = loadPresets(storage);
+  delete presets[name];
+  storage?.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+export function presetToJSON(name, tuning) {
+  return JSON.stringify({ kind: PRESET_KIND, v: PRESET_VERSION, name, tuning }, null, 2);
+}
+
+/**
+ * Read an exported preset file
+ * @param {string|Object} json
+ * @param {Object[]} controls - tuningControls(), to check the tuning against
+ * @returns {{ name: string, tuning: Object }}
+ */
+export function presetFromJSON(json, controls) {
+  const preset = typeof json === 'string' ? JSON.parse(json) : json;
+  if (preset?.kind !== PRESET_KIND) throw new Error(`[panel] Not a preset file (kind ${JSON.stringify(preset?.kind)})`);
+  if (preset.v > PRESET_VERSION) console.warn(`[panel] Preset v${preset.v} is newer than v${PRESET_VERSION}; reading what is known`);
+  return { name: String(preset.name || 'imported'), tuning: sanitizeTuning(preset.tuning, controls) };
+}
+
+/**
+ * A saved preset by name, or a preset file by URL (anything ending in .json)
+ * @param {string} ref
+ * @param {Object[]} controls
+ * @returns {Promise<{ name: string, tuning: Object }>}
+ */
+export async function loadPreset(ref, controls, storage = globalThis.localStorage) {
+  if (ref.endsWith('.json')) {
+    const res = await fetch(ref);
+    if (!res.ok) throw new Error(`[panel] ${ref}: HTTP ${res.status}`);
+    return presetFromJSON(await res.text(), controls);
+  }
+  const tuning = loadPresets(storage)[ref];
+  if (!tuning) throw new Error(`[panel] No saved preset "${ref}"`);
+  return { name: ref, tuning: sanitizeTuning(tuning, controls) };
+}
+
+// ── Panel ───────────────────────────────────────────────────────────────────
+
+const decimals = step => (String(step).split('.')[1] || '').length;
+
+export class ControlPanel {
+  /**
+   * @param {HTMLElement} root - Emptied and filled with the panel; hidden until toggled
+   * @param {Object} options
+   * @param {Object[]} options.controls - tuningControls()
+   * @param {() => Object} options.defaults - The untuned value of every knob, same shape as the tuning
+   * @param {(tuning: Object) => void} options.onChange - At most once per animation frame, with a copy
+   * @param {Object} [options.tuning] - Starting tuning (e.g. from a permalink); not applied
+   * @param {Storage} [options.storage=localStorage]
+   */
+  constructor(root, { controls, defaults, onChange, tuning = {}, storage = globalThis.localStorage }) {
+    this.root = root;
+    this.controls = controls;
+    this.defaults = defaults;
+    this.onChange = onChange;
+    this.storage = storage;
+    this.tuning = sanitizeTuning(tuning, controls);
+    this.presetName = '';
+    this.open = false;
+    this._pending = false;
+    root.hidden = true;
+  }
+
+  toggle(open = !this.open) {
+    this.open = open;
+    this.root.hidden = !open;
+    if (open) this.render();
+  }
+
+  // Replace the whole tuning and apply it now
+  set(tuning, name = this.presetName) {
+    this.tuning = sanitizeTuning(tuning, this.controls);
+    this.presetName = name;
+    this._apply();
+    if (this.open) this.render();
+  }
+
+  reset() {
+    this.set({}, '');
+  }
+
+  // One knob moved: store it, apply on the next frame
+  _input(control, value) {
+    setPath(this.tuning, control.key, value);
+    if (this._pending) return;
+    this._pending = true;
+    requestAnimationFrame(() => {
+      this._pending = false;
+      this._apply();
+    });
+  }
+
+  _apply() {
+    this.onChange(structuredClone(this.tuning));
+  }
+
+  _defaultFor(control, defaults) {
+    return getPath(defaults, control.key) ?? control.default;
+  }
+
+  render() {
+    const doc = this.root.ownerDocument;
+    const el = (tag, props = {}, children = []) => {
+      const node = Object.assign(doc.createElement(tag), props);
+      node.append(...children);
+      return node;
+    };
+    const defaults = this.defaults();
+    this.root.replaceChildren(this._presetBar(el));
+
+    let group = null;
+    for (const c of this.controls) {
+      if (c.group !== group) {
+        group = c.group;
+        this.root.append(el('div', { className: 'panel-group', textContent: group }));
+      }
+      const fallback = this._defaultFor(c, defaults);
+      const value = getPath(this.tuning, c.key) ?? fallback;
+      const tuned = getPath(this.tuning, c.key) !== undefined;
+      const label = el('label', { textContent: c.label, title: 'double-click to reset' });
+      const readout = el('span', { className: 'panel-value' });
+      let input;
+      if (c.options) {
+        input = el('select', {}, c.options.map(name => el('option', { value: name, textContent: name })));
+        input.value = value ?? '';
+        input.addEventListener('change', () => {
+          this._input(c, input.value);
+          row.classList.add('tuned');
+        });
+      } else {
+        input = el('input', { type: 'range', min: c.min, max: c.max, step: c.step });
+        input.value = value ?? c.min;
+        readout.textContent = value === undefined ? '—' : Number(value).toFixed(decimals(c.step));
+        input.addEventListener('input', () => {
+          const v = c.integer ? Math.round(input.valueAsNumber) : input.valueAsNumber;
+          readout.textContent = v.toFixed(decimals(c.step));
+          this._input(c, v);
+          row.classList.add('tuned');
+        });
+      }
+      input.disabled = value === undefined;
+      const row = el('div', { className: `panel-row${tuned ? ' tuned' : ''}` }, [label, input, readout]);
+      label.addEventListener('dblclick', () => {
+        deletePath(this.tuning, c.key);
+        this._apply();
+        this.render();
+      });
+      this.root.append(row);
+    }
+  }
+
+  // Preset picker and save / delete / export / import / reset
+  _presetBar(el) {
+    const names = Object.keys(loadPresets(this.storage));
+    const select = el('select', { title: 'presets' }, [
+      el('option', { value: '', textContent: '— preset —' }),
+      ...names.map(name => el('option', { value: name, textContent: name })),
+    ]);
+    select.value = names.includes(this.presetName) ? this.presetName : '';
+    select.addEventListener('change', () => {
+      if (select.value) this.set(loadPresets(this.storage)[select.value], select.value);
+    });
+
+    const button = (text, onClick) => {
+      const b = el('button', { textContent: text });
+      b.addEventListener('click', onClick);
+      return b;
+    };
+    const file = el('input', { type: 'file', accept: 'application/json,.json', hidden: true });
+    file.addEventListener('change', async () => {
+      const [f] = file.files;
+      if (!f) return;
+      try {
+        const { name, tuning } = presetFromJSON(await f.text(), this.controls);
+        savePreset(name, tuning, this.storage);
+        this.set(tuning, name);
+      } catch (err) {
+        console.error('[panel] Import failed —', err.message);
+      }
+    });
+
+    return el('div', { className: 'panel-presets' }, [
+      select,
+      button('save', () => {
+        const name = globalThis.prompt('Save preset as', this.presetName || 'venue');
+        if (!name) return;
+        savePreset(name, this.tuning, this.storage);
+        this.presetName = name;
+        this.render();
+      }),
+      button('delete', () => {
+        if (!this.presetName) return;
+        deletePreset(this.presetName, this.storage);
+        this.presetName = '';
+        this.render();
+      }),
+      button('export', () => {
+        const name = this.presetName || 'untitled';
+        const link = el('a', { download: `kira-preset-${name}.json` });
+        link.href = URL.createObjectURL(new Blob([presetToJSON(name, this.tuning)], { type: 'application/json' }));
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+      }),
+      button('import', () => file.click()),
+      button('reset', () => this.reset()),
+      file,
+    ]);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * particles.js — Struct-of-arrays particle storage
+ * Typed arrays instead of one object per particle, and fixed-size ring-buffer trails,
+ * so update/draw walk contiguous memory and nothing is allocated per frame.
+ *
+ * Particle i lives at index i of every array; removal swaps the last particle in.
+ * Compositions can attach extra per-particle floats with channel(name) — re-fetch
+ * the channel after spawning, since growing the buffer reallocates it.
+ */
+
+const FLOAT_FIELDS = ['x', 'y', 'vx', 'vy', 'life', 'maxLife'];
+
+function resized(Type, old, size) {
+  const out = new Type(size);
+  if (old) out.set(old.subarray(0, Math.min(old.length, size)));
+  return out;
+}
+
+export class ParticleBuffer {
+  constructor(capacity = 64, trailLength = 18) {
+    this.count = 0;
+    this.capacity = 0;
+    this.trailLength = trailLength;
+    this.channels = {};   // extra per-particle floats, by name
+    this.tints = [];      // tint index → colour string
+    this._grow(Math.max(1, capacity));
+  }
+
+  _grow(capacity) {
+    const T = this.trailLength;
+    for (const f of FLOAT_FIELDS) this[f] = resized(Float32Array, this[f], capacity);
+    this.home = resized(Uint16Array, this.home, capacity);
+    this.tint = resized(Int16Array, this.tint, capacity);  // -1 = palette colour
+    this.flag = resized(Uint8Array, this.flag, capacity);  // composition scratch bit
+    this.trailX = resized(Float32Array, this.trailX, capacity * T);
+    this.trailY = resized(Float32Array, this.trailY, capacity * T);
+    this.trailHead = resized(Uint16Array, this.trailHead, capacity);
+    this.trailLen = resized(Uint16Array, this.trailLen, capacity);
+    for (const name of Object.keys(this.channels)) {
+      this.channels[name] = resized(Float32Array, this.channels[name], capacity);
+    }
+    this.capacity = capacity;
+  }
+
+  channel(name) {
+    if (!this.channels[name]) this.channels[name] = new Float32Array(this.capacity);
+    return this.channels[name];
+  }
+
+  spawn(x, y, vx, vy, life, maxLife, home) {
+    if (this.count === this.capacity) this._grow(this.capacity * 2);
+    const i = this.count++;
+    this.x[i] = x;
+    this.y[i] = y;
+    this.vx[i] = vx;
+    this.vy[i] = vy;
+    this.life[i] = life;
+    this.maxLife[i] = maxLife;
+    this.home[i] = home;
+    this.tint[i] = -1;
+    this.flag[i] = 0;
+    this.trailHead[i] = 0;
+    this.trailLen[i] = 0;
+    for (const ch of Object.values(this.channels)) ch[i] = 0;
+    return i;
+  }
+
+  // O(1) removal — the last particle takes slot i
+  remove(i) {
+    const last = --this.count;
+    if (i === last) return;
+    for (const f of FLOAT_FIELDS) this[f][i] = this[f][last];
+    this.home[i] = this.home[last];
+    this.tint[i] = this.tint[last];
+    this.flag[i] = this.flag[last];
+    this.trailHead[i] = this.trailHead[last];
+    this.trailLen[i] = this.trailLen[last];
+    const T = this.trailLength;
+    this.trailX.copyWithin(i * T, last * T, last * T + T);
+    this.trailY.copyWithin(i * T, last * T, last * T + T);
+    for (const ch of Object.values(this.channels)) ch[i] = ch[last];
+  }
+
+  // Walks backwards so every swapped-in particle has already been tested
+  removeWhere(pred) {
+    for (let i = this.count - 1; i >= 0; i--) {
+      if (pred(i)) this.remove(i);
+    }
+  }
+
+  pushTrail(i) {
+    const T = this.trailLength;
+    const head = this.trailHead[i];
+    this.trailX[i * T + head] = this.x[i];
+    this.trailY[i * T + head] = this.y[i];
+    this.trailHead[i] = (head + 1) % T;
+    if (this.trailLen[i] < T) this.trailLen[i]++;
+  }
+
+  clearTrail(i) {
+    this.trailHead[i] = 0;
+    this.trailLen[i] = 0;
+  }
+
+  // Reallocate trails at a new length; every trail restarts empty
+  setTrailLength(trailLength) {
+    if (trailLength === this.trailLength) return;
+    this.trailLength = trailLength;
+    this.trailX = new Float32Array(this.capacity * trailLength);
+    this.trailY = new Float32Array(this.capacity * trailLength);
+    this.trailHead.fill(0);
+    this.trailLen.fill(0);
+  }
+
+  // An independent copy — ParticleSystem checkpoints keep one
+  clone() {
+    const copy = Object.create(ParticleBuffer.prototype);
+    for (const [key, value] of Object.entries(this)) copy[key] = ArrayBuffer.isView(value) ? value.slice() : value;
+    copy.channels = Object.fromEntries(Object.entries(this.channels).map(([name, ch]) => [name, ch.slice()]));
+    copy.tints = this.tints.slice();
+    return copy;
+  }
+
+  tintIndex(color) {
+    let k = this.tints.indexOf(color);
+    if (k < 0) {
+      k = this.tints.length;
+      this.tints.push(color);
+    }
+    return k;
+  }
+
+  // Append particle i's trail, oldest point first, to the current path
+  traceTrail(ctx, i) {
+    const T = this.trailLength;
+    const len = this.trailLen[i];
+    const base = i * T;
+    let k = (this.trailHead[i] - len + T) % T;
+    ctx.moveTo(this.trailX[base + k], this.trailY[base + k]);
+    for (let n = 1; n < len; n++) {
+      k = k + 1 === T ? 0 : k + 1;
+      ctx.lineTo(this.trailX[base + k], this.trailY[base + k]);
+    }
+  }
+}
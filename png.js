@@ -0,0 +1,257 @@
+/**
+ * png.js — Minimal PNG encoder (8-bit RGBA, no filtering) and text-chunk reader
+ * Deflate is injected so this runs anywhere: zlib.deflateSync in Node; in the browser,
+ * deflate pngScanlines() asynchronously and hand the result to assemblePNG().
+ *
+ * Text metadata goes in before IDAT: tEXt for printable Latin-1, iTXt (UTF-8, uncompressed)
+ * for anything else or when asked for. readPNGText() reads both back.
+ *
+ * ApngWriter strings deflated frames into an animated PNG (acTL / fcTL / fdAT), for capture.js.
+ */
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c >>> 0;
+}
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Length + type + data + CRC(type + data)
+export function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+export function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for (const p of parts) {
+    out.set(p, off);
+    off += p.length;
+  }
+  return out;
+}
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+const PRINTABLE_LATIN1 = /^[\x20-\x7e\xa0-\xff\n]*$/;
+
+function latin1Bytes(str) {
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i);
+  return out;
+}
+
+function checkKeyword(keyword) {
+  if (!/^[\x20-\x7e]{1,79}$/.test(keyword) || /^ | $|  /.test(keyword)) {
+    throw new Error(`[png] Invalid text keyword "${keyword}"`);
+  }
+}
+
+// tEXt: keyword NUL text, both Latin-1
+export function textChunk(keyword, text) {
+  checkKeyword(keyword);
+  if (!PRINTABLE_LATIN1.test(text)) throw new Error(`[png] tEXt "${keyword}" is not Latin-1 — use itxtChunk()`);
+  return pngChunk('tEXt', concatBytes([latin1Bytes(keyword), new Uint8Array(1), latin1Bytes(text)]));
+}
+
+// iTXt: keyword NUL, compression flag + method (0 0), empty language and translated keyword, UTF-8 text
+export function itxtChunk(keyword, text) {
+  checkKeyword(keyword);
+  return pngChunk('iTXt', concatBytes([latin1Bytes(keyword), new Uint8Array(5), new TextEncoder().encode(text)]));
+}
+
+// Each scanline prefixed with filter byte 0 (none) — the bytes IDAT deflates
+export function pngScanlines(width, height, rgba) {
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return raw;
+}
+
+/**
+ * Wrap already-deflated scanlines into a PNG file
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} idat - zlib-wrapped deflate of pngScanlines()
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.text] - tEXt where the value is Latin-1, else iTXt
+ * @param {Object<string, string>} [options.itxt] - Always iTXt
+ * @returns {Uint8Array}
+ */
+export function assemblePNG(width, height, idat, { text = {}, itxt = {} } = {}) {
+  return concatBytes([
+    PNG_SIGNATURE,
+    ihdrChunk(width, height),
+    ...textChunks(text, itxt),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+function ihdrChunk(width, height) {
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;   // bit depth
+  ihdr[9] = 6;   // colour type: RGBA
+  // compression, filter, interlace = 0
+  return pngChunk('IHDR', ihdr);
+}
+
+function textChunks(text, itxt) {
+  return [
+    ...Object.entries(text).map(([k, v]) => (PRINTABLE_LATIN1.test(v) ? textChunk(k, v) : itxtChunk(k, v))),
+    ...Object.entries(itxt).map(([k, v]) => itxtChunk(k, v)),
+  ];
+}
+
+/**
+ * Animated PNG, one deflated frame at a time (full-size frames, each replacing the last)
+ *
+ *   const apng = new ApngWriter(w, h, { frames: 180, fps: 30 });
+ *   for (...) apng.addFrame(await deflate(pngScanlines(w, h, rgba)));
+ *   const bytes = apng.finish();
+ */
+export class ApngWriter {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options
+   * @param {number} options.frames - Frame count, fixed up front (acTL)
+   * @param {number} [options.fps=30] - Frame delay is 1/fps s
+   * @param {number} [options.plays=0] - 0 loops forever
+   * @param {Object<string, string>} [options.text] - Metadata, as assemblePNG()
+   * @param {Object<string, string>} [options.itxt]
+   */
+  constructor(width, height, { frames, fps = 30, plays = 0, text = {}, itxt = {} }) {
+    this.width = width;
+    this.height = height;
+    this.frames = frames;
+    this.fps = fps;
+    this.added = 0;
+    this.sequence = 0;  // shared by fcTL and fdAT
+    const actl = new Uint8Array(8);
+    new DataView(actl.buffer).setUint32(0, frames);
+    new DataView(actl.buffer).setUint32(4, plays);
+    this.parts = [PNG_SIGNATURE, ihdrChunk(width, height), pngChunk('acTL', actl), ...textChunks(text, itxt)];
+  }
+
+  // idat: zlib-wrapped deflate of pngScanlines() for this frame
+  addFrame(idat) {
+    if (this.added >= this.frames) throw new Error(`[png] APNG already has its ${this.frames} frames`);
+    const fctl = new Uint8Array(26);
+    const view = new DataView(fctl.buffer);
+    view.setUint32(0, this.sequence++);
+    view.setUint32(4, this.width);
+    view.setUint32(8, this.height);
+    // x, y offset 0
+    view.setUint16(20, 1);         // delay numerator
+    view.setUint16(22, this.fps);  // delay denominator
+    // dispose_op 0 (none), blend_op 0 (source)
+    this.parts.push(pngChunk('fcTL', fctl));
+
+    if (this.added === 0) {
+      // The first frame is the IDAT — what non-APNG viewers show
+      this.parts.push(pngChunk('IDAT', idat));
+    } else {
+      const fdat = new Uint8Array(4 + idat.length);
+      new DataView(fdat.buffer).setUint32(0, this.sequence++);
+      fdat.set(idat, 4);
+      this.parts.push(pngChunk('fdAT', fdat));
+    }
+    this.added++;
+  }
+
+  finish() {
+    if (this.added !== this.frames) throw new Error(`[png] APNG declared ${this.frames} frames, got ${this.added}`);
+    return concatBytes([...this.parts, pngChunk('IEND', new Uint8Array(0))]);
+  }
+}
+
+/**
+ * Encode straight-alpha RGBA pixels as a PNG file
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width * height * 4 bytes
+ * @param {(bytes: Uint8Array) => Uint8Array} deflate - zlib-wrapped deflate
+ * @param {Object} [options] - text / itxt metadata, as assemblePNG()
+ * @returns {Uint8Array}
+ */
+export function encodePNG(width, height, rgba, deflate, options) {
+  return assemblePNG(width, height, deflate(pngScanlines(width, height, rgba)), options);
+}
+
+/**
+ * Walk a PNG's chunks, checking signature and CRCs
+ * @returns {{ type: string, data: Uint8Array }[]}
+ */
+export function readPNGChunks(bytes) {
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('[png] Not a PNG file');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let off = PNG_SIGNATURE.length;
+  while (off + 12 <= bytes.length) {
+    const length = view.getUint32(off);
+    const type = latin1.decode(bytes.subarray(off + 4, off + 8));
+    if (off + 12 + length > bytes.length) throw new Error(`[png] Truncated ${type} chunk`);
+    if (crc32(bytes.subarray(off + 4, off + 8 + length)) !== view.getUint32(off + 8 + length)) {
+      throw new Error(`[png] Bad CRC in ${type} chunk`);
+    }
+    chunks.push({ type, data: bytes.subarray(off + 8, off + 8 + length) });
+    off += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+/**
+ * Text metadata by keyword (tEXt and iTXt; later chunks win)
+ * @param {Uint8Array} bytes - PNG file
+ * @param {(bytes: Uint8Array) => Uint8Array} [inflate] - For compressed iTXt; skipped without it
+ * @returns {{ width: number, height: number, text: Object<string, string> }}
+ */
+export function readPNGText(bytes, inflate) {
+  const chunks = readPNGChunks(bytes);
+  const ihdr = chunks.find(c => c.type === 'IHDR');
+  if (!ihdr) throw new Error('[png] Missing IHDR');
+  const dims = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, 8);
+  const text = {};
+  for (const { type, data } of chunks) {
+    if (type !== 'tEXt' && type !== 'iTXt') continue;
+    const nul = data.indexOf(0);
+    const keyword = latin1.decode(data.subarray(0, nul));
+    if (type === 'tEXt') {
+      text[keyword] = latin1.decode(data.subarray(nul + 1));
+      continue;
+    }
+    const compressed = data[nul + 1] === 1;
+    const langEnd = data.indexOf(0, nul + 3);
+    const transEnd = data.indexOf(0, langEnd + 1);
+    let body = data.subarray(transEnd + 1);
+    if (compressed) {
+      if (!inflate) continue;
+      body = inflate(body);
+    }
+    text[keyword] = utf8.decode(body);
+  }
+  return { width: dims.getUint32(0), height: dims.getUint32(4), text };
+}
@@ -0,0 +1,149 @@
+/**
+ * provenance.js — Proof of origin for exported PNGs
+ *
+ * An export carries its ArtworkState (artwork-state.js) and a hash of the render parameters
+ * that state resolves to, in PNG text chunks:
+ *
+ *   Software, Creation Time          standard tEXt keywords
+ *   kira:wallet  kira:slot  kira:seed  kira:palette  kira:composition
+ *   kira:webgl-palette  kira:webgl-composition  kira:generator  kira:params-hash   (tEXt)
+ *   kira:artwork                     the full ArtworkState as JSON (iTXt)
+ *
+ * verifyPNG() reads them back, re-derives the parameters from the embedded state and checks
+ * the hash and each field — a PNG whose recipe was edited, or that was made by a different
+ * generator version, won't verify.
+ *
+ *   const { text, itxt } = await provenanceText(state);
+ *   encodePNG(w, h, rgba, deflate, { text, itxt });
+ *   const report = await verifyPNG(bytes);   // { ok, mismatches, ... }
+ */
+
+import { walletToParams } from './generative.js';
+import { chainToVisuals } from './fetch-chain.js';
+import { COMPOSITIONS } from './engine/composer.js';
+import { ArtworkState, DEFAULT_WALLET } from './artwork-state.js';
+import { readPNGText } from './png.js';
+
+export const GENERATOR = 'kira-art';
+// Bump when the same state would render differently
+export const GENERATOR_VERSION = '1.1.1';
+
+// Stable JSON: sorted keys, so equal params always hash the same
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function sha256Hex(str) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Everything the state resolves to that shapes the image, for both layers
+ * @param {ArtworkState} state
+ */
+export function renderParams(state) {
+  const p = walletToParams(state.wallet || DEFAULT_WALLET, state.overrides);
+  let webgl = null;
+  if (state.blockhash) {
+    const v = chainToVisuals(state);
+    webgl = {
+      seed: v.seed,
+      palette: state.palette ?? v.paletteIdx,
+      composition: state.composition || COMPOSITIONS[v.compIdx].name,
+      modulation: state.modulation,
+    };
+  }
+  return {
+    generator: `${GENERATOR}/${GENERATOR_VERSION}`,
+    particles: {
+      address: p.address,
+      composition: p.composition,
+      palette: p.palette,
+      particleCount: p.particleCount,
+      turbulence: p.turbulence,
+      nodes: p.nodes,
+      traits: p.traits,
+      tuning: p.tuning,
+    },
+    webgl,
+    time: state.time,
+    frame: state.frame,
+    replay: state.replay,
+  };
+}
+
+export async function paramsHash(state) {
+  return `sha256:${await sha256Hex(canonicalJSON(renderParams(state)))}`;
+}
+
+// The per-field tEXt values — what verifyPNG() checks besides the hash
+function provenanceFields(state, params) {
+  return {
+    'kira:wallet': params.particles.address,
+    'kira:slot': state.slot === null ? '' : String(state.slot),
+    'kira:seed': params.webgl ? String(params.webgl.seed) : '',
+    'kira:palette': params.particles.palette.name,
+    'kira:composition': params.particles.composition,
+    'kira:webgl-palette': params.webgl ? String(params.webgl.palette) : '',
+    'kira:webgl-composition': params.webgl ? params.webgl.composition : '',
+    'kira:generator': params.generator,
+  };
+}
+
+/**
+ * PNG text metadata for an export of `state`
+ * @param {ArtworkState} state
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()]
+ * @returns {Promise<{ text: Object<string, string>, itxt: Object<string, string> }>} For encodePNG / assemblePNG
+ */
+export async function provenanceText(state, { date = new Date() } = {}) {
+  const params = renderParams(state);
+  return {
+    text: {
+      'Software': `${GENERATOR} ${GENERATOR_VERSION}`,
+      'Creation Time': date.toISOString(),
+      ...provenanceFields(state, params),
+      'kira:params-hash': await paramsHash(state),
+    },
+    itxt: { 'kira:artwork': JSON.stringify(state.toJSON()) },
+  };
+}
+
+/**
+ * Read an exported PNG's provenance and check it re-derives to the same parameters
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ ok: boolean, state: ?ArtworkState, width: number, height: number,
+ *   hash: { stored: ?string, computed: ?string }, mismatches: string[], text: Object }>}
+ */
+export async function verifyPNG(bytes) {
+  const { width, height, text } = readPNGText(bytes);
+  const report = { ok: false, state: null, width, height, hash: { stored: text['kira:params-hash'] ?? null, computed: null }, mismatches: [], text };
+  if (!text['kira:artwork']) {
+    report.mismatches.push('no kira:artwork metadata — not a Kira export, or stripped');
+    return report;
+  }
+  try {
+    report.state = ArtworkState.fromJSON(text['kira:artwork']);
+  } catch (err) {
+    report.mismatches.push(`kira:artwork is not valid JSON (${err.message})`);
+    return report;
+  }
+
+  report.hash.computed = await paramsHash(report.state);
+  if (report.hash.stored !== report.hash.computed) {
+    report.mismatches.push(`kira:params-hash: stored ${report.hash.stored}, re-derived ${report.hash.computed}`);
+  }
+  const expected = provenanceFields(report.state, renderParams(report.state));
+  for (const [key, value] of Object.entries(expected)) {
+    if ((text[key] ?? '') !== value) report.mismatches.push(`${key}: stored "${text[key] ?? ''}", re-derived "${value}"`);
+  }
+  report.ok = report.mismatches.length === 0;
+  return report;
+}
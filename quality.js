@@ -0,0 +1,246 @@
+/**
+ * quality.js — Frame-time governor and power management for always-on displays (browser)
+ *
+ * The page reports every displayed frame; the governor keeps a running frame time and
+ * steps through QUALITY_LEVELS to hold the target rate — down as soon as a window of
+ * frames runs slow, back up only after a long stretch at the target (longer each time an
+ * upgrade had to be taken back, so a kiosk doesn't oscillate). Each level scales:
+ *
+ *   particles   WebGL and 2D particle counts
+ *   trails      2D trail length
+ *   pixelRatio  WebGL canvas resolution, times min(devicePixelRatio, ?dpr)
+ *   effects     the 2D live effect budget
+ *
+ * A hidden page pauses: both layers stop stepping and feed events stop reaching the art
+ * (the aggregator still counts them). Reduced motion — prefers-reduced-motion or
+ * ?motion=reduced — slows both layers to a drift and drops the flashes of whale and MEV
+ * effects. The 2D levels change the simulation itself — fewer particles, shorter trails,
+ * live effects evicted sooner — so ParticleSystem logs each change with the feed's events:
+ * freezes, clips and re-renders of the log show what this screen showed.
+ *
+ *   ?fps=30            target rate (default 60)
+ *   ?quality=low       pin a level (full, high, medium, low, minimal); ?quality=auto adapts
+ *   ?motion=reduced    or full, overriding the OS setting
+ *   ?dpr=2             highest pixel ratio the WebGL layer may use (default 1)
+ *
+ *   const quality = pageQuality();
+ *   quality.onChange(q => composer.setParticleCount(base * q.settings.particles));
+ *   function frame(ts) { quality.frame(ts); if (quality.paused) return; … }
+ */
+
+export const QUALITY_LEVELS = [
+  { name: 'full',    particles: 1,    trails: 1,    pixelRatio: 1,    effects: 1 },
+  { name: 'high',    particles: 0.75, trails: 0.75, pixelRatio: 0.85, effects: 0.75 },
+  { name: 'medium',  particles: 0.5,  trails: 0.5,  pixelRatio: 0.7,  effects: 0.5 },
+  { name: 'low',     particles: 0.3,  trails: 0.35, pixelRatio: 0.5,  effects: 0.35 },
+  { name: 'minimal', particles: 0.15, trails: 0.25, pixelRatio: 0.35, effects: 0.25 },
+];
+
+// Both layers' speed under reduced motion
+export const REDUCED_MOTION_SCALE = 0.3;
+
+const WINDOW_FRAMES = 90;        // frames per judgement (~1.5s at 60fps)
+const SLOW = 1.2;                // a window this far over budget steps down
+const AT_TARGET = 1.05;          // …and this close to it counts toward stepping up
+const UPGRADE_AFTER_MS = 10000;  // first retry of a higher level
+const MAX_UPGRADE_AFTER_MS = 300000;
+const MAX_FRAME_GAP_MS = 250;    // longer gaps are hitches or a background tab, not load
+const MAX_CHANGES = 20;          // kept for getStats()
+
+export class QualityGovernor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.targetFps=60]
+   * @param {string|number} [options.level=0] - Starting level, name or index
+   * @param {boolean} [options.adaptive=true] - false pins the level
+   * @param {boolean} [options.reducedMotion=false]
+   * @param {number} [options.maxPixelRatio=1] - Cap on devicePixelRatio for the WebGL layer
+   * @param {() => number} [options.now=performance.now]
+   */
+  constructor(options = {}) {
+    this.targetFps = options.targetFps ?? 60;
+    this.level = levelIndex(options.level ?? 0);
+    this.adaptive = options.adaptive ?? true;
+    this.reducedMotion = options.reducedMotion ?? false;
+    this.maxPixelRatio = options.maxPixelRatio ?? 1;
+    this.now = options.now ?? (() => performance.now());
+    this.hidden = false;
+    this.listeners = [];
+    this.changes = [];       // { at, from, to, frameMs, reason }
+    this.lastFrame = null;
+    this.windowMs = 0;
+    this.windowFrames = 0;
+    this.frameMs = 1000 / this.targetFps;  // running average, for stats
+    this.atTargetMs = 0;     // time spent at the target since the last change
+    this.upgradeAfterMs = UPGRADE_AFTER_MS;
+    this.lastUpgradeAt = null;
+  }
+
+  get settings() {
+    return QUALITY_LEVELS[this.level];
+  }
+
+  get paused() {
+    return this.hidden;
+  }
+
+  // Multiplier on both layers' speed
+  get motionScale() {
+    return this.reducedMotion ? REDUCED_MOTION_SCALE : 1;
+  }
+
+  // WebGL canvas pixels per CSS pixel
+  get pixelRatio() {
+    const dpr = Math.min(globalThis.devicePixelRatio || 1, this.maxPixelRatio);
+    return dpr * this.settings.pixelRatio;
+  }
+
+  // Called with every change of level, motion or visibility; returns an unsubscribe
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => this.listeners.splice(this.listeners.indexOf(listener), 1);
+  }
+
+  /**
+   * One displayed frame
+   * @param {number} [ts] - The requestAnimationFrame timestamp
+   */
+  frame(ts = this.now()) {
+    if (this.hidden) return;
+    const dt = this.lastFrame === null ? 0 : ts - this.lastFrame;
+    this.lastFrame = ts;
+    if (dt <= 0 || dt > MAX_FRAME_GAP_MS) return;
+
+    this.frameMs += (dt - this.frameMs) * 0.05;
+    this.windowMs += dt;
+    if (++this.windowFrames < WINDOW_FRAMES) return;
+    const avg = this.windowMs / this.windowFrames;
+    const windowMs = this.windowMs;
+    this.windowMs = 0;
+    this.windowFrames = 0;
+    if (!this.adaptive) return;
+
+    const budget = 1000 / this.targetFps;
+    if (avg > budget * SLOW && this.level < QUALITY_LEVELS.length - 1) {
+      // An upgrade that didn't hold: wait twice as long before trying again
+      if (this.lastUpgradeAt !== null && ts - this.lastUpgradeAt < this.upgradeAfterMs) {
+        this.upgradeAfterMs = Math.min(MAX_UPGRADE_AFTER_MS, this.upgradeAfterMs * 2);
+      }
+      this.lastUpgradeAt = null;
+      this._setLevel(this.level + 1, avg, 'slow');
+    } else if (avg <= budget * AT_TARGET && this.level > 0) {
+      this.atTargetMs += windowMs;
+      if (this.atTargetMs >= this.upgradeAfterMs) {
+        this.lastUpgradeAt = ts;
+        this._setLevel(this.level - 1, avg, 'headroom');
+      }
+    } else {
+      this.atTargetMs = 0;
+    }
+  }
+
+  // Pin a level (name or index); adaptive stays as it is
+  setLevel(level) {
+    this._setLevel(levelIndex(level), this.frameMs, 'set');
+  }
+
+  setReducedMotion(reduced) {
+    if (reduced === this.reducedMotion) return;
+    this.reducedMotion = reduced;
+    this._emit();
+  }
+
+  setHidden(hidden) {
+    if (hidden === this.hidden) return;
+    this.hidden = hidden;
+    // Time away isn't frame time: start counting afresh
+    this.lastFrame = null;
+    this.windowMs = 0;
+    this.windowFrames = 0;
+    this._emit();
+  }
+
+  /**
+   * Follow the page's visibility and the OS reduced-motion setting
+   * @param {Object} [options]
+   * @param {boolean} [options.motion=true] - false when the motion mode was chosen explicitly
+   */
+  attach({ motion = true } = {}) {
+    const doc = globalThis.document;
+    if (doc) {
+      this.setHidden(doc.hidden);
+      doc.addEventListener('visibilitychange', () => this.setHidden(doc.hidden));
+    }
+    const query = motion && globalThis.matchMedia?.('(prefers-reduced-motion: reduce)');
+    if (query) {
+      this.setReducedMotion(query.matches);
+      query.addEventListener('change', e => this.setReducedMotion(e.matches));
+    }
+    return this;
+  }
+
+  getStats() {
+    return {
+      level: this.settings.name,
+      settings: { ...this.settings },
+      adaptive: this.adaptive,
+      targetFps: this.targetFps,
+      fps: Math.round(1000 / this.frameMs * 10) / 10,
+      frameMs: Math.round(this.frameMs * 100) / 100,
+      pixelRatio: this.pixelRatio,
+      paused: this.paused,
+      reducedMotion: this.reducedMotion,
+      nextUpgradeMs: this.level > 0 && this.adaptive ? Math.max(0, Math.round(this.upgradeAfterMs - this.atTargetMs)) : null,
+      changes: this.changes.slice(),
+    };
+  }
+
+  _setLevel(level, frameMs, reason) {
+    if (level === this.level) return;
+    this.changes.push({ at: Date.now(), from: this.settings.name, to: QUALITY_LEVELS[level].name, frameMs: Math.round(frameMs * 100) / 100, reason });
+    if (this.changes.length > MAX_CHANGES) this.changes.shift();
+    this.level = level;
+    this.atTargetMs = 0;
+    this._emit();
+  }
+
+  _emit() {
+    for (const listener of this.listeners.slice()) listener(this);
+  }
+}
+
+function levelIndex(level) {
+  const i = typeof level === 'number' ? level : QUALITY_LEVELS.findIndex(l => l.name === level);
+  if (!(i >= 0 && i < QUALITY_LEVELS.length)) {
+    throw new Error(`[quality] Unknown level "${level}" (${QUALITY_LEVELS.map(l => l.name).join(', ')})`);
+  }
+  return i;
+}
+
+// ── Page governor ───────────────────────────────────────────────────────────
+// Both of the viewer's scripts share one governor through this module, set up from the URL
+
+let pageGovernor = null;
+
+export function pageQuality() {
+  if (pageGovernor) return pageGovernor;
+  const q = new URLSearchParams(globalThis.location?.search || '');
+  const motion = q.get('motion');
+  let level = 0, adaptive = true;
+  if (q.get('quality') && q.get('quality') !== 'auto') {
+    try {
+      level = levelIndex(q.get('quality'));
+      adaptive = false;
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+  pageGovernor = new QualityGovernor({
+    targetFps: parseFloat(q.get('fps')) || 60,
+    level,
+    adaptive,
+    reducedMotion: motion === 'reduced',
+    maxPixelRatio: parseFloat(q.get('dpr')) || 1,
+  });
+  return pageGovernor.attach({ motion: motion !== 'reduced' && motion !== 'full' });
+}
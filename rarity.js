@@ -0,0 +1,86 @@
+/**
+ * rarity.js — Collection statistics for tuning trait rarity before launch
+ * Samples N deterministic pseudo-addresses through walletToParams() and reports
+ * how often each trait value occurs plus an information-content rarity score.
+ *
+ * Run: node rarity.js [count] [seed]
+ */
+
+import { walletToParams, createRng } from './generative.js';
+import { TRAIT_LABELS } from './traits.js';
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Deterministic base58 strings shaped like Solana addresses
+export function sampleAddresses(count, seed = 'kira-rarity') {
+  const rng = createRng(seed);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    let a = '';
+    for (let j = 0; j < 44; j++) a += BASE58[Math.floor(rng() * BASE58.length)];
+    out.push(a);
+  }
+  return out;
+}
+
+// Sum of -log2(p) over traits — rarer combinations score higher
+export function rarityScore(traits, distribution) {
+  let score = 0;
+  for (const key of Object.keys(TRAIT_LABELS)) {
+    const entry = distribution[key]?.[traits[key]];
+    if (entry) score += -Math.log2(entry.share);
+  }
+  return score;
+}
+
+/**
+ * Trait distribution and rarity across a sample
+ * @param {Object} [options]
+ * @param {number} [options.count=1000] - Addresses to sample (ignored when addresses given)
+ * @param {string} [options.seed] - Sampling seed
+ * @param {string[]} [options.addresses] - Real addresses to score instead of a sample
+ * @returns {{ count, distribution, scores, summary }}
+ */
+export function collectionStats({ count = 1000, seed, addresses } = {}) {
+  const sample = addresses || sampleAddresses(count, seed);
+  const entries = sample.map(address => ({ address, traits: walletToParams(address).traits }));
+
+  const distribution = {};
+  for (const key of Object.keys(TRAIT_LABELS)) {
+    const counts = {};
+    for (const { traits } of entries) counts[traits[key]] = (counts[traits[key]] || 0) + 1;
+    distribution[key] = {};
+    for (const [value, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+      distribution[key][value] = { count: n, share: n / entries.length };
+    }
+  }
+
+  const scores = entries
+    .map(({ address, traits }) => ({ address, traits, score: rarityScore(traits, distribution) }))
+    .sort((a, b) => b.score - a.score);
+
+  const values = scores.map(s => s.score);
+  const summary = {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: values.reduce((a, b) => a + b, 0) / (values.length || 1),
+  };
+
+  return { count: entries.length, distribution, scores, summary };
+}
+
+// CLI
+if (typeof process !== 'undefined' && import.meta.url === `file://${process.argv[1]}`) {
+  const count = parseInt(process.argv[2] || '1000', 10);
+  const stats = collectionStats({ count, seed: process.argv[3] });
+  console.log(`[rarity] ${stats.count} sampled addresses\n`);
+  for (const [key, values] of Object.entries(stats.distribution)) {
+    console.log(TRAIT_LABELS[key]);
+    for (const [value, { count: n, share }] of Object.entries(values)) {
+      console.log(`  ${value.padEnd(20)} ${String(n).padStart(6)}  ${(share * 100).toFixed(1)}%`);
+    }
+  }
+  const { min, max, mean } = stats.summary;
+  console.log(`\nRarity score  min ${min.toFixed(2)} · mean ${mean.toFixed(2)} · max ${max.toFixed(2)}`);
+  console.log('Rarest:', stats.scores.slice(0, 3).map(s => `${s.address.slice(0, 8)}… ${s.score.toFixed(2)}`).join(', '));
+}
@@ -0,0 +1,420 @@
+/**
+ * raster-canvas.js — Pure-JS software canvas for headless rendering
+ * Implements the subset of CanvasRenderingContext2D that ParticleSystem and the
+ * compositions use, so the same drawing code runs in Node with no GPU or browser.
+ *
+ * Pixels are premultiplied RGBA floats; paths are flattened to polygons and filled
+ * with non-zero winding using 4 sub-scanlines per row for anti-aliasing.
+ */
+
+import { encodePNG } from './png.js';
+
+const SUBSAMPLES = 4;
+const colorCache = new Map();
+
+// CSS colour → premultiplied-ready [r, g, b, a] in 0..1
+export function parseColor(str) {
+  let c = colorCache.get(str);
+  if (c) return c;
+  const s = String(str).trim().toLowerCase();
+  let m;
+  if (s[0] === '#') {
+    const hex = s.slice(1);
+    const full = hex.length <= 4 ? [...hex].map(h => h + h).join('') : hex;
+    const n = i => parseInt(full.slice(i, i + 2), 16) / 255;
+    c = [n(0), n(2), n(4), full.length >= 8 ? n(6) : 1];
+  } else if ((m = /^rgba?\(([^)]+)\)$/.exec(s))) {
+    const p = m[1].split(',').map(v => parseFloat(v));
+    c = [p[0] / 255, p[1] / 255, p[2] / 255, p.length > 3 ? p[3] : 1];
+  } else if (s === 'white') {
+    c = [1, 1, 1, 1];
+  } else if (s === 'transparent') {
+    c = [0, 0, 0, 0];
+  } else {
+    c = [0, 0, 0, 1];
+  }
+  colorCache.set(str, c);
+  return c;
+}
+
+class RadialGradient {
+  constructor(x0, y0, r0, x1, y1, r1) {
+    Object.assign(this, { x0, y0, r0, x1, y1, r1 });
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color: parseColor(color) });
+    this.stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  // Concentric approximation — distance from the outer centre mapped across r0..r1
+  colorAt(x, y) {
+    const { stops } = this;
+    const d = Math.hypot(x - this.x1, y - this.y1);
+    const t = Math.max(0, Math.min(1, (d - this.r0) / ((this.r1 - this.r0) || 1)));
+    if (t <= stops[0].offset) return stops[0].color;
+    for (let i = 1; i < stops.length; i++) {
+      if (t <= stops[i].offset) {
+        const a = stops[i - 1], b = stops[i];
+        const k = (t - a.offset) / ((b.offset - a.offset) || 1);
+        return a.color.map((v, j) => v + (b.color[j] - v) * k);
+      }
+    }
+    return stops[stops.length - 1].color;
+  }
+}
+
+export class RasterCanvas {
+  constructor(width, height) {
+    this._width = width;
+    this._height = height;
+    this.data = new Float32Array(width * height * 4);
+    this._ctx = null;
+  }
+
+  get width() { return this._width; }
+  get height() { return this._height; }
+  // Like a DOM canvas, resizing clears the surface
+  set width(w) { this._width = w; this.data = new Float32Array(w * this._height * 4); }
+  set height(h) { this._height = h; this.data = new Float32Array(this._width * h * 4); }
+
+  getContext(type) {
+    if (type !== '2d') return null;
+    if (!this._ctx) this._ctx = new RasterContext2D(this);
+    return this._ctx;
+  }
+
+  // Straight-alpha 8-bit pixels, as ImageData would hold them
+  toRGBA() {
+    const { data } = this;
+    const out = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3];
+      if (a <= 0) continue;
+      out[i] = data[i] / a * 255 + 0.5;
+      out[i + 1] = data[i + 1] / a * 255 + 0.5;
+      out[i + 2] = data[i + 2] / a * 255 + 0.5;
+      out[i + 3] = a * 255 + 0.5;
+    }
+    return out;
+  }
+
+  // options: PNG text metadata (png.js assemblePNG)
+  toPNG(deflate, options) {
+    return encodePNG(this.width, this.height, this.toRGBA(), deflate, options);
+  }
+}
+
+class RasterContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this._m = [1, 0, 0, 1, 0, 0];
+    this._clip = null;     // Float32Array coverage mask, or null
+    this._stack = [];
+    this._paths = [];
+    this._cur = null;
+  }
+
+  // ── State ────────────────────────────────────────────────────────────────
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, globalAlpha, _clip } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, globalAlpha, _clip, _m: this._m.slice() });
+  }
+
+  restore() {
+    const s = this._stack.pop();
+    if (s) Object.assign(this, s);
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._m = [a, b, c, d, e, f];
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this._m;
+    this._m = [
+      ma * a + mc * b, mb * a + md * b,
+      ma * c + mc * d, mb * c + md * d,
+      ma * e + mc * f + me, mb * e + md * f + mf,
+    ];
+  }
+
+  translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+  scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+  rotate(a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    this.transform(c, s, -s, c, 0, 0);
+  }
+
+  _apply(x, y) {
+    const m = this._m;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  _invert(x, y) {
+    const [a, b, c, d, e, f] = this._m;
+    const det = a * d - b * c || 1;
+    const px = x - e, py = y - f;
+    return [(d * px - c * py) / det, (a * py - b * px) / det];
+  }
+
+  _scaleFactor() {
+    const [a, b, c, d] = this._m;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new RadialGradient(x0, y0, r0, x1, y1, r1);
+  }
+
+  // ── Paths ────────────────────────────────────────────────────────────────
+
+  beginPath() {
+    this._paths = [];
+    this._cur = null;
+  }
+
+  moveTo(x, y) {
+    this._cur = this._apply(x, y);
+    this._paths.push(this._cur);
+  }
+
+  lineTo(x, y) {
+    if (!this._cur) return this.moveTo(x, y);
+    this._cur.push(...this._apply(x, y));
+  }
+
+  closePath() {
+    if (this._cur && this._cur.length >= 2) this._cur.push(this._cur[0], this._cur[1]);
+  }
+
+  arc(x, y, r, a0, a1, ccw = false) {
+    let sweep = a1 - a0;
+    if (!ccw && sweep < 0) sweep = sweep % (Math.PI * 2) + Math.PI * 2;
+    if (ccw && sweep > 0) sweep = sweep % (Math.PI * 2) - Math.PI * 2;
+    if (Math.abs(sweep) > Math.PI * 2) sweep = Math.sign(sweep) * Math.PI * 2;
+    const devR = r * this._scaleFactor();
+    const steps = Math.max(8, Math.min(256, Math.ceil(Math.abs(sweep) * Math.sqrt(Math.max(devR, 1)) * 2)));
+    for (let i = 0; i <= steps; i++) {
+      const a = a0 + sweep * i / steps;
+      this.lineTo(x + Math.cos(a) * r, y + Math.sin(a) * r);
+    }
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  // ── Drawing ──────────────────────────────────────────────────────────────
+
+  fill() {
+    this._fillPolygons(this._paths, this.fillStyle);
+  }
+
+  stroke() {
+    const hw = this.lineWidth * this._scaleFactor() / 2;
+    const quads = [];
+    for (const pts of this._paths) {
+      for (let i = 0; i + 3 < pts.length; i += 2) {
+        const x0 = pts[i], y0 = pts[i + 1], x1 = pts[i + 2], y1 = pts[i + 3];
+        const len = Math.hypot(x1 - x0, y1 - y0);
+        if (len === 0) continue;
+        // Extend each segment by half a width so joints overlap instead of notching
+        const ux = (x1 - x0) / len * hw, uy = (y1 - y0) / len * hw;
+        const nx = -uy, ny = ux;
+        // Always wind the same way so non-zero filling unions overlapping segments
+        quads.push([
+          x0 - ux - nx, y0 - uy - ny,
+          x1 + ux - nx, y1 + uy - ny,
+          x1 + ux + nx, y1 + uy + ny,
+          x0 - ux + nx, y0 - uy + ny,
+        ]);
+      }
+    }
+    this._fillPolygons(quads, this.strokeStyle);
+  }
+
+  fillRect(x, y, w, h) {
+    const saved = [this._paths, this._cur];
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+    [this._paths, this._cur] = saved;
+  }
+
+  clearRect(x, y, w, h) {
+    const { canvas } = this;
+    const [x0, y0] = this._apply(x, y);
+    const [x1, y1] = this._apply(x + w, y + h);
+    const left = Math.max(0, Math.floor(Math.min(x0, x1))), right = Math.min(canvas.width, Math.ceil(Math.max(x0, x1)));
+    const top = Math.max(0, Math.floor(Math.min(y0, y1))), bottom = Math.min(canvas.height, Math.ceil(Math.max(y0, y1)));
+    for (let py = top; py < bottom; py++) {
+      canvas.data.fill(0, (py * canvas.width + left) * 4, (py * canvas.width + right) * 4);
+    }
+  }
+
+  clip() {
+    const { width, height } = this.canvas;
+    const mask = new Float32Array(width * height);
+    this._rasterize(this._paths, (row, x0, cov) => {
+      for (let i = 0; i < cov.length; i++) mask[row * width + x0 + i] = Math.min(1, cov[i]);
+    });
+    if (this._clip) for (let i = 0; i < mask.length; i++) mask[i] *= this._clip[i];
+    this._clip = mask;
+  }
+
+  // drawImage(src, dx, dy) | (src, dx, dy, dw, dh) | (src, sx, sy, sw, sh, dx, dy, dw, dh)
+  drawImage(src, ...args) {
+    if (!src?.data) return;
+    let sx = 0, sy = 0, sw = src.width, sh = src.height;
+    let [dx, dy, dw = sw, dh = sh] = args;
+    if (args.length === 8) [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+
+    // Snapshot first — drawing a canvas onto itself must read the old pixels
+    const pixels = src.data.slice();
+    const { canvas } = this;
+    const corners = [[dx, dy], [dx + dw, dy], [dx, dy + dh], [dx + dw, dy + dh]].map(([x, y]) => this._apply(x, y));
+    const left = Math.max(0, Math.floor(Math.min(...corners.map(c => c[0]))));
+    const right = Math.min(canvas.width, Math.ceil(Math.max(...corners.map(c => c[0]))));
+    const top = Math.max(0, Math.floor(Math.min(...corners.map(c => c[1]))));
+    const bottom = Math.min(canvas.height, Math.ceil(Math.max(...corners.map(c => c[1]))));
+    const ga = this.globalAlpha;
+
+    for (let py = top; py < bottom; py++) {
+      for (let px = left; px < right; px++) {
+        const [ux, uy] = this._invert(px + 0.5, py + 0.5);
+        const tx = (ux - dx) / dw, ty = (uy - dy) / dh;
+        if (tx < 0 || tx >= 1 || ty < 0 || ty >= 1) continue;
+        const ix = Math.floor(sx + tx * sw), iy = Math.floor(sy + ty * sh);
+        if (ix < 0 || iy < 0 || ix >= src.width || iy >= src.height) continue;
+        const si = (iy * src.width + ix) * 4;
+        const cov = ga * (this._clip ? this._clip[py * canvas.width + px] : 1);
+        if (cov <= 0) continue;
+        const di = (py * canvas.width + px) * 4;
+        const k = 1 - pixels[si + 3] * cov;
+        for (let c = 0; c < 4; c++) canvas.data[di + c] = pixels[si + c] * cov + canvas.data[di + c] * k;
+      }
+    }
+  }
+
+  // ── Rasterizer ───────────────────────────────────────────────────────────
+
+  _fillPolygons(polys, style) {
+    const { canvas } = this;
+    const { data, width } = canvas;
+    const ga = this.globalAlpha;
+    const solid = typeof style === 'string' ? parseColor(style) : null;
+    const clip = this._clip;
+
+    this._rasterize(polys, (row, x0, cov) => {
+      for (let i = 0; i < cov.length; i++) {
+        let c = cov[i];
+        if (c <= 0) continue;
+        const px = x0 + i;
+        if (clip) c *= clip[row * width + px];
+        let col = solid;
+        if (!col) {
+          const [ux, uy] = this._invert(px + 0.5, row + 0.5);
+          col = style.colorAt(ux, uy);
+        }
+        const a = col[3] * ga * Math.min(1, c);
+        if (a <= 0) continue;
+        const di = (row * width + px) * 4;
+        const k = 1 - a;
+        data[di] = col[0] * a + data[di] * k;
+        data[di + 1] = col[1] * a + data[di + 1] * k;
+        data[di + 2] = col[2] * a + data[di + 2] * k;
+        data[di + 3] = a + data[di + 3] * k;
+      }
+    });
+  }
+
+  // Non-zero winding scanline fill; calls emit(row, x0, coverage[]) per touched row
+  _rasterize(polys, emit) {
+    const { width, height } = this.canvas;
+    const edges = [];
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const pts of polys) {
+      const n = pts.length / 2;
+      if (n < 2) continue;
+      for (let i = 0; i < n; i++) {
+        const x0 = pts[i * 2], y0 = pts[i * 2 + 1];
+        const j = (i + 1) % n;
+        const x1 = pts[j * 2], y1 = pts[j * 2 + 1];
+        if (x0 < minX) minX = x0;
+        if (x0 > maxX) maxX = x0;
+        if (y0 < minY) minY = y0;
+        if (y0 > maxY) maxY = y0;
+        if (y0 === y1) continue;
+        const dir = y1 > y0 ? 1 : -1;
+        const top = dir > 0 ? [x0, y0] : [x1, y1];
+        const bot = dir > 0 ? [x1, y1] : [x0, y0];
+        edges.push({ yTop: top[1], yBot: bot[1], x: top[0], dxdy: (bot[0] - top[0]) / (bot[1] - top[1]), dir });
+      }
+    }
+    if (!edges.length) return;
+
+    const left = Math.max(0, Math.floor(minX));
+    const right = Math.min(width, Math.ceil(maxX) + 1);
+    const rowTop = Math.max(0, Math.floor(minY));
+    const rowBot = Math.min(height, Math.ceil(maxY));
+    if (left >= right || rowTop >= rowBot) return;
+
+    edges.sort((a, b) => a.yTop - b.yTop);
+    const span = right - left;
+    const cov = new Float32Array(span);
+    let next = 0;
+    let active = [];
+    const hits = [];
+
+    for (let row = rowTop; row < rowBot; row++) {
+      cov.fill(0);
+      let touched = false;
+      for (let s = 0; s < SUBSAMPLES; s++) {
+        const sy = row + (s + 0.5) / SUBSAMPLES;
+        while (next < edges.length && edges[next].yTop <= sy) active.push(edges[next++]);
+        active = active.filter(e => e.yBot > sy);
+        hits.length = 0;
+        for (const e of active) {
+          if (e.yTop > sy) continue;
+          hits.push({ x: e.x + (sy - e.yTop) * e.dxdy, dir: e.dir });
+        }
+        if (hits.length < 2) continue;
+        hits.sort((a, b) => a.x - b.x);
+        let wind = 0;
+        for (let h = 0; h < hits.length - 1; h++) {
+          wind += hits[h].dir;
+          if (wind === 0) continue;
+          const xa = Math.max(left, hits[h].x) - left;
+          const xb = Math.min(right, hits[h + 1].x) - left;
+          if (xb <= xa) continue;
+          touched = true;
+          addSpan(cov, xa, xb, 1 / SUBSAMPLES);
+        }
+      }
+      if (touched) emit(row, left, cov);
+    }
+  }
+}
+
+// Add `w` coverage over [xa, xb) with fractional end pixels
+function addSpan(cov, xa, xb, w) {
+  const ia = Math.floor(xa), ib = Math.floor(xb);
+  if (ia === ib) {
+    cov[ia] += (xb - xa) * w;
+    return;
+  }
+  cov[ia] += (ia + 1 - xa) * w;
+  for (let i = ia + 1; i < ib; i++) cov[i] += w;
+  if (ib < cov.length) cov[ib] += (xb - ib) * w;
+}
@@ -0,0 +1,191 @@
+/**
+ * replay.js — Record live event streams to NDJSON and play them back
+ *
+ * EventRecorder captures normalised feed events (one JSON object per line, with their
+ * timestamps); ReplayFeed is a FeedSource that plays a log back, so the art can't tell
+ * the difference.
+ *
+ *   const feed = new ReplayFeed(await (await fetch('crash.ndjson')).text(), onEvent,
+ *                               { speed: 10, slots: [250000000, 250001000] });
+ *   feed.connect();
+ */
+
+import { FeedSource, FeedState } from './feed-source.js';
+
+// JSON array or NDJSON → array of objects
+export function parseEventLog(text) {
+  text = text.trim();
+  if (!text) return [];
+  return text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+export class EventRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {(line: string) => void} [options.sink] - Called per event, e.g. appendFileSync
+   * @param {number} [options.limit] - Keep at most this many events in memory (oldest dropped)
+   */
+  constructor(options = {}) {
+    this.sink = options.sink || null;
+    this.limit = options.limit || Infinity;
+    this.events = [];
+  }
+
+  record(event) {
+    const line = JSON.stringify(event);
+    this.events.push(JSON.parse(line));
+    if (this.events.length > this.limit) this.events.shift();
+    if (this.sink) this.sink(line);
+  }
+
+  toNDJSON() {
+    return this.events.map(e => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  clear() {
+    this.events = [];
+  }
+}
+
+/**
+ * Plays a recorded log back on the original timing, scaled by speed
+ */
+export class ReplayFeed extends FeedSource {
+  /**
+   * @param {string|Object[]} log - NDJSON / JSON text or already-parsed events
+   * @param {(event: Object) => void} onEvent
+   * @param {Object} [options]
+   * @param {number|'step'} [options.speed=1] - Time multiplier; 'step' emits only on step()
+   * @param {[number, number]} [options.slots] - Inclusive slot range; events without a slot are dropped
+   * @param {boolean} [options.loop=false] - Start over at the end
+   * @param {EventRecorder} [options.recorder]
+   */
+  constructor(log, onEvent, options = {}) {
+    super(onEvent, options);
+    this.kind = 'replay';
+    let events = typeof log === 'string' ? parseEventLog(log) : log.slice();
+    if (options.slots) {
+      const [from, to] = options.slots;
+      events = events.filter(e => e.slot != null && e.slot >= from && e.slot <= to);
+    }
+    this.events = events.sort((a, b) => a.timestamp - b.timestamp);
+    this.speed = options.speed ?? 1;
+    this.loop = !!options.loop;
+    this.start = this.events.length ? this.events[0].timestamp : 0;
+    this.duration = this.events.length ? this.events[this.events.length - 1].timestamp - this.start : 0;
+
+    this.cursor = 0;      // next event to emit
+    this.position = 0;    // ms into the log
+    this.paused = false;
+    this.timer = null;
+    this.clockMs = 0;     // wall time position was last synced at
+  }
+
+  connect() {
+    this._setState(FeedState.LIVE);
+    console.log(`[replay] ${this.events.length} events, ${(this.duration / 1000).toFixed(1)}s at ${this.speed}${this.speed === 'step' ? '' : '×'}`);
+    this._schedule();
+  }
+
+  disconnect() {
+    this._sync();
+    this._setState(FeedState.CLOSED);
+    this._cancel();
+  }
+
+  pause() {
+    this._sync();
+    this.paused = true;
+    this._cancel();
+  }
+
+  resume() {
+    this.paused = false;
+    this._schedule();
+  }
+
+  setSpeed(speed) {
+    this._sync();
+    this.speed = speed;
+    this._schedule();
+  }
+
+  // Jump to ms into the log; events before it are skipped, not replayed
+  seek(ms) {
+    this.position = Math.max(0, Math.min(ms, this.duration));
+    const t = this.start + this.position;
+    this.cursor = this.events.findIndex(e => e.timestamp >= t);
+    if (this.cursor < 0) this.cursor = this.events.length;
+    this._schedule();
+  }
+
+  seekToSlot(slot) {
+    const e = this.events.find(ev => ev.slot != null && ev.slot >= slot);
+    this.seek(e ? e.timestamp - this.start : this.duration);
+  }
+
+  // Emit the next event immediately (any speed); returns it, or null at the end
+  step() {
+    if (this.cursor >= this.events.length) return null;
+    const event = this.events[this.cursor++];
+    this.position = event.timestamp - this.start;
+    this._emit({ ...event });
+    this._schedule();
+    return event;
+  }
+
+  _running() {
+    return this.connected && !this.paused && this.speed !== 'step';
+  }
+
+  // Advance position by wall time elapsed since the last sync
+  _sync() {
+    const now = Date.now();
+    if (this._running()) this.position += (now - this.clockMs) * this.speed;
+    this.clockMs = now;
+  }
+
+  _cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule() {
+    this._cancel();
+    this.clockMs = Date.now();
+    if (!this._running()) return;
+
+    if (this.cursor >= this.events.length) {
+      if (!this.loop || !this.events.length) return;
+      this.cursor = 0;
+      this.position = 0;
+    }
+    const next = this.events[this.cursor];
+    const wait = Math.max(0, (next.timestamp - this.start - this.position) / this.speed);
+    this.timer = setTimeout(() => {
+      this._sync();
+      // Everything due by now, in order
+      while (this.cursor < this.events.length && this.events[this.cursor].timestamp - this.start <= this.position) {
+        this._emit({ ...this.events[this.cursor++] });
+      }
+      this._schedule();
+    }, wait);
+  }
+
+  getStats() {
+    this._sync();
+    const current = this.events[Math.min(this.cursor, this.events.length - 1)];
+    return {
+      ...super.getStats(),
+      position: Math.min(this.position, this.duration),
+      duration: this.duration,
+      cursor: this.cursor,
+      total: this.events.length,
+      slot: current ? current.slot ?? null : null,
+      speed: this.speed,
+      paused: this.paused,
+    };
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * scenarios.js — Named, seeded demo scenarios for DemoFeed
+ *
+ * A scenario is a rate curve per event type plus optional scripted moments, looped every
+ * `duration` ms. The same scenario + seed always yields the same events at the same offsets,
+ * so a partner demo can be rehearsed offline and hit the same whale at 0:30 every time.
+ *
+ *   {
+ *     duration: 60000,
+ *     rates:    { tx: 8, mint: [[0, 0.2], [15000, 6], [60000, 0.2]] },  // events/s, number or [ms, rate] keyframes
+ *     values:   { mint: [0.1, 5] },                                      // SOL, log-uniform [min, max]
+ *     programs: { mint: [PROGRAMS.pumpfun] },
+ *     script:   [{ at: 30000, type: 'whale', valueSol: 20000 }],         // one-offs, every loop
+ *     halted:   [[10000, 60000]],                                        // no events, slots stop
+ *   }
+ *
+ * Keyframed rates are linear between keyframes and held flat past the ends. Unset
+ * values / programs fall back to DEFAULT_VALUES / DEFAULT_PROGRAMS.
+ */
+
+import { EventType } from './feed-source.js';
+import { PROGRAMS } from './tx-parser.js';
+import { createRng } from './generative.js';
+
+// Well-known programs — demo events are attributed to these so they land on stable nodes
+export const DEFAULT_PROGRAMS = {
+  tx:    [PROGRAMS.system, PROGRAMS.token],
+  whale: [PROGRAMS.system],
+  mev:   [PROGRAMS.raydiumAmm, PROGRAMS.orca, PROGRAMS.jupiter],
+  mint:  [PROGRAMS.metaplex, PROGRAMS.token],
+  burn:  [PROGRAMS.token],
+};
+// SOL values per type, log-uniform in [min, max] — magnitudes come from the parser's scale
+export const DEFAULT_VALUES = {
+  tx:    [0.001, 20],
+  whale: [1000, 25000],
+  mev:   [5, 300],
+  mint:  [0.5, 50],
+  burn:  [0.5, 50],
+};
+
+export const DEFAULT_SCENARIO = 'mainnet';
+export const SLOT_MS = 400;
+const FIRST_SLOT = 1;
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export const SCENARIOS = {
+  // The original demo mix: ~10 events/s, mostly plain transactions
+  'mainnet': {
+    duration: 60000,
+    rates: { tx: 9.5, whale: 0.05, mev: 0.2, mint: 0.15, burn: 0.1 },
+  },
+
+  'calm night': {
+    duration: 60000,
+    rates: { tx: [[0, 3], [30000, 5], [60000, 3]], whale: 0.01, mev: 0.05, mint: 0.04, burn: 0.03 },
+    values: { tx: [0.001, 2] },
+  },
+
+  // Launchpad mania: mints climb to a peak, snipers sandwich the rush, then the dumps burn
+  'memecoin mint frenzy': {
+    duration: 60000,
+    rates: {
+      tx:   [[0, 8], [10000, 20], [40000, 25], [60000, 8]],
+      mint: [[0, 0.2], [10000, 4], [25000, 10], [40000, 3], [60000, 0.2]],
+      mev:  [[0, 0.2], [20000, 2], [40000, 0.5]],
+      burn: [[0, 0.1], [35000, 0.1], [45000, 3], [60000, 0.2]],
+      whale: 0.03,
+    },
+    values: { mint: [0.1, 5], burn: [0.1, 5] },
+    programs: { mint: [PROGRAMS.pumpfun, PROGRAMS.token], mev: [PROGRAMS.raydiumAmm, PROGRAMS.pumpfun] },
+  },
+
+  // Whales come in waves; the largest transfer lands at 0:30
+  'whale storm': {
+    duration: 60000,
+    rates: {
+      tx: 10,
+      whale: [[0, 0.05], [10000, 0.8], [20000, 0.1], [28000, 1.5], [36000, 0.1], [60000, 0.05]],
+      mev: 0.2,
+    },
+    values: { whale: [2000, 50000] },
+    script: [{ at: 30000, type: EventType.WHALE, valueSol: 120000, program: PROGRAMS.system }],
+  },
+
+  'MEV sandwich spree': {
+    duration: 45000,
+    rates: {
+      tx:  12,
+      mev: [[0, 0.5], [8000, 4], [20000, 6], [30000, 1], [45000, 0.5]],
+      whale: 0.02,
+    },
+    values: { mev: [20, 800], tx: [1, 200] },
+    programs: { tx: [PROGRAMS.raydiumAmm, PROGRAMS.orca, PROGRAMS.jupiter, PROGRAMS.meteora] },
+  },
+
+  // Normal traffic, then the chain stops: no events and no new slots until the restart burst
+  'network halt': {
+    duration: 80000,
+    rates: { tx: [[0, 9], [10000, 9], [60000, 30], [70000, 12], [80000, 9]], mev: 0.2, whale: 0.05 },
+    halted: [[10000, 60000]],
+  },
+};
+
+export function scenarioNames() {
+  return Object.keys(SCENARIOS);
+}
+
+// Lenient lookup for URLs and env vars: "whale-storm", "Whale_Storm" → "whale storm"
+export function getScenario(name) {
+  const key = String(name).toLowerCase().replace(/[-_+]/g, ' ');
+  const found = Object.keys(SCENARIOS).find(k => k.toLowerCase() === key);
+  return found ? { name: found, ...SCENARIOS[found] } : null;
+}
+
+// Events/s for a number or [ms, rate] keyframe curve at offset t
+export function rateAt(curve, t) {
+  if (typeof curve === 'number') return curve;
+  if (!curve || !curve.length) return 0;
+  if (t <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [t1, r1] = curve[i];
+    if (t <= t1) {
+      const [t0, r0] = curve[i - 1];
+      return r0 + (r1 - r0) * (t - t0) / (t1 - t0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+function peakRate(curve) {
+  return typeof curve === 'number' ? curve : Math.max(0, ...curve.map(k => k[1]));
+}
+
+/**
+ * Deterministic event stream for a scenario + seed: next() returns the next event with
+ * its `offset` (ms since the start, growing across loops). Rate curves are sampled by
+ * thinning, so keyframed rates come out as a true varying-rate Poisson stream.
+ */
+export class ScenarioTimeline {
+  constructor(scenario, seed) {
+    this.scenario = scenario;
+    this.seed = String(seed);
+    this.rng = createRng(`${scenario.name}:${this.seed}`);
+    this.types = Object.keys(scenario.rates || {});
+    this.peaks = this.types.map(type => peakRate(scenario.rates[type]));
+    this.peak = this.peaks.reduce((a, b) => a + b, 0);
+    this.script = [...(scenario.script || [])].sort((a, b) => a.at - b.at);
+    this.cycle = 0;
+    this.t = 0;            // offset within the current loop
+    this.scriptIdx = 0;
+    this.pending = null;   // next random event, held while scripted ones come first
+  }
+
+  next() {
+    const { duration } = this.scenario;
+    for (;;) {
+      if (!this.pending) this.pending = this._draw();
+      const scripted = this.script[this.scriptIdx];
+      if (scripted && scripted.at <= (this.pending ? this.pending.t : duration)) {
+        this.scriptIdx++;
+        const { at, ...fields } = scripted;
+        return this._event(scripted.type, at, fields);
+      }
+      if (this.pending) {
+        const { type, t } = this.pending;
+        this.pending = null;
+        return this._event(type, t, {});
+      }
+      // Loop over: the timeline (and script) starts again
+      this.cycle++;
+      this.t = 0;
+      this.scriptIdx = 0;
+      if (!this.peak && !this.script.length) return null;  // nothing would ever happen
+    }
+  }
+
+  // Next random event in this loop, or null once past the end
+  _draw() {
+    const { duration, rates } = this.scenario;
+    if (!this.peak) return null;
+    for (;;) {
+      this.t += -Math.log(1 - this.rng()) / this.peak * 1000;
+      if (this.t >= duration) return null;
+      if (this._halted(this.t)) continue;
+      // Pick a type by peak rate, keep it with probability rate(t) / peak
+      let pick = this.rng() * this.peak;
+      let i = 0;
+      while (i < this.types.length - 1 && pick >= this.peaks[i]) pick -= this.peaks[i++];
+      const type = this.types[i];
+      if (this.rng() * this.peaks[i] < rateAt(rates[type], this.t)) return { type, t: this.t };
+    }
+  }
+
+  _event(type, t, fields) {
+    const { rng, scenario } = this;
+    const [min, max] = scenario.values?.[type] || DEFAULT_VALUES[type] || DEFAULT_VALUES.tx;
+    const programs = scenario.programs?.[type] || DEFAULT_PROGRAMS[type] || DEFAULT_PROGRAMS.tx;
+    const valueSol = min * Math.pow(max / min, rng());
+    const program = programs[Math.floor(rng() * programs.length)];
+    let sig = '';
+    for (let i = 0; i < 8; i++) sig += BASE58[Math.floor(rng() * BASE58.length)];
+    const offset = this.cycle * scenario.duration + t;
+    return { type, offset, valueSol, program, sig, slot: this.slotAt(offset), ...fields };
+  }
+
+  _halted(t) {
+    return (this.scenario.halted || []).some(([a, b]) => t >= a && t < b);
+  }
+
+  // Slots tick at the mainnet cadence, except through halted spans
+  slotAt(offset) {
+    const { duration, halted = [] } = this.scenario;
+    const t = offset % duration;
+    const stoppedPerLoop = halted.reduce((sum, [a, b]) => sum + (b - a), 0);
+    const stopped = halted.reduce((sum, [a, b]) => sum + Math.max(0, Math.min(t, b) - a), 0);
+    const running = Math.floor(offset / duration) * (duration - stoppedPerLoop) + t - stopped;
+    return FIRST_SLOT + Math.floor(running / SLOT_MS);
+  }
+}
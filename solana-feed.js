@@ -0,0 +1,455 @@
+/**
+ * solana-feed.js — Event feed over any Solana RPC websocket
+ * Mainnet, a private RPC, or a local solana-test-validator (ws://127.0.0.1:8900) —
+ * no provider-specific APIs, so standard endpoints work out of the box.
+ *
+ * Listens through a list of subscriptions rather than one firehose — by default one
+ * per program of interest. Each subscription has its own event-type mapping and weight,
+ * and can be added or removed while connected:
+ *
+ *   { name: 'orca', kind: 'logs', program: PROGRAMS.orca, eventType: { tx: 'mev' }, weight: 1.2 }
+ *
+ *   kind         'logs' (logsSubscribe mentions of `program` or `account`), 'account'
+ *                (accountSubscribe on `account`), 'slot', or 'transactions' (Helius
+ *                transactionSubscribe — amounts and signers; falls back to 'logs' on the same
+ *                address if the endpoint refuses it)
+ *   eventType    string forces every event's type; object remaps parsed types ({ tx: 'mint' })
+ *   weight       magnitude multiplier (result clamped to 1)
+ *   self         tag events self: true (watchWallet() streams)
+ *
+ * A transaction mentioning several watched programs arrives once per subscription; only
+ * the first copy is emitted — unless a self stream sees it later, which re-emits it as self.
+ * Parsing lives in tx-parser.js.
+ *
+ * Connection states (FeedState):
+ *
+ *   connecting ──ack──▶ live ──silent──▶ stale (resubscribed) ──events──▶ live
+ *        ▲               │                  │ still silent
+ *        │            close / no heartbeat reply
+ *        │               ▼                  ▼
+ *        └──retry──── backoff ──outage > fallbackAfterMs──▶ demo-fallback ──ack──▶ live
+ *
+ * Any state → closed on disconnect(). Backoff is exponential with jitter and resets once
+ * live. In demo-fallback the fallback feed (usually DemoFeed) keeps the art moving, its
+ * events emitted through this feed, until a reconnect is acknowledged.
+ */
+
+import { FeedSource, FeedState } from './feed-source.js';
+import { TxParser, magnitudeFor, PROGRAMS, LAMPORTS_PER_SOL } from './tx-parser.js';
+
+// JSON-RPC method pairs per subscription kind
+const SUB_METHODS = {
+  transactions: ['transactionSubscribe', 'transactionUnsubscribe'],
+  logs:         ['logsSubscribe', 'logsUnsubscribe'],
+  account:      ['accountSubscribe', 'accountUnsubscribe'],
+  slot:         ['slotSubscribe', 'slotUnsubscribe'],
+};
+
+// Programs watched by default, with their per-stream mapping; kind is added per provider
+export const WATCHED_PROGRAMS = [
+  { name: 'raydium',   program: PROGRAMS.raydiumAmm },
+  { name: 'orca',      program: PROGRAMS.orca },
+  { name: 'jupiter',   program: PROGRAMS.jupiter },
+  { name: 'metaplex',  program: PROGRAMS.metaplex, eventType: { tx: 'mint' } },
+  { name: 'spl-token', program: PROGRAMS.token, weight: 0.6 },
+];
+
+export const RPC_SUBSCRIPTIONS = WATCHED_PROGRAMS.map(s => ({ ...s, kind: 'logs' }));
+
+// Signatures remembered for de-duplication across overlapping subscriptions
+const SEEN_SIGNATURES = 2048;
+
+export const DEFAULT_TIMING = {
+  tickMs: 1000,            // watchdog resolution
+  heartbeatMs: 15000,      // ping interval; no reply at all for 2× this drops the socket
+  staleMs: 60000,          // no notifications this long → resubscribe; as long again → reconnect (0 disables)
+  backoffBaseMs: 1000,
+  backoffMaxMs: 30000,
+  fallbackAfterMs: 5000,   // outage length before the fallback feed takes over
+};
+
+export class SolanaRpcFeed extends FeedSource {
+  /**
+   * @param {string} url - wss:// (or ws://) RPC endpoint
+   * @param {(event: Object) => void} onEvent
+   * @param {Object} [options]
+   * @param {Object[]} [options.subscriptions] - Defaults to RPC_SUBSCRIPTIONS
+   * @param {Object} [options.parser] - TxParser config (whaleSol, minSol, tokenValues, ...)
+   * @param {typeof WebSocket} [options.WebSocket] - WebSocket implementation (Node, tests)
+   * @param {FeedSource} [options.fallback] - Runs while disconnected, e.g. a DemoFeed
+   * @param {EventRecorder} [options.recorder] - Records every emitted event (see replay.js)
+   * @param {Object} [options.timing] - Overrides for DEFAULT_TIMING
+   */
+  constructor(url, onEvent, options = {}) {
+    super(onEvent, options);
+    this.kind = 'rpc';
+    this.url = url;
+    this.parser = new TxParser(options.parser);
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.timing = { ...DEFAULT_TIMING, ...options.timing };
+    this.fallback = options.fallback || null;
+    if (this.fallback) this.fallback.onEvent = event => this._emit(event);
+    this.subscriptions = new Map();  // name → { spec, requestId, id, events, lamports }
+    this.pending = new Map();        // request id → subscription name
+    this.byId = new Map();           // server subscription id → subscription name
+    this.nextRequestId = 1;
+    this.seen = new Map();           // signature → { event, self } (event kept for late self copies)
+    this.activityKind = 'logs';      // how watchWallet() follows transactions
+    this.ws = null;
+    this.attempt = 0;                // reconnects since the last time we were live
+    this.retryAt = 0;
+    this.lastMessageMs = 0;          // anything, heartbeat replies included
+    this.lastNotificationMs = 0;     // subscription data only
+    this.staleSinceMs = 0;
+    this.lastPingMs = 0;
+    this.droppedMessages = 0;        // unparseable, or threw while handled
+    this._timers = { reconnect: null, fallback: null, watchdog: null };
+    for (const spec of options.subscriptions || RPC_SUBSCRIPTIONS) this.addSubscription(spec);
+  }
+
+  connect() {
+    if (this.ws) return;
+    clearTimeout(this._timers.reconnect);
+    // While the fallback covers an outage the UI keeps showing demo-fallback
+    if (!this._fallbackRunning()) this._setState(FeedState.CONNECTING);
+
+    let ws;
+    try {
+      ws = this.ws = new this.WebSocket(this.url);
+    } catch (e) {
+      console.warn(`[${this.kind}] WebSocket unavailable —`, e.message);
+      this.ws = null;
+      this._backoff();
+      return;
+    }
+
+    // Handlers ignore sockets we have already replaced
+    ws.onopen = () => {
+      if (ws !== this.ws) return;
+      console.log(`[${this.kind}] Connected to`, this.url.replace(/api-key=.*/, 'api-key=…'));
+      this.lastMessageMs = this.lastNotificationMs = Date.now();
+      for (const name of this.subscriptions.keys()) this._subscribe(name);
+      if (!this.subscriptions.size) this._live();
+      clearInterval(this._timers.watchdog);
+      this._timers.watchdog = setInterval(() => this._watchdog(), this.timing.tickMs);
+    };
+
+    ws.onmessage = (msg) => {
+      if (ws !== this.ws) return;
+      this.lastMessageMs = Date.now();
+      try {
+        this._handleMessage(JSON.parse(msg.data));
+      } catch (e) {
+        // Malformed message or a parser bug — one bad message mustn't stop the feed, but
+        // it shouldn't vanish either: counted in getStats(), logged the first time
+        if (!this.droppedMessages++) console.warn(`[${this.kind}] Dropped a message —`, e);
+      }
+    };
+
+    // Error and close usually both fire (not every implementation closes after a failed
+    // handshake) — whichever comes first hands the socket to backoff, once
+    ws.onerror = () => {
+      if (ws !== this.ws) return;
+      console.warn(`[${this.kind}] WebSocket error`);
+      this._drop();
+    };
+
+    ws.onclose = () => {
+      if (ws === this.ws) this._drop();
+    };
+  }
+
+  disconnect() {
+    this._setState(FeedState.CLOSED);  // no reconnect
+    clearTimeout(this._timers.reconnect);
+    clearTimeout(this._timers.fallback);
+    clearInterval(this._timers.watchdog);
+    this._timers = { reconnect: null, fallback: null, watchdog: null };
+    this._stopFallback();
+    const ws = this.ws;
+    this.ws = null;
+    this._clearIds();
+    if (ws) ws.close();
+  }
+
+  // First subscription acknowledged: live again, hand over from the fallback
+  _live() {
+    if (this.state === FeedState.LIVE) return;
+    this.attempt = 0;
+    clearTimeout(this._timers.fallback);
+    this._timers.fallback = null;
+    this._stopFallback();
+    this._setState(FeedState.LIVE);
+  }
+
+  // Jittered exponential backoff; the fallback takes over if the outage outlasts fallbackAfterMs
+  _backoff() {
+    const { backoffBaseMs, backoffMaxMs, fallbackAfterMs } = this.timing;
+    const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** this.attempt) * (0.5 + Math.random() * 0.5);
+    this.attempt++;
+    this.retryAt = Date.now() + delay;
+    console.log(`[${this.kind}] Disconnected — reconnecting in`, Math.round(delay), 'ms');
+    this._timers.reconnect = setTimeout(() => this.connect(), delay);
+
+    if (this._fallbackRunning()) return;
+    this._setState(FeedState.BACKOFF);
+    if (this.fallback && !this._timers.fallback) {
+      this._timers.fallback = setTimeout(() => {
+        this._timers.fallback = null;
+        if (this.state === FeedState.LIVE || this.state === FeedState.CLOSED) return;
+        console.log(`[${this.kind}] Fallback ${this.fallback.kind} feed running until reconnected`);
+        this.fallback.connect();
+        this._setState(FeedState.DEMO_FALLBACK);
+      }, fallbackAfterMs);
+    }
+  }
+
+  // Heartbeat, silent-stream and dead-socket detection while the socket is open
+  _watchdog() {
+    const now = Date.now();
+    const { heartbeatMs, staleMs } = this.timing;
+
+    // Any request gets a reply, even an error — that reply is the heartbeat
+    if (now - this.lastPingMs >= heartbeatMs) {
+      this.lastPingMs = now;
+      this._send('ping', []);
+    }
+    if (now - this.lastMessageMs > heartbeatMs * 2) {
+      console.warn(`[${this.kind}] No reply for ${Math.round((now - this.lastMessageMs) / 1000)}s — reconnecting`);
+      this._drop();
+      return;
+    }
+    if (!staleMs) return;
+
+    const silent = now - this.lastNotificationMs;
+    if (this.state === FeedState.LIVE && silent > staleMs) {
+      console.warn(`[${this.kind}] No events for ${Math.round(silent / 1000)}s — resubscribing`);
+      this.staleSinceMs = now;
+      this._setState(FeedState.STALE);
+      this._resubscribe();
+    } else if (this.state === FeedState.STALE && now - this.staleSinceMs > staleMs) {
+      console.warn(`[${this.kind}] Still silent after resubscribing — reconnecting`);
+      this._drop();
+    }
+  }
+
+  // Abandon the current socket and go through backoff
+  _drop() {
+    const ws = this.ws;
+    this.ws = null;
+    this._clearIds();
+    clearInterval(this._timers.watchdog);
+    if (ws) ws.close();
+    if (this.state !== FeedState.CLOSED) this._backoff();
+  }
+
+  _resubscribe() {
+    for (const sub of this.subscriptions.values()) {
+      if (sub.id !== null) this._send(SUB_METHODS[sub.spec.kind][1], [sub.id]);
+    }
+    this._clearIds();
+    for (const name of this.subscriptions.keys()) this._subscribe(name);
+  }
+
+  _fallbackRunning() {
+    return !!this.fallback && this.fallback.state === FeedState.LIVE;
+  }
+
+  _stopFallback() {
+    if (this._fallbackRunning()) this.fallback.disconnect();
+  }
+
+  /**
+   * Add a stream; subscribes immediately when connected
+   * @param {Object} spec - { name, kind, program?, account?, eventType?, weight?, commitment? }
+   * @returns {string} the subscription name
+   */
+  addSubscription(spec) {
+    if (!SUB_METHODS[spec.kind]) throw new Error(`[rpc] Unknown subscription kind "${spec.kind}"`);
+    const name = spec.name || `${spec.kind}:${spec.program || spec.account || this.subscriptions.size}`;
+    if (this.subscriptions.has(name)) this.removeSubscription(name);
+    this.subscriptions.set(name, { spec: { weight: 1, commitment: 'confirmed', ...spec, name }, requestId: null, id: null, events: 0, lamports: null });
+    if (this.connected) this._subscribe(name);
+    return name;
+  }
+
+  // Drop a stream, unsubscribing on the server if it is live
+  removeSubscription(name) {
+    const sub = this.subscriptions.get(name);
+    if (!sub) return false;
+    if (sub.id !== null && this.connected) {
+      this._send(SUB_METHODS[sub.spec.kind][1], [sub.id]);
+      this.byId.delete(sub.id);
+    }
+    if (sub.requestId !== null) this.pending.delete(sub.requestId);
+    this.subscriptions.delete(name);
+    return true;
+  }
+
+  // Follow one wallet: its balance (accountSubscribe) and every transaction mentioning it.
+  // Both streams tag their events self: true. Replaces the previous wallet; null stops.
+  watchWallet(address) {
+    this.removeSubscription('self:account');
+    this.removeSubscription('self:activity');
+    super.watchWallet(address);
+    if (!address) return true;
+    this.addSubscription({ name: 'self:account', kind: 'account', account: address, self: true });
+    this.addSubscription({ name: 'self:activity', kind: this.activityKind, account: address, self: true });
+    console.log(`[${this.kind}] Watching wallet ${address.slice(0, 8)}…`);
+    return true;
+  }
+
+  _send(method, params) {
+    const id = this.nextRequestId++;
+    this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    return id;
+  }
+
+  _subscribe(name) {
+    const sub = this.subscriptions.get(name);
+    const { kind, program, account, commitment } = sub.spec;
+    const address = program || account;
+    let params;
+    if (kind === 'transactions') {
+      params = [
+        { accountInclude: [address], vote: false, failed: false },
+        { commitment, encoding: 'jsonParsed', transactionDetails: 'full', maxSupportedTransactionVersion: 0 },
+      ];
+    } else if (kind === 'logs') {
+      params = [address ? { mentions: [address] } : 'all', { commitment }];
+    } else if (kind === 'account') {
+      params = [account, { commitment, encoding: 'jsonParsed' }];
+    } else {
+      params = [];
+    }
+    sub.requestId = this._send(SUB_METHODS[kind][0], params);
+    this.pending.set(sub.requestId, name);
+  }
+
+  _clearIds() {
+    this.pending.clear();
+    this.byId.clear();
+    for (const sub of this.subscriptions.values()) {
+      sub.requestId = null;
+      sub.id = null;
+    }
+  }
+
+  // Subscribe / unsubscribe responses
+  _handleResponse(data) {
+    const name = this.pending.get(data.id);
+    if (!name) return;
+    this.pending.delete(data.id);
+    const sub = this.subscriptions.get(name);
+    sub.requestId = null;
+
+    if (data.error) {
+      // Endpoint without enhanced websockets — same program via logs (no amounts, no MEV)
+      if (sub.spec.kind === 'transactions') {
+        console.warn(`[${this.kind}] transactionSubscribe refused for ${name} — falling back to logsSubscribe`);
+        sub.spec = { ...sub.spec, kind: 'logs' };
+        this._subscribe(name);
+      } else {
+        console.warn(`[${this.kind}] Subscription ${name} failed:`, data.error.message);
+      }
+      return;
+    }
+    sub.id = data.result;
+    this.byId.set(sub.id, name);
+    if (this.state !== FeedState.STALE) this._live();
+  }
+
+  _handleMessage(data) {
+    if (data?.id !== undefined && (data.result !== undefined || data.error)) {
+      this._handleResponse(data);
+      return;
+    }
+
+    const name = this.byId.get(data?.params?.subscription);
+    const sub = name && this.subscriptions.get(name);
+    if (!sub) return;
+    this.lastNotificationMs = Date.now();
+    if (this.state === FeedState.STALE) this._live();
+
+    let event;
+    if (sub.spec.kind === 'account') event = this._accountEvent(sub, data.params.result);
+    else if (sub.spec.kind === 'slot') event = this._slotEvent(data.params.result);
+    else event = this._transactionEvent(sub, data);
+    if (!event) return;
+
+    // Per-subscription type mapping and weight
+    const { eventType, weight, self } = sub.spec;
+    if (typeof eventType === 'string') event.type = eventType;
+    else if (eventType && eventType[event.type]) event.type = eventType[event.type];
+    event.magnitude = Math.min(1, event.magnitude * weight);
+    event.source = name;
+    if (self) event.self = true;
+
+    sub.events++;
+    this._emit(event);
+  }
+
+  _transactionEvent(sub, data) {
+    // De-duplicate before parsing so MevDetector sees each swap once
+    const sig = data.params.result?.signature || data.params.result?.value?.signature;
+    if (!sig) return this.parser.parse(data);
+    const seen = this.seen.get(sig);
+    if (seen) {
+      // Already shown as network activity — a self stream still gets it, once, as self
+      if (!sub.spec.self || seen.self || !seen.event) return null;
+      seen.self = true;
+      return { ...seen.event };
+    }
+    const event = this.parser.parse(data);
+    this.seen.set(sig, { event: event && { ...event }, self: !!sub.spec.self });
+    // Maps iterate in insertion order — drop the oldest
+    if (this.seen.size > SEEN_SIGNATURES) this.seen.delete(this.seen.keys().next().value);
+    return event;
+  }
+
+  // Balance change on a watched account; the first notification only sets the baseline
+  _accountEvent(sub, result) {
+    const lamports = result?.value?.lamports;
+    if (lamports === undefined) return null;
+    const prev = sub.lamports;
+    sub.lamports = lamports;
+    if (prev === null) return null;
+    const valueSol = Math.abs(lamports - prev) / LAMPORTS_PER_SOL;
+    return {
+      type: 'tx',
+      magnitude: magnitudeFor(valueSol, this.parser.config),
+      sig: '',
+      program: sub.spec.account,  // keeps the account's events on one node
+      slot: result.context?.slot ?? null,
+      valueSol,
+      timestamp: Date.now(),
+    };
+  }
+
+  _slotEvent(result) {
+    if (!result) return null;
+    return {
+      type: 'slot',
+      magnitude: this.parser.config.floorMagnitude,
+      sig: '',
+      program: null,
+      slot: result.slot,
+      valueSol: null,
+      timestamp: Date.now(),
+    };
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      fallbackActive: this._fallbackRunning(),
+      attempt: this.attempt,
+      retryInMs: this.ws ? 0 : Math.max(0, this.retryAt - Date.now()),
+      msSinceLastMessage: this.lastMessageMs ? Date.now() - this.lastMessageMs : null,
+      droppedMessages: this.droppedMessages,
+      subscriptions: [...this.subscriptions.values()].map(({ spec, id, events }) => ({
+        name: spec.name, kind: spec.kind, id, events,
+      })),
+    };
+  }
+}
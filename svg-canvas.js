@@ -0,0 +1,242 @@
+/**
+ * svg-canvas.js — Vector canvas backend: records 2D drawing calls as SVG elements
+ * Same subset of CanvasRenderingContext2D as raster-canvas.js.
+ *
+ * ParticleSystem fades trails by painting a translucent full-canvas rect each frame.
+ * Here that is folded into the document instead of stacked: every existing element's
+ * opacity is multiplied down (and pruned once invisible) and the background colour is
+ * blended toward the fade colour — an approximation that keeps the output small.
+ * drawImage() is raster-only and ignored.
+ */
+
+import { parseColor } from './raster-canvas.js';
+
+const PRUNE_OPACITY = 0.01;
+
+const fmt = n => (Math.round(n * 100) / 100).toString();
+
+function rgb(c) {
+  return `rgb(${Math.round(c[0] * 255)},${Math.round(c[1] * 255)},${Math.round(c[2] * 255)})`;
+}
+
+class SvgRadialGradient {
+  constructor(x0, y0, r0, x1, y1, r1) {
+    Object.assign(this, { x0, y0, r0, x1, y1, r1 });
+    this.stops = [];
+    this.id = null;
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color: parseColor(color) });
+  }
+}
+
+export class SvgCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.elements = [];   // { markup(opacity), opacity, refs }
+    this.defs = new Map(); // id → markup; pruned with the elements that use them
+    this.background = [0, 0, 0, 0];  // premultiplied
+    this._ctx = null;
+    this._ids = 0;
+  }
+
+  getContext(type) {
+    if (type !== '2d') return null;
+    if (!this._ctx) this._ctx = new SvgContext2D(this);
+    return this._ctx;
+  }
+
+  _id(prefix) {
+    return `${prefix}${this._ids++}`;
+  }
+
+  _prune() {
+    this.elements = this.elements.filter(el => el.opacity >= PRUNE_OPACITY);
+    const live = new Set(this.elements.flatMap(el => el.refs));
+    for (const id of this.defs.keys()) if (!live.has(id)) this.defs.delete(id);
+  }
+
+  toSVG() {
+    const { width, height, background: bg } = this;
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ];
+    if (this.defs.size) out.push(`<defs>${[...this.defs.values()].join('')}</defs>`);
+    if (bg[3] > 0) {
+      const c = [bg[0] / bg[3], bg[1] / bg[3], bg[2] / bg[3]];
+      out.push(`<rect width="${width}" height="${height}" fill="${rgb(c)}" fill-opacity="${fmt(bg[3])}"/>`);
+    }
+    for (const el of this.elements) out.push(el.markup(el.opacity));
+    out.push('</svg>');
+    return out.join('\n');
+  }
+}
+
+class SvgContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this._m = [1, 0, 0, 1, 0, 0];
+    this._clipId = null;
+    this._stack = [];
+    this._d = '';
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, globalAlpha, _clipId } = this;
+    this._stack.push({ fillStyle, strokeStyle, lineWidth, globalAlpha, _clipId, _m: this._m.slice() });
+  }
+
+  restore() {
+    const s = this._stack.pop();
+    if (s) Object.assign(this, s);
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._m = [a, b, c, d, e, f];
+  }
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this._m;
+    this._m = [
+      ma * a + mc * b, mb * a + md * b,
+      ma * c + mc * d, mb * c + md * d,
+      ma * e + mc * f + me, mb * e + md * f + mf,
+    ];
+  }
+
+  translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+  scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+  rotate(a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    this.transform(c, s, -s, c, 0, 0);
+  }
+
+  _pt(x, y) {
+    const m = this._m;
+    return `${fmt(m[0] * x + m[2] * y + m[4])} ${fmt(m[1] * x + m[3] * y + m[5])}`;
+  }
+
+  _scaleFactor() {
+    const [a, b, c, d] = this._m;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgRadialGradient(x0, y0, r0, x1, y1, r1);
+  }
+
+  beginPath() { this._d = ''; }
+  moveTo(x, y) { this._d += `M${this._pt(x, y)}`; }
+  lineTo(x, y) { this._d += (this._d ? 'L' : 'M') + this._pt(x, y); }
+  closePath() { this._d += 'Z'; }
+
+  arc(x, y, r, a0, a1, ccw = false) {
+    let sweep = a1 - a0;
+    if (!ccw && sweep < 0) sweep = sweep % (Math.PI * 2) + Math.PI * 2;
+    if (ccw && sweep > 0) sweep = sweep % (Math.PI * 2) - Math.PI * 2;
+    if (Math.abs(sweep) > Math.PI * 2) sweep = Math.sign(sweep) * Math.PI * 2;
+    // Flatten — keeps arcs correct under any transform
+    const steps = Math.max(12, Math.min(96, Math.ceil(Math.abs(sweep) * 8)));
+    for (let i = 0; i <= steps; i++) {
+      const a = a0 + sweep * i / steps;
+      this.lineTo(x + Math.cos(a) * r, y + Math.sin(a) * r);
+    }
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  // Resolve a style to an SVG paint + its intrinsic alpha
+  _paint(style) {
+    if (typeof style === 'string') {
+      const c = parseColor(style);
+      return { paint: rgb(c), alpha: c[3] };
+    }
+    if (!style.id) {
+      style.id = this.canvas._id('g');
+      const stops = style.stops.map(s =>
+        `<stop offset="${fmt(s.offset)}" stop-color="${rgb(s.color)}" stop-opacity="${fmt(s.color[3])}"/>`).join('');
+      const [cx, cy] = this._pt(style.x1, style.y1).split(' ');
+      const r = fmt(style.r1 * this._scaleFactor());
+      this.canvas.defs.set(style.id,
+        `<radialGradient id="${style.id}" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}">${stops}</radialGradient>`);
+    }
+    return { paint: `url(#${style.id})`, alpha: 1, ref: style.id };
+  }
+
+  _push(attrs, alpha, ref) {
+    const opacity = alpha * this.globalAlpha;
+    if (!this._d || opacity < PRUNE_OPACITY) return;
+    const d = this._d;
+    const clip = this._clipId ? ` clip-path="url(#${this._clipId})"` : '';
+    const refs = [ref, this._clipId].filter(Boolean);
+    this.canvas.elements.push({
+      opacity,
+      refs,
+      markup: o => `<path d="${d}" ${attrs} opacity="${fmt(o)}"${clip}/>`,
+    });
+  }
+
+  fill() {
+    const { paint, alpha, ref } = this._paint(this.fillStyle);
+    this._push(`fill="${paint}"`, alpha, ref);
+  }
+
+  stroke() {
+    const { paint, alpha, ref } = this._paint(this.strokeStyle);
+    const w = fmt(this.lineWidth * this._scaleFactor());
+    this._push(`fill="none" stroke="${paint}" stroke-width="${w}"`, alpha, ref);
+  }
+
+  _coversCanvas(x, y, w, h) {
+    const [a, b, c, d, e, f] = this._m;
+    const identity = a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0;
+    return identity && x <= 0 && y <= 0 && x + w >= this.canvas.width && y + h >= this.canvas.height;
+  }
+
+  fillRect(x, y, w, h) {
+    if (typeof this.fillStyle === 'string' && this._coversCanvas(x, y, w, h)) {
+      // Full-canvas fill: fold into the background instead of adding an element
+      const c = parseColor(this.fillStyle);
+      const a = c[3] * this.globalAlpha;
+      const { canvas } = this;
+      const bg = canvas.background;
+      canvas.background = [c[0] * a + bg[0] * (1 - a), c[1] * a + bg[1] * (1 - a), c[2] * a + bg[2] * (1 - a), a + bg[3] * (1 - a)];
+      for (const el of canvas.elements) el.opacity *= 1 - a;
+      canvas._prune();
+      return;
+    }
+    const saved = this._d;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+    this._d = saved;
+  }
+
+  clearRect(x, y, w, h) {
+    if (this._coversCanvas(x, y, w, h)) {
+      this.canvas.elements = [];
+      this.canvas.defs.clear();
+      this.canvas.background = [0, 0, 0, 0];
+    }
+  }
+
+  clip() {
+    const id = this.canvas._id('c');
+    this.canvas.defs.set(id, `<clipPath id="${id}"><path d="${this._d}"/></clipPath>`);
+    this._clipId = id;
+  }
+
+  drawImage() {}
+}
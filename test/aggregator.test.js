@@ -0,0 +1,52 @@
+/**
+ * EventAggregator summaries on an explicit clock — quiet-period needs a baseline to fall from.
+ * Run: node --test test/
+ */
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventAggregator, SummaryType } from '../aggregator.js';
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+// Ticks every tickMs from `from` to `to`, pushing `tps` plain transactions per second
+function drive(agg, from, to, tps) {
+  let next = tps > 0 ? from : Infinity;
+  for (let t = from; t < to; t += agg.config.tickMs) {
+    for (; next < t + agg.config.tickMs; next += 1000 / tps) agg.push({ type: 'tx', timestamp: next }, next);
+    agg.tick(t);
+  }
+}
+
+const quietSummaries = events => events.filter(e => e.type === SummaryType.QUIET);
+
+test('a feed that has been silent all along is never quiet', () => {
+  const events = [];
+  const agg = new EventAggregator(event => events.push(event));
+  agg.tick(0);
+  drive(agg, 0, 120000, 0);
+  assert.equal(agg.quiet, false);
+  assert.deepEqual(quietSummaries(events), []);
+});
+
+test('a drop from steady activity is reported once, then cleared when activity returns', () => {
+  const events = [];
+  const agg = new EventAggregator(event => events.push(event), { passTxPerSec: Infinity });
+  drive(agg, 0, 60000, 10);
+  assert.deepEqual(quietSummaries(events), []);
+
+  drive(agg, 60000, 75000, 0);
+  const [quiet, ...rest] = quietSummaries(events);
+  assert.deepEqual(rest, []);
+  assert.equal(agg.quiet, true);
+  assert.ok(quiet.magnitude > 0.75 && quiet.baselineTps > 0);
+
+  // Silent for a full minute more: the baseline is gone, but the stretch is still the same one
+  drive(agg, 75000, 140000, 0);
+  assert.equal(quietSummaries(events).length, 1);
+
+  drive(agg, 140000, 150000, 10);
+  assert.equal(agg.quiet, false);
+});
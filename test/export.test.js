@@ -0,0 +1,116 @@
+/**
+ * export.js sizing — the 2D layer covers exactly the export image the WebGL layer sizes, even
+ * when the two canvases differ (quality.js pixelRatio), tiled or copied from the screen.
+ * Canvases are recording stubs. Run: node --test test/
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportArtwork, exportSize, planTiles, TiledCanvas } from '../export.js';
+import { ArtworkState } from '../artwork-state.js';
+import { readPNGText } from '../png.js';
+
+// A 2D context that keeps its transform and the calls made to it
+class StubContext {
+  constructor() {
+    this.transform = [1, 0, 0, 1, 0, 0];
+    this.calls = [];
+  }
+
+  setTransform(...m) {
+    this.transform = m;
+  }
+
+  drawImage(...args) {
+    this.calls.push(['drawImage', ...args]);
+  }
+
+  fillRect(...args) {
+    this.calls.push(['fillRect', ...args]);
+  }
+
+  getImageData(x, y, w, h) {
+    return { data: new Uint8ClampedArray(w * h * 4) };
+  }
+}
+
+const stubCanvas = (width = 0, height = 0) => {
+  const ctx = new StubContext();
+  return { width, height, getContext: () => ctx };
+};
+
+let created;  // every canvas export.js made, in order
+
+before(() => {
+  globalThis.document = {
+    createElement: () => {
+      const canvas = stubCanvas();
+      created.push(canvas);
+      return canvas;
+    },
+  };
+});
+
+beforeEach(() => {
+  created = [];
+});
+
+after(() => {
+  delete globalThis.document;
+});
+
+// Screen units → a tile's pixels
+const apply = ([a, b, c, d, e, f], x, y) => [a * x + c * y + e, b * x + d * y + f];
+
+test('a reduced pixel ratio: the 2D tiles match the image the WebGL canvas sizes', () => {
+  // 1536×864 window; the WebGL canvas at the 0.85 level, the 2D canvas at 1:1
+  const gl = { width: Math.round(1536 * 0.85), height: Math.round(864 * 0.85) };
+  const { width, height } = exportSize('4k', gl.width, gl.height);
+  assert.deepEqual([width, height], [3840, 2158]);  // not 3840 × 2160, as 1536×864 would give
+
+  const tiled = new TiledCanvas(1536, 864, width, height, 2048);
+  const covered = tiled.tiles.map(({ x, y, w, h }) => ({ x, y, w, h }));
+  assert.deepEqual(covered, planTiles(width, height, 2048));
+
+  // The screen's far corner lands on the image's, in the tile that holds it
+  const last = tiled.tiles.at(-1);
+  const [px, py] = apply(last.ctx.transform, 1536, 864);
+  assert.ok(Math.abs(px - (width - last.x)) < 1e-9 && Math.abs(py - (height - last.y)) < 1e-9);
+});
+
+test('the context fans out with each axis scaled on its own', () => {
+  const tiled = new TiledCanvas(100, 50, 400, 150, 256);
+  const ctx = tiled.getContext();
+  ctx.setTransform(1, 0, 0, 1, 10, 20);
+  for (const tile of tiled.tiles) assert.deepEqual(tile.ctx.transform, [4, 0, 0, 3, 40 - tile.x, 60 - tile.y]);
+
+  // Undrawn while replaying settle frames
+  tiled.drawing = false;
+  ctx.fillRect(0, 0, 1, 1);
+  tiled.drawing = true;
+  ctx.fillRect(0, 0, 1, 1);
+  assert.deepEqual(tiled.tiles.map(t => t.ctx.calls.length), [1, 1]);
+
+  // drawImage(self): the source rect in each tile's own pixels
+  ctx.drawImage(tiled, 10, 10, 20, 10, 0, 0, 20, 10);
+  const [, second] = tiled.tiles;
+  assert.deepEqual(second.ctx.calls.at(-1).slice(2, 6), [40 - second.x, 30, 80, 30]);
+});
+
+test('a screen freeze stretches the 2D layer over the WebGL canvas', async () => {
+  const glCanvas = stubCanvas(Math.round(1536 * 0.85), Math.round(864 * 0.85));
+  const particleCanvas = stubCanvas(1536, 864);
+  const { png, width, height } = await exportArtwork({
+    composer: { gl: { canvas: glCanvas } },
+    particles: { canvas: particleCanvas },
+    state: new ArtworkState({ wallet: 'ExportSizingWallet' }),
+    size: 'screen',
+  });
+  assert.deepEqual([width, height], [glCanvas.width, glCanvas.height]);
+  const text = readPNGText(png);
+  assert.deepEqual([text.width, text.height], [width, height]);
+  assert.deepEqual(created[0].getContext().calls.map(c => c.slice(1)), [
+    [glCanvas, 0, 0],
+    [particleCanvas, 0, 0, glCanvas.width, glCanvas.height],
+  ]);
+});
@@ -0,0 +1,126 @@
+/**
+ * ChainSampler on a stub fetch answering from test/fixtures/chain-rpc.json — visuals from a
+ * fixed response, the getBlock walk-back, shared in-flight samples and request timeouts; and
+ * that the module loads where there is no `process` (the viewer imports it).
+ * Run: node --test test/
+ */
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { ChainSampler, chainToVisuals, NEUTRAL_VISUALS } from '../fetch-chain.js';
+
+const FIXTURE = JSON.parse(readFileSync(new URL('./fixtures/chain-rpc.json', import.meta.url), 'utf8'));
+const SLOT = FIXTURE.getLatestBlockhash.context.slot;
+
+/**
+ * A fetch answering JSON-RPC from the fixture. `handlers[method](params)` overrides a method:
+ * return a result, throw an RPC error ({ code, message }), or return a promise to hold it back.
+ */
+function stubFetch(handlers = {}) {
+  const calls = [];
+  const fetch = async (url, { body, signal }) => {
+    const { id, method, params } = JSON.parse(body);
+    calls.push({ method, params });
+    let result = FIXTURE[method], error;
+    try {
+      if (handlers[method]) result = await handlers[method](params, signal);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      error = err;
+    }
+    return { ok: true, status: 200, json: async () => (error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result }) };
+  };
+  return { fetch, calls, called: method => calls.filter(c => c.method === method) };
+}
+
+// Never answers; rejects the way fetch does once the request is aborted
+const hang = (params, signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+test('chainToVisuals: a fixed response always gives the same visuals', async () => {
+  const samples = [];
+  for (let i = 0; i < 2; i++) samples.push(await new ChainSampler({ fetch: stubFetch().fetch }).sample());
+  const [a, b] = samples.map(sample => chainToVisuals(sample));
+  assert.deepEqual(a, b);
+  assert.deepEqual(chainToVisuals(samples[0]), a);
+
+  assert.deepEqual({ ...a, density: +a.density.toFixed(4), temperature: +a.temperature.toFixed(4) }, {
+    seed: 5393932,
+    paletteIdx: 3,
+    compIdx: 1,
+    density: 0.4854,      // 8 block transactions
+    speed: 0.8,           // 500ms slots
+    temperature: 0.6165,  // 5,000 µL/CU median
+  });
+});
+
+test('getBlock walks back over skipped and unavailable slots', async () => {
+  const stub = stubFetch({
+    getBlock: ([slot]) => {
+      if (slot === SLOT) return null;  // skipped
+      if (slot === SLOT - 1) throw { code: -32004, message: 'Block not available for slot' };
+      return FIXTURE.getBlock;
+    },
+  });
+  const sample = await new ChainSampler({ fetch: stub.fetch }).sample();
+  assert.deepEqual(stub.called('getBlock').map(c => c.params[0]), [SLOT, SLOT - 1, SLOT - 2]);
+  assert.equal(sample.blockSlot, SLOT - 2);
+  assert.equal(sample.blockTxCount, FIXTURE.getBlock.signatures.length);
+  assert.deepEqual(sample.errors, []);
+});
+
+test('with no block in reach, the block fields fail soft and density is neutral', async () => {
+  const stub = stubFetch({
+    getBlock: () => { throw { code: -32004, message: 'Block not available for slot' }; },
+  });
+  const sampler = new ChainSampler({ fetch: stub.fetch, blockRetries: 3 });
+  const sample = await sampler.sample();
+  assert.equal(stub.called('getBlock').length, 3);
+  assert.equal(sample.blockSlot, null);
+  assert.equal(sample.blockTxCount, null);
+  assert.deepEqual(sample.errors, ['[chain] getBlock: Block not available for slot (-32004)']);
+  assert.equal(sample.slotMs, 500);  // the other calls are unaffected
+  assert.equal(chainToVisuals(sample).density, NEUTRAL_VISUALS.density);
+  assert.equal(sampler.getStats().failures, 3);
+});
+
+test('concurrent samples share one request; fresh ones come from the cache', async () => {
+  const stub = stubFetch();
+  const sampler = new ChainSampler({ fetch: stub.fetch });
+  const [a, b] = await Promise.all([sampler.sample(), sampler.sample()]);
+  assert.equal(a, b);
+  assert.equal(stub.called('getLatestBlockhash').length, 1);
+  assert.equal(sampler.inflight, null);
+
+  assert.equal(await sampler.sample(), a);
+  assert.equal(stub.called('getLatestBlockhash').length, 1);
+  assert.notEqual(await sampler.sample({ force: true }), a);
+  assert.equal(stub.called('getLatestBlockhash').length, 2);
+});
+
+test('a request that never answers is aborted after timeoutMs', async () => {
+  const sampler = new ChainSampler({ fetch: stubFetch({ getLatestBlockhash: hang }).fetch, timeoutMs: 20 });
+  await assert.rejects(sampler.sample(), { message: '[chain] getLatestBlockhash: timed out after 20ms' });
+  assert.equal(sampler.inflight, null);  // the next sample() tries again
+
+  // A hung optional call only costs its own field
+  const partial = new ChainSampler({ fetch: stubFetch({ getRecentPrioritizationFees: hang }).fetch, timeoutMs: 20 });
+  const sample = await partial.sample();
+  assert.equal(sample.fees, null);
+  assert.deepEqual(sample.errors, ['[chain] getRecentPrioritizationFees: timed out after 20ms']);
+  assert.equal(sample.blockTxCount, FIXTURE.getBlock.signatures.length);
+});
+
+test('loads without a process global, as in the browser', () => {
+  // A fresh node with process deleted before the import; a throw fails the child
+  const url = new URL('../fetch-chain.js', import.meta.url).href;
+  const script = `delete globalThis.process; const { ChainSampler } = await import(${JSON.stringify(url)}); new ChainSampler({ fetch() {} });`;
+  assert.doesNotThrow(() => execFileSync(process.execPath, ['--input-type=module', '-e', script], { stdio: 'pipe' }));
+});
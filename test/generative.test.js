@@ -0,0 +1,97 @@
+/**
+ * ParticleSystem replays — a freeze's replay (export.js: a new system, the page's event log
+ * and checkpoints) lands on the state the page is showing. Drawing goes to a null canvas.
+ * Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleSystem, walletToParams } from '../generative.js';
+
+const WALLET = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const FRAMES = 4000;  // past the first checkpoint, so the replay resumes from one
+
+// Accepts every draw call and does nothing with it
+class NullCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    const ctx = new Proxy({}, {
+      get: (target, key) => (key === 'canvas' ? this : () => ({ addColorStop() {} })),
+      set: () => true,
+    });
+    this.getContext = () => ctx;
+  }
+}
+
+const REDUCED = { particles: 0.5, trails: 0.5, effects: 0.5 };
+
+// The on-screen system: live events, aggregate modulation, a curator's tuning, and the
+// governor's quality changes from `qualityAt` ({ frame: settings })
+function runScreen(params, qualityAt = {}, frames = FRAMES) {
+  const sys = new ParticleSystem(new NullCanvas(160, 120), params);
+  for (let i = 0; i < frames; i++) {
+    if (qualityAt[i]) sys.setQuality(qualityAt[i]);
+    if (i % 37 === 0) {
+      sys.handleLiveEvent({
+        type: i % 74 ? 'tx' : 'whale', magnitude: 0.6, sig: `sig${i}`,
+        color: '#ffffff', size: 0.5, duration: 800, action: { kind: 'attract' },
+      });
+    }
+    if (i % 250 === 0) sys.setModulation({ density: 1 + (i % 1000) / 2000, turbulence: 1 });
+    if (i === 3000) sys.setTuning({ trailLength: 30, fade: 0.1 });
+    sys.step();
+  }
+  return sys;
+}
+
+// As export.js replays it
+function replayOf(sys) {
+  const replay = new ParticleSystem(new NullCanvas(sys.canvas.width, sys.canvas.height), sys.initialParams);
+  replay.stepTo(sys.frame, sys.eventLog.slice(), sys.checkpoints.slice());
+  return replay;
+}
+
+function assertSameState(a, b) {
+  assert.equal(b.frame, a.frame);
+  assert.equal(b.particles.count, a.particles.count);
+  assert.equal(b.rng.state, a.rng.state);
+  const n = a.particles.count;
+  assert.deepEqual(b.particles.x.subarray(0, n), a.particles.x.subarray(0, n));
+  assert.deepEqual(b.particles.y.subarray(0, n), a.particles.y.subarray(0, n));
+  assert.deepEqual(b.effects, a.effects);
+  assert.deepEqual(b.quality, a.quality);
+}
+
+test('at full quality, an export replay is the frame on screen', () => {
+  const screen = runScreen(walletToParams(WALLET));
+  assert.equal(screen.checkpoints.at(-1).frame, 3600);
+  assertSameState(screen, replayOf(screen));
+});
+
+test('checkpoints carry the screen\'s quality into the replay', () => {
+  const screen = runScreen(walletToParams(WALLET, { composition: 'orbital rings' }), { 0: REDUCED });
+  const replay = replayOf(screen);
+  assert.equal(replay.quality.particles, 0.5);
+  assertSameState(screen, replay);
+});
+
+test('quality changes after the last checkpoint are replayed', () => {
+  const screen = runScreen(walletToParams(WALLET), { 3700: REDUCED, 3850: { ...REDUCED, calm: true } });
+  assert.equal(screen.checkpoints.at(-1).frame, 3600);
+  assertSameState(screen, replayOf(screen));
+});
+
+test('a log re-rendered from frame 0 follows the screen\'s quality', () => {
+  const screen = runScreen(walletToParams(WALLET), { 200: REDUCED, 600: {} }, 1000);
+  // As generate.js / verify.js re-render it: the log alone, in a new system
+  const render = new ParticleSystem(new NullCanvas(160, 120), screen.initialParams);
+  render.stepTo(screen.frame, screen.eventLog.slice());
+  assertSameState(screen, render);
+
+  // Rewinding in place goes back through frame 0 at full quality
+  screen.stepTo(400);
+  assert.equal(screen.quality.particles, 0.5);
+  screen.stepTo(100);
+  assert.equal(screen.quality.particles, 1);
+});
@@ -0,0 +1,108 @@
+/**
+ * mock-rpc-server.js — An in-process Solana RPC websocket for the feed checks
+ *
+ * Hands SolanaRpcFeed a WebSocket class (options.WebSocket) whose sockets talk to this
+ * server: subscriptions are acknowledged with fresh ids, pings get the error reply a real
+ * endpoint sends, and the test pushes notifications, drops sockets or refuses connections.
+ * Socket events fire on a microtask, like a real socket's never fire synchronously.
+ *
+ *   const server = new MockRpcServer();
+ *   const feed = new SolanaRpcFeed('ws://mock', onEvent, { WebSocket: server.WebSocket });
+ *   server.notifyLogs(PROGRAMS.orca, { signature, err: null, logs });
+ */
+
+export class MockRpcServer {
+  constructor() {
+    this.accepting = true;       // false: connections fail (error, then close)
+    this.refuse = new Set();     // methods answered with an error, e.g. 'transactionSubscribe'
+    this.sockets = [];           // every socket ever opened, newest last
+    this.requests = [];          // { method, params } in arrival order
+    this.subscriptions = new Map();  // subscription id → { socket, method, params }
+    this.nextSubscriptionId = 100;
+    const server = this;
+
+    this.WebSocket = class MockSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        server.sockets.push(this);
+        queueMicrotask(() => {
+          if (this.readyState !== 0) return;
+          if (!server.accepting) {
+            this.readyState = 3;
+            this.onerror?.({});
+            this.onclose?.({});
+            return;
+          }
+          this.readyState = 1;
+          this.onopen?.({});
+        });
+      }
+
+      send(text) {
+        if (this.readyState !== 1) throw new Error('[mock] send() on a socket that is not open');
+        server._request(this, JSON.parse(text));
+      }
+
+      close() {
+        if (this.readyState === 3) return;
+        this.readyState = 3;
+        for (const [id, sub] of server.subscriptions) if (sub.socket === this) server.subscriptions.delete(id);
+        queueMicrotask(() => this.onclose?.({}));
+      }
+
+      // Server → client
+      _deliver(message) {
+        if (this.readyState !== 1) return;
+        queueMicrotask(() => this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) }));
+      }
+    };
+  }
+
+  get socket() {
+    return this.sockets[this.sockets.length - 1] || null;
+  }
+
+  // Requests for one method, e.g. 'logsSubscribe'
+  requested(method) {
+    return this.requests.filter(r => r.method === method);
+  }
+
+  _request(socket, { id, method, params }) {
+    this.requests.push({ method, params });
+    if (this.refuse.has(method) || method === 'ping') {
+      socket._deliver({ jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+    } else if (method.endsWith('Unsubscribe')) {
+      this.subscriptions.delete(params[0]);
+      socket._deliver({ jsonrpc: '2.0', id, result: true });
+    } else if (method.endsWith('Subscribe')) {
+      const subscription = this.nextSubscriptionId++;
+      this.subscriptions.set(subscription, { socket, method, params });
+      socket._deliver({ jsonrpc: '2.0', id, result: subscription });
+    }
+  }
+
+  /**
+   * logsNotification to every live logsSubscribe mentioning `address`
+   * @returns {number} how many subscriptions it went to
+   */
+  notifyLogs(address, value, slot = 250000000) {
+    let sent = 0;
+    for (const [subscription, sub] of this.subscriptions) {
+      if (sub.method !== 'logsSubscribe' || !sub.params[0]?.mentions?.includes(address)) continue;
+      sub.socket._deliver({ jsonrpc: '2.0', method: 'logsNotification', params: { subscription, result: { context: { slot }, value } } });
+      sent++;
+    }
+    return sent;
+  }
+
+  // Raw text to the newest socket — malformed messages and the like
+  sendRaw(text) {
+    this.socket._deliver(text);
+  }
+
+  // Close every open socket from the server side
+  dropAll() {
+    for (const socket of this.sockets) socket.close();
+  }
+}
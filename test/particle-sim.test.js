@@ -0,0 +1,80 @@
+/**
+ * engine/particle-sim.js — which particle path a context gets (float → half → cpu), on stub
+ * contexts; then each path on a real software-rendered context through headless-gl
+ * (`npm install gl`), skipped where it isn't installed. Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectParticleBackend, PARTICLE_BACKENDS } from '../engine/particle-sim.js';
+import { benchmarkWebGL } from '../bench.js';
+
+const FLOAT = 0x1406;
+const HALF_FLOAT_OES = 0x8D61;
+const FRAMEBUFFER_COMPLETE = 0x8CD5;
+
+let headlessGL = true;
+try {
+  await import('gl');
+} catch {
+  headlessGL = false;
+}
+
+/**
+ * Just enough WebGL 1 for detectParticleBackend()
+ * @param {Object} caps
+ * @param {number} [caps.vertexTextures=4] - MAX_VERTEX_TEXTURE_IMAGE_UNITS
+ * @param {string[]} [caps.extensions] - Extensions getExtension() hands out
+ * @param {number[]} [caps.renderable] - Texel types a framebuffer completes with
+ */
+function stubGL({ vertexTextures = 4, extensions = [], renderable = [] } = {}) {
+  let type = null;
+  return {
+    FLOAT, FRAMEBUFFER_COMPLETE,
+    MAX_VERTEX_TEXTURE_IMAGE_UNITS: 0x8B4C,
+    getParameter: pname => (pname === 0x8B4C ? vertexTextures : 0),
+    getExtension: name => (extensions.includes(name) ? (name === 'OES_texture_half_float' ? { HALF_FLOAT_OES } : {}) : null),
+    createTexture: () => ({}),
+    createFramebuffer: () => ({}),
+    texImage2D: (target, level, internal, w, h, border, format, texelType) => { type = texelType; },
+    checkFramebufferStatus: () => (renderable.includes(type) ? FRAMEBUFFER_COMPLETE : 0),
+    bindTexture() {}, texParameteri() {}, bindFramebuffer() {}, framebufferTexture2D() {},
+    deleteFramebuffer() {}, deleteTexture() {},
+  };
+}
+
+const BOTH = ['OES_texture_float', 'OES_texture_half_float'];
+
+test('float when a float texture can be rendered to', () => {
+  assert.deepEqual(detectParticleBackend(stubGL({ extensions: BOTH, renderable: [FLOAT, HALF_FLOAT_OES] })), { backend: 'float', type: FLOAT });
+});
+
+test('half when float textures exist but aren\'t renderable, or half is asked for', () => {
+  const gl = stubGL({ extensions: BOTH, renderable: [HALF_FLOAT_OES] });
+  assert.deepEqual(detectParticleBackend(gl), { backend: 'half', type: HALF_FLOAT_OES });
+  const both = stubGL({ extensions: BOTH, renderable: [FLOAT, HALF_FLOAT_OES] });
+  assert.deepEqual(detectParticleBackend(both, 'half'), { backend: 'half', type: HALF_FLOAT_OES });
+});
+
+test('cpu without a renderable float format, without vertex texture fetch, or when asked', () => {
+  assert.equal(detectParticleBackend(stubGL({ extensions: BOTH })).reason, 'no renderable float texture');
+  assert.equal(detectParticleBackend(stubGL()).backend, 'cpu');
+  assert.deepEqual(
+    detectParticleBackend(stubGL({ vertexTextures: 0, extensions: BOTH, renderable: [FLOAT] })),
+    { backend: 'cpu', type: null, reason: 'no vertex texture fetch' },
+  );
+  assert.equal(detectParticleBackend(stubGL({ extensions: BOTH, renderable: [FLOAT] }), 'cpu').reason, 'requested');
+});
+
+test('each path on headless-gl draws trails over part of the frame', { skip: !headlessGL && 'headless-gl not installed (npm install gl)' }, async t => {
+  t.mock.method(console, 'log', () => {});  // the composer reports its path
+  for (const gpu of PARTICLE_BACKENDS) {
+    await t.test(gpu, async () => {
+      const r = await benchmarkWebGL({ count: 20000, composition: 'flow field', frames: 30, width: 320, height: 180, gpu });
+      // A software renderer may lack a format: the context falls back down the list, never up
+      assert.ok(PARTICLE_BACKENDS.indexOf(r.backend) >= PARTICLE_BACKENDS.indexOf(gpu), `${gpu} ran on ${r.backend}`);
+      assert.equal(r.count, 20000);
+      assert.ok(r.lit > 0.01 && r.lit < 0.95, `lit ${(r.lit * 100).toFixed(1)}% of the frame`);
+    });
+  }
+});
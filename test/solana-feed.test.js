@@ -0,0 +1,194 @@
+/**
+ * SolanaRpcFeed against the mock RPC server (mock-rpc-server.js), on mocked timers:
+ * subscriptions and de-duplication, backoff, fallback, stale streams, bad messages.
+ * Run: node --test test/
+ */
+
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SolanaRpcFeed } from '../solana-feed.js';
+import { FeedSource, FeedState } from '../feed-source.js';
+import { PROGRAMS } from '../tx-parser.js';
+import { MockRpcServer } from './mock-rpc-server.js';
+
+const WALLET = 'WatchedWallet11111111111111111111111111111';
+
+// Socket events are microtasks; setImmediate isn't mocked, so this lets them all run
+const flush = async () => {
+  for (let i = 0; i < 4; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+// Move the mocked clock in small steps, letting socket events run in between
+async function advance(ms, step = 100) {
+  for (let t = 0; t < ms; t += step) {
+    mock.timers.tick(Math.min(step, ms - t));
+    await flush();
+  }
+}
+
+// A transaction's logs, invoking each program at the top level
+const txLogs = (signature, ...programs) => ({
+  signature,
+  err: null,
+  logs: programs.flatMap(p => [`Program ${p} invoke [1]`, 'Program log: Instruction: Swap', `Program ${p} success`]),
+});
+
+class FakeFallback extends FeedSource {
+  constructor() {
+    super(() => {});
+    this.kind = 'demo';
+  }
+
+  connect() {
+    this._setState(FeedState.LIVE);
+  }
+
+  disconnect() {
+    this._setState(FeedState.CLOSED);
+  }
+}
+
+describe('SolanaRpcFeed', () => {
+  let server, events, warn, feed;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+    mock.method(console, 'log', () => {});
+    warn = mock.method(console, 'warn', () => {});
+    mock.method(Math, 'random', () => 1);  // no jitter: every backoff is the full delay
+    server = new MockRpcServer();
+    events = [];
+  });
+
+  afterEach(() => {
+    feed?.disconnect();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const connect = async (options = {}) => {
+    feed = new SolanaRpcFeed('ws://mock', event => events.push(event), { WebSocket: server.WebSocket, ...options });
+    feed.connect();
+    await flush();
+    return feed;
+  };
+
+  test('one subscription per stream, each with its own mapping; duplicates emitted once', async () => {
+    await connect({
+      subscriptions: [
+        { name: 'orca', kind: 'logs', program: PROGRAMS.orca, weight: 2 },
+        { name: 'raydium', kind: 'logs', program: PROGRAMS.raydiumAmm, eventType: { tx: 'mev' } },
+      ],
+    });
+    assert.equal(feed.state, FeedState.LIVE);
+    assert.deepEqual(server.requested('logsSubscribe').map(r => r.params[0].mentions[0]), [PROGRAMS.orca, PROGRAMS.raydiumAmm]);
+
+    // Routed through both programs — arrives on both subscriptions, shown once
+    const both = txLogs('BothPrograms', PROGRAMS.orca, PROGRAMS.raydiumAmm);
+    assert.equal(server.notifyLogs(PROGRAMS.orca, both), 1);
+    assert.equal(server.notifyLogs(PROGRAMS.raydiumAmm, both), 1);
+    server.notifyLogs(PROGRAMS.raydiumAmm, txLogs('RaydiumOnly', PROGRAMS.raydiumAmm));
+    await flush();
+    assert.deepEqual(events.map(e => [e.sig, e.type, e.magnitude, e.source]), [
+      ['BothProg', 'tx', 0.6, 'orca'],      // weight 2 on the logs-only magnitude (0.3)
+      ['RaydiumO', 'mev', 0.3, 'raydium'],  // eventType remap
+    ]);
+
+    // The watched wallet's stream re-emits a transaction already shown, once, as self
+    feed.watchWallet(WALLET);
+    await flush();
+    assert.deepEqual(server.requested('accountSubscribe').map(r => r.params[0]), [WALLET]);
+    server.notifyLogs(WALLET, both);
+    server.notifyLogs(WALLET, both);
+    await flush();
+    assert.equal(events.length, 3);
+    assert.equal(events[2].sig, 'BothProg');
+    assert.equal(events[2].self, true);
+
+    // Removed at runtime: unsubscribed on the server, nothing more from it
+    const [{ id }] = feed.getStats().subscriptions.filter(s => s.name === 'raydium');
+    feed.removeSubscription('raydium');
+    await flush();
+    assert.deepEqual(server.requested('logsUnsubscribe').map(r => r.params[0]), [id]);
+    assert.equal(server.notifyLogs(PROGRAMS.raydiumAmm, txLogs('AfterRemoval', PROGRAMS.raydiumAmm)), 0);
+  });
+
+  test('backoff doubles while the endpoint is down and resets once live', async () => {
+    server.accepting = false;
+    await connect({ subscriptions: [{ name: 'orca', kind: 'logs', program: PROGRAMS.orca }], timing: { fallbackAfterMs: 60000 } });
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+      assert.equal(feed.state, FeedState.BACKOFF);
+      delays.push(feed.retryAt - Date.now());
+      await advance(feed.retryAt - Date.now());
+    }
+    assert.deepEqual(delays, [1000, 2000, 4000]);
+
+    server.accepting = true;
+    await advance(feed.retryAt - Date.now());
+    assert.equal(feed.state, FeedState.LIVE);
+    assert.equal(feed.attempt, 0);
+
+    // The next outage starts over from the base delay
+    server.dropAll();
+    await flush();
+    assert.equal(feed.state, FeedState.BACKOFF);
+    assert.equal(feed.retryAt - Date.now(), 1000);
+  });
+
+  test('the fallback takes over after fallbackAfterMs and hands back on reconnect', async () => {
+    const fallback = new FakeFallback();
+    server.accepting = false;
+    await connect({ subscriptions: [{ name: 'orca', kind: 'logs', program: PROGRAMS.orca }], fallback, timing: { backoffMaxMs: 1000 } });
+
+    await advance(4900);
+    assert.notEqual(feed.state, FeedState.DEMO_FALLBACK);
+    assert.equal(fallback.state, FeedState.IDLE);
+    await advance(100);
+    assert.equal(feed.state, FeedState.DEMO_FALLBACK);
+    assert.equal(fallback.state, FeedState.LIVE);
+
+    // Fallback events go out through the feed
+    fallback._emit({ type: 'tx', magnitude: 0.2, sig: 'demo', timestamp: Date.now() });
+    assert.deepEqual(events.map(e => e.sig), ['demo']);
+
+    // Retries go on underneath; the first acknowledged one ends the fallback
+    await advance(3000);
+    assert.equal(feed.state, FeedState.DEMO_FALLBACK);
+    server.accepting = true;
+    await advance(1000);
+    assert.equal(feed.state, FeedState.LIVE);
+    assert.equal(fallback.state, FeedState.CLOSED);
+  });
+
+  test('a silent stream is resubscribed, then reconnected if it stays silent', async () => {
+    await connect({ subscriptions: [{ name: 'orca', kind: 'logs', program: PROGRAMS.orca }], timing: { staleMs: 10000 } });
+    await advance(10000, 1000);
+    assert.equal(feed.state, FeedState.LIVE);
+    await advance(1000, 1000);
+    assert.equal(feed.state, FeedState.STALE);
+    assert.equal(server.requested('logsUnsubscribe').length, 1);
+    assert.equal(server.requested('logsSubscribe').length, 2);
+
+    // Events on the new subscription: live again
+    server.notifyLogs(PROGRAMS.orca, txLogs('BackAgain', PROGRAMS.orca));
+    await flush();
+    assert.equal(feed.state, FeedState.LIVE);
+
+    // Silent through the resubscription too: a fresh socket
+    await advance(25000, 1000);
+    assert.equal(server.sockets.length, 2);
+  });
+
+  test('bad messages are counted and logged once; the feed carries on', async () => {
+    await connect({ subscriptions: [{ name: 'orca', kind: 'logs', program: PROGRAMS.orca }] });
+    server.sendRaw('{"jsonrpc":"2.0","method":');
+    server.notifyLogs(PROGRAMS.orca, { signature: 'NotAnArray', err: null, logs: 42 });  // parser throws
+    server.notifyLogs(PROGRAMS.orca, txLogs('StillFine', PROGRAMS.orca));
+    await flush();
+    assert.equal(feed.getStats().droppedMessages, 2);
+    assert.equal(warn.mock.calls.filter(c => String(c.arguments[0]).includes('Dropped')).length, 1);
+    assert.deepEqual(events.map(e => e.sig), ['StillFin']);
+    assert.equal(feed.state, FeedState.LIVE);
+  });
+});
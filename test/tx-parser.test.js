@@ -0,0 +1,55 @@
+/**
+ * tx-parser.js against fixture notifications (test/fixtures/*.ndjson) — both message shapes,
+ * classification, magnitude and sandwich detection. Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { TxParser, MevDetector, parseNotification, PROGRAMS } from '../tx-parser.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+  .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+// Parsed { type, magnitude, programs } per message, in fixture order
+function parseAll(messages) {
+  const parser = new TxParser();
+  return messages.map(message => {
+    const event = parser.parse(message, 0);
+    return event && { type: event.type, magnitude: +event.magnitude.toFixed(4), programs: parseNotification(message).programs };
+  });
+}
+
+test('logsNotification: programs and instruction types, no amounts', () => {
+  assert.deepEqual(parseAll(fixture('logs-notifications.ndjson')), [
+    null,  // subscription confirmation
+    { type: 'tx', magnitude: 0.3, programs: [PROGRAMS.raydiumAmm] },  // compute budget ignored
+    { type: 'mint', magnitude: 0.3, programs: [PROGRAMS.metaplex] },
+    { type: 'burn', magnitude: 0.3, programs: [PROGRAMS.token] },
+    { type: 'tx', magnitude: 0.3, programs: [PROGRAMS.orca] },
+  ]);
+});
+
+test('logsNotification: no signer, so never MEV', () => {
+  const [, swap] = fixture('logs-notifications.ndjson');
+  const tx = parseNotification(swap);
+  assert.equal(tx.signer, null);
+  assert.equal(tx.lamportsMoved, null);
+  assert.equal(new MevDetector().observe(tx), false);
+});
+
+test('transactionNotification: value moved, whale threshold and the sandwich back-run', () => {
+  assert.deepEqual(parseAll(fixture('transaction-notifications.ndjson')), [
+    { type: 'whale', magnitude: 1, programs: [PROGRAMS.system] },    // 2,500 SOL
+    { type: 'tx', magnitude: 0.4388, programs: [PROGRAMS.system] },  // 0.5 SOL
+    { type: 'tx', magnitude: 0.7112, programs: [PROGRAMS.orca] },    // front-run, 20 WSOL
+    { type: 'tx', magnitude: 0.6435, programs: [PROGRAMS.orca] },    // victim, 8 WSOL
+    { type: 'mev', magnitude: 0.7148, programs: [PROGRAMS.orca] },   // back-run, 21 WSOL
+  ]);
+});
+
+test('MevDetector: the same swaps in different slots are not a sandwich', () => {
+  const mev = new MevDetector();
+  const swaps = fixture('transaction-notifications.ndjson').slice(2).map(parseNotification);
+  assert.deepEqual(swaps.map((tx, i) => mev.observe({ ...tx, slot: tx.slot + i })), [false, false, false]);
+});
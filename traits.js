@@ -0,0 +1,68 @@
+/**
+ * traits.js — Curated, marketplace-facing traits derived from walletToParams()
+ * Raw params (node arrays, hex colours) stay internal; these are what collectors see.
+ */
+
+// Display names for NFT attributes, in the order marketplaces should list them
+export const TRAIT_LABELS = {
+  palette: 'Palette',
+  density: 'Density',
+  turbulence: 'Turbulence',
+  topology: 'Topology',
+  composition: 'Composition',
+};
+
+function densityTier(particleCount) {
+  if (particleCount < 65) return 'sparse';
+  if (particleCount < 95) return 'balanced';
+  return 'dense';
+}
+
+function turbulenceClass(turbulence) {
+  if (turbulence < 0.5) return 'still';
+  if (turbulence < 0.75) return 'flowing';
+  if (turbulence < 0.9) return 'turbulent';
+  return 'chaotic';
+}
+
+// Mean length of the node graph's edges (normalised canvas units)
+function meanEdgeLength(nodes) {
+  let total = 0, edges = 0;
+  for (const n of nodes) {
+    for (const j of n.connections) {
+      total += Math.hypot(nodes[j].x - n.x, nodes[j].y - n.y);
+      edges++;
+    }
+  }
+  return edges ? total / edges : 0;
+}
+
+// Node count (few/many) × how clumped the graph is. Edge length naturally shrinks
+// as nodes are added, so it is compared against the length expected for that count.
+function topology(nodes) {
+  const n = nodes.length;
+  const expected = (0.8 - (n - 16) * 0.0083) / Math.sqrt(n);
+  const ratio = meanEdgeLength(nodes) / expected;
+  const many = n >= 28;
+
+  if (ratio < 0.93) return many ? 'dense cluster' : 'tight knot';
+  if (ratio > 1.08) return many ? 'woven mesh' : 'sparse web';
+  return 'constellation';
+}
+
+export function deriveTraits(params) {
+  return {
+    palette: params.palette.name,
+    density: densityTier(params.particleCount),
+    turbulence: turbulenceClass(params.turbulence),
+    topology: topology(params.nodes),
+    composition: params.composition,
+  };
+}
+
+// Metaplex-style attributes
+export function traitsToAttributes(traits) {
+  return Object.entries(TRAIT_LABELS)
+    .filter(([key]) => traits[key] !== undefined)
+    .map(([key, trait_type]) => ({ trait_type, value: String(traits[key]) }));
+}
@@ -0,0 +1,317 @@
+/**
+ * tx-parser.js — Solana notification → visual event
+ * Pulls SOL / token amounts, program IDs and instruction types out of websocket
+ * notifications, and turns value moved into a normalised magnitude.
+ *
+ * Understands two message shapes:
+ *   - transactionNotification (Helius transactionSubscribe, jsonParsed) — full balances,
+ *     so value moved, signer and swap pools are known
+ *   - logsNotification (standard logsSubscribe) — logs only: programs and instruction
+ *     types, but no amounts (valueSol is null) and no signer
+ *
+ * Pure apart from MevDetector's per-slot memory, so it can be run over fixture messages:
+ *   node tx-parser.js test/fixtures/transaction-notifications.ndjson
+ */
+
+export const LAMPORTS_PER_SOL = 1e9;
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const PROGRAMS = {
+  system:      '11111111111111111111111111111111',
+  token:       'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  token2022:   'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+  metaplex:    'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s',
+  raydiumAmm:  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  raydiumClmm: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+  orca:        'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  jupiter:     'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
+  meteora:     'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  pumpfun:     '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+};
+
+// Programs whose instructions count as swaps for MEV detection
+export const DEX_PROGRAMS = [
+  PROGRAMS.raydiumAmm, PROGRAMS.raydiumClmm, PROGRAMS.orca,
+  PROGRAMS.jupiter, PROGRAMS.meteora, PROGRAMS.pumpfun,
+];
+
+const IGNORED_PROGRAMS = ['ComputeBudget111111111111111111111111111111'];
+const TOKEN_PROGRAMS = [PROGRAMS.token, PROGRAMS.token2022];
+
+const MINT_INSTRUCTIONS = ['MintTo', 'MintToChecked', 'InitializeMint', 'InitializeMint2'];
+const METADATA_INSTRUCTIONS = ['CreateMetadataAccount', 'CreateMetadataAccountV2', 'CreateMetadataAccountV3', 'Mint', 'Create'];
+const BURN_INSTRUCTIONS = ['Burn', 'BurnChecked'];
+
+export const DEFAULT_PARSER_CONFIG = {
+  whaleSol: 1000,          // value moved at or above this is a whale
+  minSol: 0.01,            // value that maps to the magnitude floor
+  floorMagnitude: 0.15,
+  unknownMagnitude: 0.3,   // logs-only notifications carry no amounts
+  // SOL per whole token, for mints whose transfers should count toward value
+  tokenValues: { [WSOL_MINT]: 1 },
+};
+
+// 'transfer' / 'mintTo' (jsonParsed) and 'Transfer' / 'MintTo' (logs) → 'Transfer' / 'MintTo'
+const instructionName = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Walk program logs, attributing each "Instruction: X" line to the program running it
+ * @param {string[]} logs
+ * @returns {{ programs: string[], instructions: { program: string, type: string }[] }}
+ */
+export function parseLogs(logs) {
+  const programs = [];
+  const instructions = [];
+  const stack = [];
+  for (const line of logs) {
+    let m = /^Program (\w+) invoke \[(\d+)\]/.exec(line);
+    if (m) {
+      stack.length = parseInt(m[2], 10) - 1;
+      stack.push(m[1]);
+      if (m[2] === '1' && !IGNORED_PROGRAMS.includes(m[1]) && !programs.includes(m[1])) programs.push(m[1]);
+      continue;
+    }
+    m = /^Program (\w+) (success|failed)/.exec(line);
+    if (m) {
+      stack.pop();
+      continue;
+    }
+    m = /^Program log: Instruction: (\w+)/.exec(line);
+    if (m && stack.length) instructions.push({ program: stack[stack.length - 1], type: m[1] });
+  }
+  return { programs, instructions };
+}
+
+function keyOf(k) {
+  return typeof k === 'string' ? k : k.pubkey;
+}
+
+// Top-level and inner jsonParsed instructions, flattened
+function parsedInstructions(message, meta) {
+  const out = [];
+  const push = ix => {
+    if (ix.parsed?.type) out.push({ program: ix.programId, type: instructionName(ix.parsed.type), info: ix.parsed.info });
+  };
+  (message.instructions || []).forEach(push);
+  for (const inner of meta.innerInstructions || []) inner.instructions.forEach(push);
+  return out;
+}
+
+// Per-(owner, mint) token balance changes, in whole tokens
+function tokenDeltas(meta) {
+  const deltas = new Map();
+  const add = (b, sign) => {
+    const key = `${b.owner || b.accountIndex}:${b.mint}`;
+    const prev = deltas.get(key) || { owner: b.owner || null, mint: b.mint, amount: 0 };
+    const ui = b.uiTokenAmount;
+    prev.amount += sign * (ui.uiAmount ?? parseFloat(ui.uiAmountString || '0'));
+    deltas.set(key, prev);
+  };
+  (meta.preTokenBalances || []).forEach(b => add(b, -1));
+  (meta.postTokenBalances || []).forEach(b => add(b, 1));
+  return [...deltas.values()].filter(d => Math.abs(d.amount) > 1e-12);
+}
+
+/**
+ * Normalise a websocket notification into a transaction record
+ * @param {Object} message - Parsed JSON-RPC notification
+ * @returns {Object|null} { signature, slot, failed, signer, programs, instructions,
+ *                          lamportsMoved, tokenTransfers } — null if not a transaction
+ */
+export function parseNotification(message) {
+  const result = message?.params?.result;
+  if (!result) return null;
+
+  // logsSubscribe
+  if (result.value?.logs) {
+    const { programs, instructions } = parseLogs(result.value.logs);
+    return {
+      signature: result.value.signature || '',
+      slot: result.context?.slot ?? null,
+      failed: !!result.value.err,
+      signer: null,
+      programs,
+      instructions,
+      lamportsMoved: null,
+      tokenTransfers: [],
+    };
+  }
+
+  // transactionSubscribe
+  const tx = result.transaction;
+  if (!tx?.meta || !tx.transaction?.message) return null;
+  const { message: msg } = tx.transaction;
+  const { meta } = tx;
+  const keys = (msg.accountKeys || []).map(keyOf);
+  const signer = keys[0] || null;
+
+  const fromLogs = parseLogs(meta.logMessages || []);
+  const programs = fromLogs.programs.length
+    ? fromLogs.programs
+    : [...new Set((msg.instructions || []).map(ix => ix.programId || keys[ix.programIdIndex]))]
+      .filter(p => p && !IGNORED_PROGRAMS.includes(p));
+
+  // Logs name every instruction; jsonParsed only the ones the RPC can decode
+  const parsed = parsedInstructions(msg, meta);
+  const instructions = fromLogs.instructions.length ? fromLogs.instructions : parsed.map(({ program, type }) => ({ program, type }));
+
+  // Value moved: lamports received across all accounts (the fee is a debit, so excluded)
+  let lamportsMoved = 0;
+  const pre = meta.preBalances || [], post = meta.postBalances || [];
+  for (let i = 0; i < post.length; i++) {
+    if (post[i] > pre[i]) lamportsMoved += post[i] - pre[i];
+  }
+  // Balances can miss transfers between accounts that net out — parsed transfers cannot
+  const transferred = parsed
+    .filter(ix => ix.program === PROGRAMS.system && ix.type === 'Transfer')
+    .reduce((n, ix) => n + (ix.info?.lamports || 0), 0);
+  lamportsMoved = Math.max(lamportsMoved, transferred);
+
+  return {
+    signature: result.signature || tx.transaction.signatures?.[0] || '',
+    slot: result.slot ?? null,
+    failed: !!meta.err,
+    signer,
+    programs,
+    instructions,
+    lamportsMoved,
+    tokenTransfers: tokenDeltas(meta),
+  };
+}
+
+/**
+ * SOL value moved by a transaction: native SOL, or priced tokens if larger
+ * @returns {number|null} null when the notification carried no amounts
+ */
+export function valueMoved(tx, config = DEFAULT_PARSER_CONFIG) {
+  if (tx.lamportsMoved === null) return null;
+  const sol = tx.lamportsMoved / LAMPORTS_PER_SOL;
+  let tokens = 0;
+  for (const t of tx.tokenTransfers) {
+    const price = config.tokenValues[t.mint];
+    if (price && t.amount > 0) tokens += t.amount * price;
+  }
+  return Math.max(sol, tokens);
+}
+
+/**
+ * Log-scaled magnitude: minSol → floor, whaleSol and above → 1
+ */
+export function magnitudeFor(valueSol, config = DEFAULT_PARSER_CONFIG) {
+  if (valueSol === null) return config.unknownMagnitude;
+  const { minSol, whaleSol, floorMagnitude } = config;
+  const t = Math.log(Math.max(valueSol, minSol) / minSol) / Math.log(whaleSol / minSol);
+  return floorMagnitude + (1 - floorMagnitude) * Math.min(1, t);
+}
+
+// Type from instructions and value — MEV comes from MevDetector, not from here
+export function classify(tx, valueSol, config = DEFAULT_PARSER_CONFIG) {
+  const has = (names, programs) =>
+    tx.instructions.some(ix => names.includes(ix.type) && (!programs || programs.includes(ix.program)));
+  if (has(BURN_INSTRUCTIONS, TOKEN_PROGRAMS)) return 'burn';
+  if (has(MINT_INSTRUCTIONS, TOKEN_PROGRAMS) || has(METADATA_INSTRUCTIONS, [PROGRAMS.metaplex])) return 'mint';
+  if (valueSol !== null && valueSol >= config.whaleSol) return 'whale';
+  return 'tx';
+}
+
+export function isSwap(tx) {
+  return tx.programs.some(p => DEX_PROGRAMS.includes(p)) ||
+    tx.instructions.some(ix => /^(Swap\w*|Route\w*|SharedAccountsRoute\w*|Buy|Sell)$/.test(ix.type));
+}
+
+// Swaps meet in a pool: the DEX plus the mints whose balances moved
+function poolKey(tx) {
+  const dex = tx.programs.find(p => DEX_PROGRAMS.includes(p)) || tx.programs[0];
+  const mints = [...new Set(tx.tokenTransfers.map(t => t.mint))].sort();
+  return `${dex}:${mints.join(',')}`;
+}
+
+/**
+ * Sandwich detection: within one slot and pool, a signer swaps, someone else swaps,
+ * then the first signer swaps again. The closing (back-run) swap is flagged.
+ * Needs signers, so only transactionNotification messages can be flagged.
+ */
+export class MevDetector {
+  constructor({ keepSlots = 4 } = {}) {
+    this.keepSlots = keepSlots;
+    this.slots = new Map();  // slot → Map(poolKey → [signer, ...] in arrival order)
+  }
+
+  observe(tx) {
+    if (!tx.signer || tx.slot === null || tx.failed || !isSwap(tx)) return false;
+
+    let pools = this.slots.get(tx.slot);
+    if (!pools) {
+      pools = new Map();
+      this.slots.set(tx.slot, pools);
+      for (const slot of this.slots.keys()) {
+        if (slot < tx.slot - this.keepSlots) this.slots.delete(slot);
+      }
+    }
+    const key = poolKey(tx);
+    const swaps = pools.get(key) || [];
+    pools.set(key, swaps);
+
+    // Front-run by this signer, followed by at least one victim
+    const front = swaps.indexOf(tx.signer);
+    const sandwich = front >= 0 && swaps.slice(front + 1).some(s => s !== tx.signer);
+    swaps.push(tx.signer);
+    return sandwich;
+  }
+
+  reset() {
+    this.slots.clear();
+  }
+}
+
+/**
+ * Stateful parser: notification → feed event ({ type, magnitude, sig, program, ... })
+ */
+export class TxParser {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_PARSER_CONFIG, ...config, tokenValues: { ...DEFAULT_PARSER_CONFIG.tokenValues, ...config.tokenValues } };
+    this.mev = new MevDetector();
+  }
+
+  /**
+   * @param {Object} message - Parsed JSON-RPC notification
+   * @param {number} [now] - Event timestamp (ms)
+   * @returns {Object|null} null for non-transaction messages
+   */
+  parse(message, now = Date.now()) {
+    const tx = parseNotification(message);
+    if (!tx) return null;
+
+    const valueSol = valueMoved(tx, this.config);
+    let type = classify(tx, valueSol, this.config);
+    if (this.mev.observe(tx) && type === 'tx') type = 'mev';
+
+    return {
+      type,
+      magnitude: magnitudeFor(valueSol, this.config),
+      sig: tx.signature.slice(0, 8),
+      program: tx.programs[0] || null,
+      slot: tx.slot,
+      signer: tx.signer,
+      valueSol,
+      timestamp: now,
+    };
+  }
+}
+
+// CLI: node tx-parser.js <messages.json|ndjson> — prints one event per message
+if (typeof process !== 'undefined' && import.meta.url === `file://${process.argv[1]}`) {
+  const fs = await import('fs');
+  const path = process.argv[2];
+  if (!path) {
+    console.log('Usage: node tx-parser.js <messages.json|messages.ndjson>');
+    process.exit(1);
+  }
+  const text = fs.readFileSync(path, 'utf8').trim();
+  const messages = text.startsWith('[') ? JSON.parse(text) : text.split('\n').filter(Boolean).map(l => JSON.parse(l));
+  const parser = new TxParser();
+  for (const message of messages) {
+    const event = parser.parse(message, 0);
+    if (event) console.log(JSON.stringify(event));
+  }
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * verify.js — Check an exported PNG's provenance (provenance.js)
+ *
+ * Run: node verify.js kira-art.png [more.png ...] [--json]
+ *
+ * Prints the embedded recipe and whether it re-derives to the stored parameters.
+ * Exit code 1 if any file fails.
+ */
+
+import fs from 'fs';
+import { verifyPNG } from './provenance.js';
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const files = args.filter(a => a !== '--json');
+if (!files.length) {
+  console.log('Usage: node verify.js <file.png> [...] [--json]');
+  process.exit(1);
+}
+
+let failed = 0;
+for (const file of files) {
+  let report;
+  try {
+    report = await verifyPNG(new Uint8Array(fs.readFileSync(file)));
+  } catch (err) {
+    report = { ok: false, mismatches: [err.message], text: {} };
+  }
+  if (!report.ok) failed++;
+
+  if (json) {
+    console.log(JSON.stringify({ file, ...report, state: report.state?.toJSON() ?? null }));
+    continue;
+  }
+  console.log(`${file}: ${report.ok ? 'VERIFIED' : 'FAILED'}`);
+  if (report.width) console.log(`  ${report.width}x${report.height}, ${report.text['kira:generator'] || 'unknown generator'}`);
+  for (const key of ['kira:wallet', 'kira:slot', 'kira:seed', 'kira:composition', 'kira:webgl-composition']) {
+    if (report.text[key]) console.log(`  ${key.slice(5).padEnd(18)} ${report.text[key]}`);
+  }
+  for (const m of report.mismatches) console.log(`  ✗ ${m}`);
+}
+process.exit(failed ? 1 : 0);